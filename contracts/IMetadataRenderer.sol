@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Renders token metadata on-chain for NFTLaunchpad, see OnChainRenderer
+ */
+interface IMetadataRenderer {
+    function tokenURI(uint256 metadataId) external view returns (string memory);
+
+    // Whether the rendered metadata can no longer change; NFTLaunchpad only
+    // freezes its metadata on top of a locked renderer
+    function locked() external view returns (bool);
+}
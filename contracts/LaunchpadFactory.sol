@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./NFTLaunchpad.sol";
+
+/**
+ * @title LaunchpadFactory
+ * @dev Creates collections as EIP-1167 clones of one NFTLaunchpad
+ * implementation, so each collection costs a small proxy instead of the full
+ * contract. Anyone can create a collection; the creator receives every role on
+ * it. Collections are recorded per creator for the frontend to list.
+ */
+contract LaunchpadFactory {
+    // ============ State Variables ============
+
+    // The NFTLaunchpad every clone delegates to
+    address public immutable implementation;
+
+    address[] public allCollections;
+    mapping(address => address[]) private _collectionsByCreator;
+    mapping(address => bool) public isCollection;
+
+    // ============ Events ============
+
+    event CollectionCreated(
+        address indexed creator,
+        address indexed collection,
+        string name,
+        string symbol
+    );
+
+    // ============ Errors ============
+
+    error ZeroAddress();
+
+    // ============ Constructor ============
+
+    constructor(address _implementation) {
+        if (_implementation == address(0)) revert ZeroAddress();
+        implementation = _implementation;
+    }
+
+    // ============ Factory Functions ============
+
+    /**
+     * @dev Deploy and initialize a new collection owned by the caller
+     * @param config The collection's name, symbol, supply, prices, unrevealed URI and royalty
+     * @return collection The address of the new collection
+     */
+    function createCollection(NFTLaunchpad.CollectionConfig calldata config)
+        external
+        returns (address collection)
+    {
+        collection = Clones.clone(implementation);
+        NFTLaunchpad(collection).initialize(msg.sender, config);
+
+        allCollections.push(collection);
+        _collectionsByCreator[msg.sender].push(collection);
+        isCollection[collection] = true;
+
+        emit CollectionCreated(msg.sender, collection, config.name, config.symbol);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get the collections created by an account, oldest first
+     * @param creator The creator address
+     * @return The collection addresses
+     */
+    function collectionsOf(address creator) external view returns (address[] memory) {
+        return _collectionsByCreator[creator];
+    }
+
+    /**
+     * @dev Get the number of collections created through this factory
+     */
+    function collectionCount() external view returns (uint256) {
+        return allCollections.length;
+    }
+
+    /**
+     * @dev Get every collection created through this factory, oldest first
+     */
+    function getCollections() external view returns (address[] memory) {
+        return allCollections;
+    }
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./NFTLaunchpad.sol";
+
+/**
+ * @title LaunchpadLens
+ * @dev Read-only helpers for any NFTLaunchpad collection. Views that only
+ * combine the collection's public getters live here instead of in
+ * NFTLaunchpad, which has to stay below the 24KB contract size limit.
+ * Stateless, so one deployment serves every collection on a chain.
+ */
+contract LaunchpadLens {
+    // ============ State Variables ============
+
+    // ERC-2981 fee denominator used by NFTLaunchpad: fees are in basis points
+    uint256 private constant FEE_DENOMINATOR = 10000;
+
+    struct RoyaltyConfig {
+        address receiver;
+        uint96 feeNumerator;  // basis points
+        bool overridden;
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get the royalty that applies to a token
+     * @param collection The NFTLaunchpad collection
+     * @param tokenId The token ID
+     */
+    function royaltyConfig(NFTLaunchpad collection, uint256 tokenId) public view returns (RoyaltyConfig memory) {
+        // With the sale price equal to the denominator, the amount is the fee in basis points
+        (address receiver, uint256 feeNumerator) = collection.royaltyInfo(tokenId, FEE_DENOMINATOR);
+        return RoyaltyConfig(receiver, uint96(feeNumerator), collection.hasRoyaltyOverride(tokenId));
+    }
+
+    /**
+     * @dev Get the royalty that applies to each of the given tokens
+     * @param collection The NFTLaunchpad collection
+     * @param tokenIds The token IDs
+     */
+    function royaltyConfigs(NFTLaunchpad collection, uint256[] calldata tokenIds)
+        external
+        view
+        returns (RoyaltyConfig[] memory configs)
+    {
+        configs = new RoyaltyConfig[](tokenIds.length);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            configs[i] = royaltyConfig(collection, tokenIds[i]);
+        }
+    }
+
+    /**
+     * @dev Get a collection's full sale schedule
+     * @param collection The NFTLaunchpad collection
+     */
+    function getSaleStages(NFTLaunchpad collection) external view returns (NFTLaunchpad.SaleStage[] memory stages) {
+        (, , , , , , , , uint256 stageCount) = collection.getContractDetails();
+        stages = new NFTLaunchpad.SaleStage[](stageCount);
+        for (uint256 i = 0; i < stageCount; i++) {
+            stages[i] = collection.getSaleStage(i);
+        }
+    }
+}
@@ -1,27 +1,46 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "erc721a-upgradeable/contracts/ERC721AUpgradeable.sol";
 import "@openzeppelin/contracts/token/common/ERC2981.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./IMetadataRenderer.sol";
 
 /**
  * @title NFTLaunchpad
- * @dev A feature-rich ERC-721 NFT contract with allowlist, public minting, and reveal mechanism
+ * @dev A feature-rich ERC-721 NFT contract with allowlist, public minting, and reveal mechanism.
+ * Built on ERC721A, so minting several tokens costs about as much as minting one.
+ * Deployed directly with the constructor, or as an EIP-1167 clone that is set
+ * up with initialize() (see LaunchpadFactory).
  */
-contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
+contract NFTLaunchpad is ERC721AUpgradeable, ERC2981, AccessControl, Pausable {
     // ============ State Variables ============
     
-    uint256 public totalSupply;
-    uint256 public nextTokenId = 1;
+    // Roles, granted and revoked by the admin (DEFAULT_ADMIN_ROLE)
+    bytes32 public constant SALE_MANAGER_ROLE = keccak256("SALE_MANAGER_ROLE");
+    bytes32 public constant METADATA_MANAGER_ROLE = keccak256("METADATA_MANAGER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Sale contracts that check eligibility themselves, e.g. VoucherMinter
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    
+    // Exactly one account is admin; it is reported as owner() for marketplaces
+    // and handed over in two steps so it cannot be lost to a wrong address
+    address private admin;
+    address public pendingAdmin;
     
     // Sale Configuration
+    // Headline allowlist price; each allowlisted wallet's actual price is committed in its Merkle leaf
     uint256 public allowlistPrice;
     uint256 public publicPrice;
     uint256 public maxSupply;
-    uint256 public maxMintsPerTransaction = 10;
+    uint256 public maxMintsPerTransaction;
+    
+    // Tokens held back from the sale for owner airdrops
+    uint256 public teamReserve;
+    uint256 public teamMinted;
     
     // Merkle Root for allowlist verification
     bytes32 public merkleRoot;
@@ -29,28 +48,146 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
     // URI Configuration
     string public baseURI;
     string public unrevealedURI;
+    // Appended to the metadata ID when building tokenURI from baseURI
+    string public uriSuffix;
     bool public revealed;
+    // Staged reveal: tokens up to this ID are revealed before the whole collection is
+    uint256 public revealedThrough;
+    // Once frozen, baseURI, unrevealedURI, uriSuffix and renderer can no longer change
+    bool public metadataFrozen;
+    // Fully on-chain metadata; when set, revealed tokens are rendered by it instead of baseURI
+    IMetadataRenderer public renderer;
+    
+    // Provenance: hash of the concatenated image hashes, committed before the sale
+    bytes32 public provenanceHash;
+    // Random offset applied to the token -> metadata mapping, drawn before the reveal
+    uint256 public startingIndex;
+    // Block whose hash draws the starting index, committed before that hash exists
+    uint256 public startingIndexBlock;
     
     // Sale Phases
     enum SalePhase { CLOSED, ALLOWLIST, PUBLIC }
     SalePhase public currentPhase = SalePhase.CLOSED;
     
-    // Tracking allowlist mints
+    // Scheduled sale stages, active by block.timestamp. Stages are kept in
+    // chronological order and must not overlap.
+    // Stages and the phases above are two separate ways to run a sale: phases
+    // are switched by hand and their allowlist gives each wallet its own tier,
+    // while a stage sets one price and limit for everyone on its list. Neither
+    // checks the other, so keep the phase CLOSED while a schedule runs.
+    struct SaleStage {
+        uint64 startTime;
+        uint64 endTime;       // exclusive
+        uint32 maxPerWallet;  // 0 = no per-wallet limit
+        uint32 supplyCap;     // 0 = only bounded by maxSupply
+        uint256 price;
+        bytes32 merkleRoot;   // bytes32(0) = open to everyone
+    }
+    SaleStage[] private saleStages;
+    uint256 public constant NO_STAGE = type(uint256).max;
+    
+    // Tracking stage mints
+    mapping(uint256 => uint256) public stageMinted;
+    mapping(uint256 => mapping(address => uint256)) public stageMintedBy;
+    
+    // Optional Dutch auction for the public phase. startTime = 0 disables it
+    // and publicMint charges the fixed publicPrice.
+    struct DutchAuction {
+        uint64 startTime;
+        uint64 dropInterval;  // seconds between price drops
+        bool rebate;          // buyers can claim down to the clearing price
+        uint256 startPrice;
+        uint256 floorPrice;
+        uint256 priceDrop;    // decrease per interval
+    }
+    DutchAuction public dutchAuction;
+    
+    // Auction sales. The clearing price is the price of the last auction sale,
+    // fixed when the collection sells out or the owner finalizes the auction.
+    uint256 public lastAuctionPrice;
+    uint256 public auctionClearingPrice;
+    bool public auctionFinalized;
+    
+    // Rebate accounting, only tracked when the auction has rebates enabled
+    mapping(address => uint256) public auctionPaid;
+    mapping(address => uint256) public auctionMintedBy;
+    uint256 public auctionTotalPaid;
+    uint256 public auctionTotalMinted;
+    
+    // Price paid per token, recorded once per mint batch at its first token ID
+    struct MintBatch {
+        uint128 price;
+        bool exists;
+    }
+    mapping(uint256 => MintBatch) private mintBatches;
+    uint256 public mintRevenue;
+    
+    // Cancelled sale: holders can burn their tokens for a refund until the deadline
+    bool public saleCancelled;
+    uint256 public refundDeadline;
+    
+    // Tracking allowlist mints. A wallet may claim its allowance over several
+    // transactions; allowlistClaimed is set once the full allowance is used.
     mapping(address => uint256) public allowlistMintedCount;
     mapping(address => bool) public allowlistClaimed;
     
+    // Where withdraw() sends sale proceeds, e.g. a RevenueSplitter.
+    // address(0) = the owner.
+    address public payoutRecipient;
+    
     // Royalty Configuration
     address public royaltyRecipient;
     uint96 public royaltyPercentage;
+    // Tokens paying a different royalty than the default, e.g. 1/1s
+    // (LaunchpadLens.royaltyConfig combines it with royaltyInfo)
+    mapping(uint256 => bool) public hasRoyaltyOverride;
+    
+    // Marketplace operators that may not be approved or move tokens of others
+    mapping(address => bool) public blockedOperators;
+    
+    // Per-collection settings passed to initialize()
+    struct CollectionConfig {
+        string name;
+        string symbol;
+        uint256 maxSupply;
+        uint256 allowlistPrice;
+        uint256 publicPrice;
+        string unrevealedURI;
+        address royaltyRecipient;
+        uint96 royaltyPercentage;
+    }
     
     // ============ Events ============
     
     event AllowlistMint(address indexed to, uint256 indexed tokenId, uint256 quantity);
     event PublicMint(address indexed to, uint256 indexed tokenId, uint256 quantity);
+    event StageMint(address indexed to, uint256 indexed stageId, uint256 tokenId, uint256 quantity);
+    event Airdrop(address indexed to, uint256 indexed tokenId, uint256 quantity);
+    event MinterMint(address indexed minter, address indexed to, uint256 tokenId, uint256 quantity);
+    event TeamReserveSet(uint256 teamReserve);
+    event SaleStageSet(uint256 indexed stageId, SaleStage stage);
     event PhaseChanged(SalePhase newPhase);
     event MerkleRootUpdated(bytes32 newRoot);
     event URIUpdated(string newBaseURI);
+    event RendererUpdated(address renderer);
     event Revealed();
+    event MetadataFrozen();
+    // EIP-4906: tell marketplaces to refresh cached metadata
+    event MetadataUpdate(uint256 _tokenId);
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+    event ProvenanceHashSet(bytes32 provenanceHash);
+    event StartingIndexCommitted(uint256 blockNumber);
+    event StartingIndexSet(uint256 startingIndex);
+    event DutchAuctionSet(DutchAuction auction);
+    event DutchAuctionFinalized(uint256 clearingPrice);
+    event AuctionRebateClaimed(address indexed to, uint256 amount);
+    event SaleCancelled(uint256 refundDeadline);
+    event RefundClaimed(address indexed to, uint256[] tokenIds, uint256 amount);
+    event PayoutRecipientUpdated(address recipient);
+    event AdminTransferStarted(address indexed currentAdmin, address indexed newAdmin);
+    event TokenRoyaltySet(uint256 indexed tokenId, address receiver, uint96 feeNumerator);
+    event TokenRoyaltyReset(uint256 indexed tokenId);
+    event OperatorBlockUpdated(address indexed operator, bool blocked);
     event Withdrawal(uint256 amount);
     
     // ============ Errors ============
@@ -58,12 +195,43 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
     error InvalidPhase();
     error InvalidMerkleProof();
     error AllowlistAlreadyClaimed();
+    error ExceedsAllowlistAllowance();
     error ExceedsMaxSupply();
     error ExceedsMaxMintsPerTx();
     error InsufficientPayment();
+    error IncorrectPayment();
     error ZeroAddress();
     error ContractPaused();
     error SaleNotStarted();
+    error AlreadyRevealed();
+    error InvalidRevealRange();
+    error MetadataIsFrozen();
+    error RendererNotLocked();
+    error InvalidStage();
+    error NoActiveStage();
+    error ExceedsWalletLimit();
+    error ExceedsStageSupply();
+    error ProvenanceLocked();
+    error StartingIndexAlreadyCommitted();
+    error StartingIndexPending();
+    error StartingIndexNotSet();
+    error InvalidAuction();
+    error AuctionNotFinalized();
+    error NothingToRebate();
+    error SaleIsCancelled();
+    error SaleNotCancelled();
+    error RefundWindowOpen();
+    error RefundWindowClosed();
+    error NotTokenOwner();
+    error InvalidAirdrop();
+    error ExceedsTeamReserve();
+    error OperatorBlocked(address operator);
+    error AdminRoleTaken();
+    error NotPendingAdmin();
+    error AlreadyInitialized();
+    error NonexistentToken();
+    error TransferFailed();
+    error InvalidMaxSupply();
     
     // ============ Constructor ============
     
@@ -76,56 +244,96 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
         string memory _unrevealedURI,
         address _royaltyRecipient,
         uint96 _royaltyPercentage
-    ) ERC721(_name, _symbol) Ownable(msg.sender) {
-        maxSupply = _maxSupply;
-        allowlistPrice = _allowlistPrice;
-        publicPrice = _publicPrice;
+    ) {
+        ERC721AStorage.Layout storage token = ERC721AStorage.layout();
+        token._name = _name;
+        token._symbol = _symbol;
+        token._currentIndex = _startTokenId();
         unrevealedURI = _unrevealedURI;
-        royaltyRecipient = _royaltyRecipient;
-        royaltyPercentage = _royaltyPercentage;
         
-        // Set default royalty
-        _setDefaultRoyalty(_royaltyRecipient, _royaltyPercentage);
+        // The deployer starts with every role; deploy.js hands them out from config
+        _initialize(msg.sender, _maxSupply, _allowlistPrice, _publicPrice, _royaltyRecipient, _royaltyPercentage);
+    }
+    
+    /**
+     * @dev Set up a clone; LaunchpadFactory calls this in the transaction that
+     * creates it. A clone's token counter is zero until then, while contracts
+     * deployed with the constructor, such as the clone implementation, start
+     * at the first token ID and cannot be initialized.
+     * @param _admin The account that receives the admin and every other role
+     * @param config The collection's name, symbol, supply, prices, unrevealed URI and royalty
+     */
+    function initialize(address _admin, CollectionConfig calldata config) external {
+        if (_nextTokenId() != 0) revert AlreadyInitialized();
+        
+        ERC721AStorage.Layout storage token = ERC721AStorage.layout();
+        token._name = config.name;
+        token._symbol = config.symbol;
+        token._currentIndex = _startTokenId();
+        unrevealedURI = config.unrevealedURI;
+        
+        _initialize(
+            _admin,
+            config.maxSupply,
+            config.allowlistPrice,
+            config.publicPrice,
+            config.royaltyRecipient,
+            config.royaltyPercentage
+        );
+    }
+    
+    modifier whenMetadataNotFrozen() {
+        if (metadataFrozen) revert MetadataIsFrozen();
+        _;
     }
     
     // ============ Minting Functions ============
     
     /**
-     * @dev Mint NFTs from the allowlist phase using Merkle proof
+     * @dev Mint NFTs from the allowlist phase using Merkle proof.
+     * Each leaf commits to the wallet's tier: how many tokens it may mint in
+     * total and at what price. Any ETH sent above the price is refunded.
      * @param merkleProof The Merkle proof for verification
+     * @param maxAllowance The total number of tokens the wallet may mint
+     * @param price The price per token in wei for this wallet
      * @param quantity The number of NFTs to mint
      */
-    function allowlistMint(bytes32[] calldata merkleProof, uint256 quantity)
+    function allowlistMint(
+        bytes32[] calldata merkleProof,
+        uint256 maxAllowance,
+        uint256 price,
+        uint256 quantity
+    )
         external
         payable
         whenNotPaused
     {
         if (currentPhase != SalePhase.ALLOWLIST) revert InvalidPhase();
-        if (allowlistClaimed[msg.sender]) revert AllowlistAlreadyClaimed();
-        if (nextTokenId + quantity - 1 > maxSupply) revert ExceedsMaxSupply();
-        if (quantity > maxMintsPerTransaction) revert ExceedsMaxMintsPerTx();
-        if (msg.value < allowlistPrice * quantity) revert InsufficientPayment();
         
         // Verify Merkle proof
-        bytes32 leaf = keccak256(abi.encodePacked(msg.sender));
-        if (!MerkleProof.verify(merkleProof, merkleRoot, leaf)) {
+        if (!MerkleProof.verify(merkleProof, merkleRoot, _allowlistLeaf(msg.sender, maxAllowance, price))) {
             revert InvalidMerkleProof();
         }
         
-        allowlistClaimed[msg.sender] = true;
-        allowlistMintedCount[msg.sender] = quantity;
+        uint256 minted = allowlistMintedCount[msg.sender];
+        if (minted >= maxAllowance) revert AllowlistAlreadyClaimed();
+        if (minted + quantity > maxAllowance) revert ExceedsAllowlistAllowance();
+        if (quantity > saleSupplyRemaining()) revert ExceedsMaxSupply();
+        if (quantity > maxMintsPerTransaction) revert ExceedsMaxMintsPerTx();
+        if (msg.value < price * quantity) revert InsufficientPayment();
         
-        // Mint tokens
-        for (uint256 i = 0; i < quantity; i++) {
-            _safeMint(msg.sender, nextTokenId++);
+        allowlistMintedCount[msg.sender] = minted + quantity;
+        if (minted + quantity == maxAllowance) {
+            allowlistClaimed[msg.sender] = true;
         }
         
-        totalSupply += quantity;
-        emit AllowlistMint(msg.sender, nextTokenId - quantity, quantity);
+        emit AllowlistMint(msg.sender, _mintTokens(msg.sender, quantity, price), quantity);
+        _refundExcess(price * quantity);
     }
     
     /**
-     * @dev Mint NFTs during the public sale phase
+     * @dev Mint NFTs during the public sale phase, at the Dutch auction price
+     * when an auction is configured. Any ETH sent above the price is refunded.
      * @param quantity The number of NFTs to mint
      */
     function publicMint(uint256 quantity)
@@ -134,35 +342,230 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
         whenNotPaused
     {
         if (currentPhase != SalePhase.PUBLIC) revert InvalidPhase();
-        if (nextTokenId + quantity - 1 > maxSupply) revert ExceedsMaxSupply();
+        if (quantity > saleSupplyRemaining()) revert ExceedsMaxSupply();
+        if (quantity > maxMintsPerTransaction) revert ExceedsMaxMintsPerTx();
+        
+        uint256 price = getCurrentPrice();
+        if (msg.value < price * quantity) revert InsufficientPayment();
+        
+        bool auctionSale = dutchAuction.startTime != 0 && !auctionFinalized;
+        if (auctionSale) {
+            if (block.timestamp < dutchAuction.startTime) revert SaleNotStarted();
+            _recordAuctionSale(msg.sender, price, quantity);
+        }
+        
+        emit PublicMint(msg.sender, _mintTokens(msg.sender, quantity, price), quantity);
+        
+        if (auctionSale && saleSupplyRemaining() == 0) {
+            _finalizeAuction();
+        }
+        _refundExcess(price * quantity);
+    }
+    
+    /**
+     * @dev Mint for a sale contract holding MINTER_ROLE. The minter checks
+     * eligibility and forwards exactly `price * quantity`; `price` is recorded
+     * as the tokens' mint price, so withdrawals and refunds of a cancelled
+     * sale include it.
+     * @param to The recipient
+     * @param quantity The number of NFTs to mint
+     * @param price The price per token in wei the minter charged
+     * @return The ID of the first minted token
+     */
+    function minterMint(address to, uint256 quantity, uint256 price)
+        external
+        payable
+        whenNotPaused
+        onlyRole(MINTER_ROLE)
+        returns (uint256)
+    {
+        if (quantity == 0 || quantity > saleSupplyRemaining()) revert ExceedsMaxSupply();
+        if (quantity > maxMintsPerTransaction) revert ExceedsMaxMintsPerTx();
+        if (msg.value != price * quantity) revert IncorrectPayment();
+        
+        uint256 tokenId = _mintTokens(to, quantity, price);
+        emit MinterMint(msg.sender, to, tokenId, quantity);
+        return tokenId;
+    }
+    
+    /**
+     * @dev Claim the difference between what was paid in the Dutch auction and
+     * the final clearing price. Available once the auction is finalized.
+     */
+    function claimAuctionRebate() external {
+        if (!auctionFinalized) revert AuctionNotFinalized();
+        uint256 rebate = pendingRebate(msg.sender);
+        if (rebate == 0) revert NothingToRebate();
+        
+        auctionPaid[msg.sender] -= rebate;
+        auctionTotalPaid -= rebate;
+        
+        (bool success, ) = payable(msg.sender).call{value: rebate}("");
+        if (!success) revert TransferFailed();
+        
+        emit AuctionRebateClaimed(msg.sender, rebate);
+    }
+    
+    /**
+     * @dev Burn tokens of a cancelled sale and get back what was paid for them
+     * @param tokenIds The tokens to burn; the caller must own all of them
+     */
+    function claimRefund(uint256[] calldata tokenIds) external {
+        if (!saleCancelled) revert SaleNotCancelled();
+        if (block.timestamp > refundDeadline) revert RefundWindowClosed();
+        
+        uint256 refund;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (ownerOf(tokenIds[i]) != msg.sender) revert NotTokenOwner();
+            refund += mintPrice(tokenIds[i]);
+            _burn(tokenIds[i]);
+        }
+        mintRevenue -= refund;
+        
+        (bool success, ) = payable(msg.sender).call{value: refund}("");
+        if (!success) revert TransferFailed();
+        
+        emit RefundClaimed(msg.sender, tokenIds, refund);
+    }
+    
+    /**
+     * @dev Mint NFTs in the sale stage that is active at the current block timestamp.
+     * Any ETH sent above the price is refunded. The stage sets the price and
+     * wallet limit, so its leaf is only keccak256(abi.encodePacked(address));
+     * allowlistMint's tier leaves do not verify against a stage root.
+     * @param merkleProof The Merkle proof, ignored for stages without a Merkle root
+     * @param quantity The number of NFTs to mint
+     */
+    function stageMint(bytes32[] calldata merkleProof, uint256 quantity)
+        external
+        payable
+        whenNotPaused
+    {
+        uint256 stageId = activeStageId();
+        if (stageId == NO_STAGE) revert NoActiveStage();
+        SaleStage memory stage = saleStages[stageId];
+        
+        if (quantity > saleSupplyRemaining()) revert ExceedsMaxSupply();
         if (quantity > maxMintsPerTransaction) revert ExceedsMaxMintsPerTx();
-        if (msg.value < publicPrice * quantity) revert InsufficientPayment();
+        if (stage.supplyCap != 0 && stageMinted[stageId] + quantity > stage.supplyCap) {
+            revert ExceedsStageSupply();
+        }
+        if (stage.maxPerWallet != 0 && stageMintedBy[stageId][msg.sender] + quantity > stage.maxPerWallet) {
+            revert ExceedsWalletLimit();
+        }
+        if (msg.value < stage.price * quantity) revert InsufficientPayment();
         
-        // Mint tokens
-        for (uint256 i = 0; i < quantity; i++) {
-            _safeMint(msg.sender, nextTokenId++);
+        if (stage.merkleRoot != bytes32(0)) {
+            bytes32 leaf = keccak256(abi.encodePacked(msg.sender));
+            if (!MerkleProof.verify(merkleProof, stage.merkleRoot, leaf)) {
+                revert InvalidMerkleProof();
+            }
         }
         
-        totalSupply += quantity;
-        emit PublicMint(msg.sender, nextTokenId - quantity, quantity);
+        stageMinted[stageId] += quantity;
+        stageMintedBy[stageId][msg.sender] += quantity;
+        
+        emit StageMint(msg.sender, stageId, _mintTokens(msg.sender, quantity, stage.price), quantity);
+        _refundExcess(stage.price * quantity);
     }
     
     // ============ Admin Functions ============
     
+    /**
+     * @dev Mint tokens from the team reserve for free
+     * @param recipients The addresses to mint to
+     * @param quantities The number of tokens for each recipient
+     */
+    function airdrop(address[] calldata recipients, uint256[] calldata quantities) external onlyRole(SALE_MANAGER_ROLE) {
+        if (recipients.length == 0 || recipients.length != quantities.length) revert InvalidAirdrop();
+        if (saleCancelled) revert SaleIsCancelled();
+        
+        uint256 total;
+        for (uint256 i = 0; i < quantities.length; i++) {
+            total += quantities[i];
+        }
+        if (teamMinted + total > teamReserve) revert ExceedsTeamReserve();
+        teamMinted += total;
+        
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (recipients[i] == address(0)) revert ZeroAddress();
+            if (quantities[i] == 0) revert InvalidAirdrop();
+            emit Airdrop(recipients[i], _mintTokens(recipients[i], quantities[i], 0), quantities[i]);
+        }
+    }
+    
+    /**
+     * @dev Set how many tokens are held back from the sale for airdrops.
+     * The reserve counts tokens already airdropped.
+     * @param _teamReserve The total team reserve
+     */
+    function setTeamReserve(uint256 _teamReserve) external onlyRole(SALE_MANAGER_ROLE) {
+        if (_teamReserve < teamMinted) revert ExceedsTeamReserve();
+        if (_teamReserve - teamMinted > maxSupply - _totalMinted()) revert ExceedsMaxSupply();
+        teamReserve = _teamReserve;
+        emit TeamReserveSet(_teamReserve);
+    }
+    
     /**
      * @dev Set the current sale phase
      * @param _phase The new sale phase
      */
-    function setPhase(SalePhase _phase) external onlyOwner {
+    function setPhase(SalePhase _phase) external onlyRole(SALE_MANAGER_ROLE) {
         currentPhase = _phase;
         emit PhaseChanged(_phase);
     }
     
+    /**
+     * @dev Append a sale stage to the schedule
+     * @param stage The stage; must start at or after the end of the last stage
+     */
+    function addSaleStage(SaleStage calldata stage) external onlyRole(SALE_MANAGER_ROLE) {
+        saleStages.push(stage);
+        _validateStage(saleStages.length - 1);
+        emit SaleStageSet(saleStages.length - 1, stage);
+    }
+    
+    /**
+     * @dev Replace an existing sale stage. Mint counters of the stage are kept.
+     * @param stageId The index of the stage to update
+     * @param stage The new stage configuration
+     */
+    function updateSaleStage(uint256 stageId, SaleStage calldata stage) external onlyRole(SALE_MANAGER_ROLE) {
+        if (stageId >= saleStages.length) revert InvalidStage();
+        saleStages[stageId] = stage;
+        _validateStage(stageId);
+        emit SaleStageSet(stageId, stage);
+    }
+    
+    /**
+     * @dev Configure the Dutch auction for the public phase. Pass a zero
+     * startTime to disable it. Locked once the first auction sale happened.
+     * @param auction The auction configuration
+     */
+    function setDutchAuction(DutchAuction calldata auction) external onlyRole(SALE_MANAGER_ROLE) {
+        if (lastAuctionPrice != 0 || auctionFinalized) revert InvalidAuction();
+        if (auction.startTime != 0 && (auction.dropInterval == 0 || auction.floorPrice > auction.startPrice)) {
+            revert InvalidAuction();
+        }
+        dutchAuction = auction;
+        emit DutchAuctionSet(auction);
+    }
+    
+    /**
+     * @dev End the Dutch auction at the price of the last sale. Later public
+     * mints are charged the clearing price and rebates become claimable.
+     */
+    function finalizeDutchAuction() external onlyRole(SALE_MANAGER_ROLE) {
+        if (dutchAuction.startTime == 0 || auctionFinalized) revert InvalidAuction();
+        if (saleCancelled) revert SaleIsCancelled();
+        _finalizeAuction();
+    }
+    
     /**
      * @dev Set the Merkle root for allowlist verification
      * @param _merkleRoot The new Merkle root
      */
-    function setMerkleRoot(bytes32 _merkleRoot) external onlyOwner {
+    function setMerkleRoot(bytes32 _merkleRoot) external onlyRole(SALE_MANAGER_ROLE) {
         merkleRoot = _merkleRoot;
         emit MerkleRootUpdated(_merkleRoot);
     }
@@ -171,32 +574,132 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
      * @dev Set the base URI for token metadata
      * @param _baseURI The new base URI
      */
-    function setBaseURI(string calldata _baseURI) external onlyOwner {
+    function setBaseURI(string calldata _baseURI) external onlyRole(METADATA_MANAGER_ROLE) whenMetadataNotFrozen {
         baseURI = _baseURI;
         emit URIUpdated(_baseURI);
+        emit BatchMetadataUpdate(_startTokenId(), type(uint256).max);
+    }
+    
+    /**
+     * @dev Set the suffix appended to the metadata ID, e.g. "" for extensionless files
+     * @param _uriSuffix The new suffix
+     */
+    function setURISuffix(string calldata _uriSuffix) external onlyRole(METADATA_MANAGER_ROLE) whenMetadataNotFrozen {
+        uriSuffix = _uriSuffix;
+        emit BatchMetadataUpdate(_startTokenId(), type(uint256).max);
     }
     
     /**
-     * @dev Reveal the collection by enabling the base URI
+     * @dev Switch revealed tokens to on-chain metadata, or back to baseURI
+     * @param _renderer The renderer, e.g. an OnChainRenderer; address(0) to use baseURI
      */
-    function revealCollection() external onlyOwner {
+    function setRenderer(IMetadataRenderer _renderer) external onlyRole(METADATA_MANAGER_ROLE) whenMetadataNotFrozen {
+        renderer = _renderer;
+        emit RendererUpdated(address(_renderer));
+        emit BatchMetadataUpdate(_startTokenId(), type(uint256).max);
+    }
+    
+    /**
+     * @dev Permanently lock the metadata configuration. Reveals are still possible.
+     * A renderer has to be locked first, or its art could still change.
+     */
+    function freezeMetadata() external onlyRole(METADATA_MANAGER_ROLE) {
+        if (address(renderer) != address(0) && !renderer.locked()) revert RendererNotLocked();
+        metadataFrozen = true;
+        emit MetadataFrozen();
+    }
+    
+    /**
+     * @dev Commit the provenance hash of the collection's artwork.
+     * Can only be changed until the first token is minted.
+     * @param _provenanceHash SHA-256 of the concatenated per-image SHA-256 hashes
+     */
+    function setProvenanceHash(bytes32 _provenanceHash) external onlyRole(METADATA_MANAGER_ROLE) {
+        if (_totalMinted() > 0 || startingIndex != 0) revert ProvenanceLocked();
+        provenanceHash = _provenanceHash;
+        emit ProvenanceHashSet(_provenanceHash);
+    }
+    
+    /**
+     * @dev Commit the next block's hash as the source of the starting index.
+     * Nobody knows that hash yet, the caller included, and once it is mined
+     * anyone can finalize the index with finalizeStartingIndex().
+     */
+    function commitStartingIndex() external onlyRole(METADATA_MANAGER_ROLE) {
+        if (startingIndexBlock != 0) revert StartingIndexAlreadyCommitted();
+        _commitStartingIndex();
+    }
+    
+    /**
+     * @dev Draw the starting index from the committed block's hash. Anyone can
+     * call it and the result does not depend on who calls or when, so it
+     * cannot be retried until a preferred index comes up. The hash is only
+     * available for 256 blocks; after that, the next block is committed instead.
+     */
+    function finalizeStartingIndex() external {
+        uint256 blockNumber = startingIndexBlock;
+        if (blockNumber == 0 || startingIndex != 0 || block.number <= blockNumber) revert StartingIndexPending();
+        
+        bytes32 hash = blockhash(blockNumber);
+        if (hash == 0) {
+            _commitStartingIndex();
+            return;
+        }
+        
+        startingIndex = uint256(hash) % maxSupply;
+        // Prevent the default sequence
+        if (startingIndex == 0) {
+            startingIndex = 1;
+        }
+        emit StartingIndexSet(startingIndex);
+    }
+    
+    /**
+     * @dev Reveal every token, including the ones minted later.
+     * The starting index has to be drawn first.
+     */
+    function revealCollection() external onlyRole(METADATA_MANAGER_ROLE) {
+        if (revealed) revert AlreadyRevealed();
+        if (startingIndex == 0) revert StartingIndexNotSet();
+        
         revealed = true;
         emit Revealed();
+        emit BatchMetadataUpdate(_startTokenId(), type(uint256).max);
+    }
+    
+    /**
+     * @dev Reveal the next range of minted tokens, e.g. one mint batch at a time.
+     * The starting index has to be drawn first.
+     * @param lastTokenId The last token ID to reveal; must already be minted
+     */
+    function revealThrough(uint256 lastTokenId) external onlyRole(METADATA_MANAGER_ROLE) {
+        if (revealed) revert AlreadyRevealed();
+        if (lastTokenId <= revealedThrough || lastTokenId >= _nextTokenId()) revert InvalidRevealRange();
+        if (startingIndex == 0) revert StartingIndexNotSet();
+        
+        uint256 fromTokenId = revealedThrough + 1;
+        revealedThrough = lastTokenId;
+        if (fromTokenId == lastTokenId) {
+            emit MetadataUpdate(lastTokenId);
+        } else {
+            emit BatchMetadataUpdate(fromTokenId, lastTokenId);
+        }
     }
     
     /**
      * @dev Set the unrevealed URI for all tokens
      * @param _unrevealedURI The new unrevealed URI
      */
-    function setUnrevealedURI(string calldata _unrevealedURI) external onlyOwner {
+    function setUnrevealedURI(string calldata _unrevealedURI) external onlyRole(METADATA_MANAGER_ROLE) whenMetadataNotFrozen {
         unrevealedURI = _unrevealedURI;
+        emit BatchMetadataUpdate(_startTokenId(), type(uint256).max);
     }
     
     /**
      * @dev Update allowlist price
      * @param _price The new allowlist price in wei
      */
-    function setAllowlistPrice(uint256 _price) external onlyOwner {
+    function setAllowlistPrice(uint256 _price) external onlyRole(SALE_MANAGER_ROLE) {
         allowlistPrice = _price;
     }
     
@@ -204,40 +707,80 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
      * @dev Update public sale price
      * @param _price The new public sale price in wei
      */
-    function setPublicPrice(uint256 _price) external onlyOwner {
+    function setPublicPrice(uint256 _price) external onlyRole(SALE_MANAGER_ROLE) {
         publicPrice = _price;
     }
     
     
-    function setMaxSupply(uint256 _maxSupply) external onlyOwner {
-        require(_maxSupply > totalSupply, "Max supply must be greater than current supply");
+    function setMaxSupply(uint256 _maxSupply) external onlyRole(SALE_MANAGER_ROLE) {
+        // The starting index is drawn modulo maxSupply, so it is fixed once the block is committed
+        if (startingIndexBlock != 0) revert StartingIndexAlreadyCommitted();
+        // Must stay above the minted supply plus the unminted team reserve
+        if (_maxSupply <= _totalMinted() + teamReserve - teamMinted) revert InvalidMaxSupply();
         maxSupply = _maxSupply;
     }
 
-    function setMaxMintsPerTransaction(uint256 _maxMintsPerTransaction) external onlyOwner {
+    function setMaxMintsPerTransaction(uint256 _maxMintsPerTransaction) external onlyRole(SALE_MANAGER_ROLE) {
         maxMintsPerTransaction = _maxMintsPerTransaction;
     }
     
     /**
-     * @dev Pause/unpause minting
+     * @dev Pause/unpause minting. A cancelled sale stays paused.
      */
-    function setPaused(bool _paused) external onlyOwner {
+    function setPaused(bool _paused) external onlyRole(PAUSER_ROLE) {
         if (_paused) {
             _pause();
         } else {
+            if (saleCancelled) revert SaleIsCancelled();
             _unpause();
         }
     }
     
     /**
-     * @dev Withdraw contract balance to owner
+     * @dev Cancel the sale: minting stops for good and holders can burn their
+     * tokens for a refund of the mint price during the refund period. The
+     * contract must hold enough ETH to refund every token; send the shortfall
+     * with the call if revenue was already withdrawn. Not available once a
+     * rebate auction is finalized, since buyers can already claim rebates.
+     * @param refundPeriod How long refunds can be claimed, in seconds
+     */
+    function cancelSale(uint256 refundPeriod) external payable onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (saleCancelled) revert SaleIsCancelled();
+        if (auctionFinalized && auctionTotalMinted > 0) revert InvalidAuction();
+        if (address(this).balance < mintRevenue) revert InsufficientPayment();
+        
+        saleCancelled = true;
+        refundDeadline = block.timestamp + refundPeriod;
+        if (!paused()) _pause();
+        
+        emit SaleCancelled(refundDeadline);
+    }
+    
+    /**
+     * @dev Set where withdraw() sends sale proceeds
+     * @param _recipient The payout address, e.g. a RevenueSplitter; address(0) for the owner
      */
-    function withdraw() external onlyOwner {
-        uint256 balance = address(this).balance;
+    function setPayoutRecipient(address _recipient) external onlyRole(TREASURER_ROLE) {
+        payoutRecipient = _recipient;
+        emit PayoutRecipientUpdated(_recipient);
+    }
+    
+    /**
+     * @dev Withdraw contract balance to the payout recipient, keeping back
+     * auction rebates that buyers may still claim. Blocked while refunds of a
+     * cancelled sale can be claimed, and when there is neither a payout
+     * recipient nor an admin to pay.
+     */
+    function withdraw() external onlyRole(TREASURER_ROLE) {
+        if (saleCancelled && block.timestamp <= refundDeadline) revert RefundWindowOpen();
+        uint256 balance = address(this).balance - _rebateReserve();
         if (balance == 0) revert InsufficientPayment();
         
-        (bool success, ) = payable(owner()).call{value: balance}("");
-        require(success, "Withdrawal failed");
+        address recipient = payoutRecipient == address(0) ? owner() : payoutRecipient;
+        // owner() is address(0) once the admin role is renounced
+        if (recipient == address(0)) revert ZeroAddress();
+        (bool success, ) = payable(recipient).call{value: balance}("");
+        if (!success) revert TransferFailed();
         
         emit Withdrawal(balance);
     }
@@ -247,15 +790,96 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
      * @param _receiver The royalty receiver address
      * @param _percentage The royalty percentage (e.g., 500 for 5%)
      */
-    function setRoyalty(address _receiver, uint96 _percentage) external onlyOwner {
+    function setRoyalty(address _receiver, uint96 _percentage) external onlyRole(TREASURER_ROLE) {
         if (_receiver == address(0)) revert ZeroAddress();
         royaltyRecipient = _receiver;
         royaltyPercentage = _percentage;
         _setDefaultRoyalty(_receiver, _percentage);
     }
     
+    /**
+     * @dev Give a token its own royalty instead of the default
+     * @param tokenId The token ID, minted or not
+     * @param _receiver The royalty receiver address, e.g. the artist of a 1/1
+     * @param _percentage The royalty percentage (e.g., 500 for 5%)
+     */
+    function setTokenRoyalty(uint256 tokenId, address _receiver, uint96 _percentage) external onlyRole(TREASURER_ROLE) {
+        if (_receiver == address(0)) revert ZeroAddress();
+        _setTokenRoyalty(tokenId, _receiver, _percentage);
+        hasRoyaltyOverride[tokenId] = true;
+        emit TokenRoyaltySet(tokenId, _receiver, _percentage);
+    }
+    
+    /**
+     * @dev Return a token to the default royalty
+     * @param tokenId The token ID
+     */
+    function resetTokenRoyalty(uint256 tokenId) external onlyRole(TREASURER_ROLE) {
+        _resetTokenRoyalty(tokenId);
+        hasRoyaltyOverride[tokenId] = false;
+        emit TokenRoyaltyReset(tokenId);
+    }
+    
+    /**
+     * @dev Block or unblock a marketplace operator. Blocked operators cannot be
+     * approved, and transfers they initiate revert even with an earlier approval.
+     * @param operator The operator, e.g. a marketplace conduit
+     * @param blocked Whether the operator is blocked
+     */
+    function setOperatorBlocked(address operator, bool blocked) external onlyRole(TREASURER_ROLE) {
+        blockedOperators[operator] = blocked;
+        emit OperatorBlockUpdated(operator, blocked);
+    }
+    
+    // ============ Admin Transfer ============
+    
+    /**
+     * @dev Start handing the admin role to `newAdmin`, who must accept it.
+     * Replaces any pending transfer; address(0) cancels it.
+     * @param newAdmin The next admin
+     */
+    function beginAdminTransfer(address newAdmin) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        pendingAdmin = newAdmin;
+        emit AdminTransferStarted(msg.sender, newAdmin);
+    }
+    
+    /**
+     * @dev Complete a transfer started with beginAdminTransfer. Only the admin
+     * role moves: the previous admin keeps any operational roles it holds
+     * (sale, metadata, treasurer, pauser), so the sale keeps running during a
+     * handover. The new admin revokes them with revokeRole.
+     */
+    function acceptAdminTransfer() external {
+        if (msg.sender != pendingAdmin) revert NotPendingAdmin();
+        delete pendingAdmin;
+        _revokeRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+    
+    // ============ Approval Functions ============
+    
+    function approve(address to, uint256 tokenId) public payable override {
+        if (blockedOperators[to]) revert OperatorBlocked(to);
+        super.approve(to, tokenId);
+    }
+    
+    /**
+     * @dev Revoking the approval of a blocked operator is always allowed
+     */
+    function setApprovalForAll(address operator, bool approved) public override {
+        if (approved && blockedOperators[operator]) revert OperatorBlocked(operator);
+        super.setApprovalForAll(operator, approved);
+    }
+    
     // ============ View Functions ============
     
+    /**
+     * @dev Get the admin, which marketplaces treat as the collection owner
+     */
+    function owner() public view returns (address) {
+        return admin;
+    }
+    
     /**
      * @dev Get the token URI for metadata
      * @param tokenId The token ID
@@ -267,28 +891,116 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
         override
         returns (string memory)
     {
-        require(_exists(tokenId), "Token does not exist");
+        if (!_exists(tokenId)) revert NonexistentToken();
         
-        if (!revealed) {
+        if (!isRevealed(tokenId)) {
             return unrevealedURI;
         }
         
-        return string(abi.encodePacked(baseURI, "/", _toString(tokenId), ".json"));
+        if (address(renderer) != address(0)) {
+            return renderer.tokenURI(metadataId(tokenId));
+        }
+        
+        bytes memory base = bytes(baseURI);
+        if (base.length == 0) {
+            return "";
+        }
+        // Only add a separator when the base URI does not end with one
+        string memory separator = base[base.length - 1] == "/" ? "" : "/";
+        return string(abi.encodePacked(baseURI, separator, _toString(metadataId(tokenId)), uriSuffix));
+    }
+    
+    /**
+     * @dev Check whether a token shows its final metadata, by full or staged reveal
+     * @param tokenId The token ID
+     */
+    function isRevealed(uint256 tokenId) public view returns (bool) {
+        return revealed || tokenId <= revealedThrough;
+    }
+    
+    /**
+     * @dev Get the metadata file a token resolves to after the reveal
+     * @param tokenId The token ID
+     * @return The metadata ID, shifted by the starting index
+     */
+    function metadataId(uint256 tokenId) public view returns (uint256) {
+        return ((tokenId - 1 + startingIndex) % maxSupply) + 1;
+    }
+    
+    /**
+     * @dev Get how many tokens are left for sale, excluding the unminted team reserve
+     */
+    function saleSupplyRemaining() public view returns (uint256) {
+        return maxSupply - _totalMinted() - (teamReserve - teamMinted);
+    }
+    
+    /**
+     * @dev Get the ID the next minted token will get
+     */
+    function nextTokenId() public view returns (uint256) {
+        return _nextTokenId();
+    }
+    
+    /**
+     * @dev Get the price paid for a token when it was minted
+     * @param tokenId The token ID
+     * @return The price in wei
+     */
+    function mintPrice(uint256 tokenId) public view returns (uint256) {
+        if (!_exists(tokenId)) revert NonexistentToken();
+        // Walk back to the first token of the token's mint batch
+        while (!mintBatches[tokenId].exists) {
+            tokenId--;
+        }
+        return mintBatches[tokenId].price;
     }
     
     /**
-     * @dev Check if an address is allowlisted
+     * @dev Check if an address is allowlisted with the given tier
      * @param account The account address
+     * @param maxAllowance The total number of tokens the account may mint
+     * @param price The price per token in wei for the account
      * @param merkleProof The Merkle proof for verification
      * @return Whether the address is allowlisted
      */
-    function isAllowlisted(address account, bytes32[] calldata merkleProof)
+    function isAllowlisted(
+        address account,
+        uint256 maxAllowance,
+        uint256 price,
+        bytes32[] calldata merkleProof
+    )
         public
         view
         returns (bool)
     {
-        bytes32 leaf = keccak256(abi.encodePacked(account));
-        return MerkleProof.verify(merkleProof, merkleRoot, leaf);
+        return MerkleProof.verify(merkleProof, merkleRoot, _allowlistLeaf(account, maxAllowance, price));
+    }
+    
+    /**
+     * @dev Get the price per token of a public mint right now
+     * @return The Dutch auction price if an auction is configured, else publicPrice
+     */
+    function getCurrentPrice() public view returns (uint256) {
+        DutchAuction memory auction = dutchAuction;
+        if (auction.startTime == 0) return publicPrice;
+        if (auctionFinalized) return auctionClearingPrice;
+        if (block.timestamp <= auction.startTime) return auction.startPrice;
+        
+        uint256 discount = ((block.timestamp - auction.startTime) / auction.dropInterval) * auction.priceDrop;
+        if (discount >= auction.startPrice - auction.floorPrice) return auction.floorPrice;
+        return auction.startPrice - discount;
+    }
+    
+    /**
+     * @dev Get the rebate an account can claim, measured against the clearing
+     * price once finalized and against the current price before that
+     * @param account The buyer address
+     * @return The rebate in wei
+     */
+    function pendingRebate(address account) public view returns (uint256) {
+        uint256 paid = auctionPaid[account];
+        uint256 owed = auctionMintedBy[account] * getCurrentPrice();
+        return paid > owed ? paid - owed : 0;
     }
     
     /**
@@ -301,6 +1013,37 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
         return "CLOSED";
     }
     
+    /**
+     * @dev Get the sale stage active at the current block timestamp
+     * @return The stage index, or NO_STAGE if no stage is running
+     */
+    function activeStageId() public view returns (uint256) {
+        for (uint256 i = 0; i < saleStages.length; i++) {
+            if (block.timestamp < saleStages[i].startTime) break;
+            if (block.timestamp < saleStages[i].endTime) return i;
+        }
+        return NO_STAGE;
+    }
+    
+    /**
+     * @dev Get the next sale stage that has not started yet
+     * @return The stage index, or NO_STAGE if none is scheduled
+     */
+    function nextStageId() public view returns (uint256) {
+        for (uint256 i = 0; i < saleStages.length; i++) {
+            if (block.timestamp < saleStages[i].startTime) return i;
+        }
+        return NO_STAGE;
+    }
+    
+    /**
+     * @dev Get a single sale stage
+     */
+    function getSaleStage(uint256 stageId) external view returns (SaleStage memory) {
+        if (stageId >= saleStages.length) revert InvalidStage();
+        return saleStages[stageId];
+    }
+    
     /**
      * @dev Get contract details
      */
@@ -313,61 +1056,198 @@ contract NFTLaunchpad is ERC721, ERC2981, Ownable, Pausable {
             uint256 _allowlistPrice,
             uint256 _publicPrice,
             bool _revealed,
-            uint256 _nextTokenId
+            uint256 _nextTokenId,
+            uint256 _activeStageId,
+            uint256 _nextStageId,
+            uint256 _stageCount
         )
     {
         return (
             maxSupply,
-            totalSupply,
+            totalSupply(),
             allowlistPrice,
             publicPrice,
             revealed,
-            nextTokenId
+            nextTokenId(),
+            activeStageId(),
+            nextStageId(),
+            saleStages.length
         );
     }
     
     // ============ Internal Functions ============
     
     /**
-     * @dev Check if a token exists
+     * @dev Settings and roles shared by the constructor and initialize()
+     */
+    function _initialize(
+        address _admin,
+        uint256 _maxSupply,
+        uint256 _allowlistPrice,
+        uint256 _publicPrice,
+        address _royaltyRecipient,
+        uint96 _royaltyPercentage
+    ) internal {
+        maxSupply = _maxSupply;
+        allowlistPrice = _allowlistPrice;
+        publicPrice = _publicPrice;
+        maxMintsPerTransaction = 10;
+        uriSuffix = ".json";
+        royaltyRecipient = _royaltyRecipient;
+        royaltyPercentage = _royaltyPercentage;
+        
+        // Set default royalty
+        _setDefaultRoyalty(_royaltyRecipient, _royaltyPercentage);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(SALE_MANAGER_ROLE, _admin);
+        _grantRole(METADATA_MANAGER_ROLE, _admin);
+        _grantRole(TREASURER_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+    }
+    
+    /**
+     * @dev Mint `quantity` sequential tokens to `to`, paid at `price` each.
+     * ERC721A records ownership once per batch instead of once per token.
+     * @return The ID of the first minted token
      */
-    function _exists(uint256 tokenId) internal view returns (bool) {
-        return tokenId > 0 && tokenId < nextTokenId;
+    function _mintTokens(address to, uint256 quantity, uint256 price) internal returns (uint256) {
+        uint256 startTokenId = _nextTokenId();
+        mintBatches[startTokenId] = MintBatch(uint128(price), true);
+        mintRevenue += price * quantity;
+        _safeMint(to, quantity);
+        return startTokenId;
     }
     
     /**
-     * @dev Convert uint256 to string
+     * @dev Send back any ETH paid above `cost`
      */
-    function _toString(uint256 value) internal pure returns (string memory) {
-        if (value == 0) {
-            return "0";
+    function _refundExcess(uint256 cost) internal {
+        if (msg.value > cost) {
+            (bool success, ) = payable(msg.sender).call{value: msg.value - cost}("");
+            if (!success) revert TransferFailed();
         }
-        uint256 temp = value;
-        uint256 digits;
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
+    }
+    
+    /**
+     * @dev Commit the next block for the starting index that shifts the token ->
+     * metadata mapping, so the art order committed in the provenance hash
+     * cannot be matched to minters
+     */
+    function _commitStartingIndex() internal {
+        startingIndexBlock = block.number + 1;
+        emit StartingIndexCommitted(block.number + 1);
+    }
+    
+    /**
+     * @dev Track an auction sale for the clearing price and rebates
+     */
+    function _recordAuctionSale(address buyer, uint256 price, uint256 quantity) internal {
+        lastAuctionPrice = price;
+        if (!dutchAuction.rebate) return;
+        
+        auctionPaid[buyer] += price * quantity;
+        auctionMintedBy[buyer] += quantity;
+        auctionTotalPaid += price * quantity;
+        auctionTotalMinted += quantity;
+    }
+    
+    /**
+     * @dev Fix the clearing price at the last sale, or at the current price
+     * if nothing sold in the auction
+     */
+    function _finalizeAuction() internal {
+        uint256 clearingPrice = lastAuctionPrice != 0 ? lastAuctionPrice : getCurrentPrice();
+        auctionClearingPrice = clearingPrice;
+        auctionFinalized = true;
+        emit DutchAuctionFinalized(clearingPrice);
+    }
+    
+    /**
+     * @dev Funds owed as rebates in the worst case: before finalization the
+     * clearing price can still fall to the floor. A cancelled auction is
+     * refunded in full instead and never pays rebates.
+     */
+    function _rebateReserve() internal view returns (uint256) {
+        if (saleCancelled) return 0;
+        uint256 lowest = auctionFinalized ? auctionClearingPrice : dutchAuction.floorPrice;
+        return auctionTotalPaid - auctionTotalMinted * lowest;
+    }
+    
+    /**
+     * @dev Allowlist Merkle leaf for a wallet and its tier
+     */
+    function _allowlistLeaf(address account, uint256 maxAllowance, uint256 price)
+        internal
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(account, maxAllowance, price));
+    }
+    
+    /**
+     * @dev Check a stage's time window and that it does not overlap its neighbours
+     */
+    function _validateStage(uint256 stageId) internal view {
+        SaleStage storage stage = saleStages[stageId];
+        if (stage.startTime >= stage.endTime) revert InvalidStage();
+        if (stageId > 0 && stage.startTime < saleStages[stageId - 1].endTime) revert InvalidStage();
+        if (stageId + 1 < saleStages.length && stage.endTime > saleStages[stageId + 1].startTime) {
+            revert InvalidStage();
         }
-        bytes memory buffer = new bytes(digits);
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
-            value /= 10;
+    }
+    
+    /**
+     * @dev Token IDs start at 1
+     */
+    function _startTokenId() internal pure override returns (uint256) {
+        return 1;
+    }
+    
+    /**
+     * @dev Stop blocked operators from moving tokens they were approved for
+     * before being blocked. Owners moving their own tokens are not affected.
+     */
+    function _beforeTokenTransfers(address from, address to, uint256 startTokenId, uint256 quantity)
+        internal
+        override
+    {
+        if (from != address(0) && msg.sender != from && blockedOperators[msg.sender]) {
+            revert OperatorBlocked(msg.sender);
         }
-        return string(buffer);
+        super._beforeTokenTransfers(from, to, startTokenId, quantity);
     }
     
     // ============ Override Functions ============
     
+    /**
+     * @dev The admin role only moves through beginAdminTransfer/acceptAdminTransfer
+     */
+    function _grantRole(bytes32 role, address account) internal override returns (bool) {
+        if (role == DEFAULT_ADMIN_ROLE) {
+            if (admin != address(0)) revert AdminRoleTaken();
+            admin = account;
+        }
+        return super._grantRole(role, account);
+    }
+    
+    function _revokeRole(bytes32 role, address account) internal override returns (bool) {
+        if (role == DEFAULT_ADMIN_ROLE && account == admin) {
+            delete admin;
+        }
+        return super._revokeRole(role, account);
+    }
+    
     /**
      * @dev Required override for supportsInterface
      */
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC2981)
+        override(ERC721AUpgradeable, ERC2981, AccessControl)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        // 0x49064906: EIP-4906 metadata update events
+        return interfaceId == bytes4(0x49064906) || super.supportsInterface(interfaceId);
     }
 }
@@ -0,0 +1,245 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./IMetadataRenderer.sol";
+
+/**
+ * @title OnChainRenderer
+ * @dev Fully on-chain metadata for NFTLaunchpad. Stores the SVG fragment of
+ * every trait and one byte per layer for every metadata ID, and renders
+ * tokenURI as a base64 data:application/json URI embedding a base64 SVG.
+ * The data is exported by `generateMetadata.js --onchain` and uploaded with
+ * `scripts/uploadOnChain.js`; the rendered SVG is byte-identical to the
+ * generated `assets/<id>.svg`.
+ */
+contract OnChainRenderer is IMetadataRenderer, Ownable {
+    // ============ State Variables ============
+
+    struct Trait {
+        string name;
+        string svg;  // the trait's <g> element as written by the generator; empty = no artwork
+    }
+
+    struct Layer {
+        string name;
+        Trait[] traits;
+    }
+
+    Layer[] private layers;
+
+    // Trait index per layer for every metadata ID, starting at ID 1
+    bytes public tokenTraits;
+
+    string public name;
+    string public description;
+    uint256 public width;
+    uint256 public height;
+
+    // Once locked, the on-chain art can no longer change
+    bool public locked;
+
+    // ============ Events ============
+
+    event LayerAdded(uint256 indexed layerId, string name);
+    event TraitsAdded(uint256 indexed layerId, uint256 count);
+    event TokenTraitsAppended(uint256 tokenCount);
+    event Locked();
+
+    // ============ Errors ============
+
+    error RendererLocked();
+    error InvalidLayer();
+    error InvalidTraits();
+    error UnknownToken();
+
+    // ============ Constructor ============
+
+    constructor(
+        string memory _name,
+        string memory _description,
+        uint256 _width,
+        uint256 _height
+    ) Ownable(msg.sender) {
+        name = _name;
+        description = _description;
+        width = _width;
+        height = _height;
+    }
+
+    modifier whenUnlocked() {
+        if (locked) revert RendererLocked();
+        _;
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @dev Append a layer on top of the existing ones. Only possible before
+     * the first token traits are stored, since each token has one byte per layer.
+     * @param layerName The trait type shown in the attributes
+     */
+    function addLayer(string calldata layerName) external onlyOwner whenUnlocked {
+        if (tokenTraits.length > 0) revert InvalidLayer();
+        layers.push().name = layerName;
+        emit LayerAdded(layers.length - 1, layerName);
+    }
+
+    /**
+     * @dev Append traits to a layer, in the order of the layer config
+     * @param layerId The layer index
+     * @param names The trait names
+     * @param svgs The SVG fragment of each trait
+     */
+    function addTraits(uint256 layerId, string[] calldata names, string[] calldata svgs)
+        external
+        onlyOwner
+        whenUnlocked
+    {
+        if (layerId >= layers.length) revert InvalidLayer();
+        if (names.length != svgs.length) revert InvalidTraits();
+
+        Trait[] storage traits = layers[layerId].traits;
+        for (uint256 i = 0; i < names.length; i++) {
+            traits.push(Trait(names[i], svgs[i]));
+        }
+        if (traits.length > 256) revert InvalidTraits();
+
+        emit TraitsAdded(layerId, names.length);
+    }
+
+    /**
+     * @dev Append the trait indices of further tokens, one byte per layer.
+     * Every index must point at a trait of its layer, so tokenURI cannot fail later.
+     * @param chunk Encoded traits of whole tokens, in metadata ID order
+     */
+    function appendTokenTraits(bytes calldata chunk) external onlyOwner whenUnlocked {
+        uint256 layerTotal = layers.length;
+        if (layerTotal == 0 || chunk.length % layerTotal != 0) revert InvalidTraits();
+
+        uint256[] memory traitCounts = new uint256[](layerTotal);
+        for (uint256 i = 0; i < layerTotal; i++) {
+            traitCounts[i] = layers[i].traits.length;
+        }
+        for (uint256 i = 0; i < chunk.length; i++) {
+            if (uint8(chunk[i]) >= traitCounts[i % layerTotal]) revert InvalidTraits();
+        }
+        tokenTraits = bytes.concat(tokenTraits, chunk);
+        emit TokenTraitsAppended(tokenCount());
+    }
+
+    /**
+     * @dev Make the stored art permanent
+     */
+    function lock() external onlyOwner {
+        locked = true;
+        emit Locked();
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get the metadata of a token as a data URI
+     * @param metadataId The metadata ID (NFTLaunchpad.metadataId of the token)
+     */
+    function tokenURI(uint256 metadataId) external view returns (string memory) {
+        string memory json = string.concat(
+            '{"name":"', name, " #", Strings.toString(metadataId),
+            '","description":"', description,
+            '","image":"data:image/svg+xml;base64,', Base64.encode(bytes(tokenSVG(metadataId))),
+            '","dna":"', _dna(metadataId),
+            '","attributes":', _attributes(metadataId),
+            "}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Compose the SVG of a token from its trait layers
+     * @param metadataId The metadata ID
+     */
+    function tokenSVG(uint256 metadataId) public view returns (string memory svg) {
+        uint256 offset = _traitOffset(metadataId);
+
+        bool first = true;
+        for (uint256 i = 0; i < layers.length; i++) {
+            string storage group = layers[i].traits[uint8(tokenTraits[offset + i])].svg;
+            if (bytes(group).length == 0) continue;
+            svg = string.concat(svg, first ? "" : "\n", group);
+            first = false;
+        }
+
+        string memory size = string.concat(
+            'width="', Strings.toString(width), '" height="', Strings.toString(height),
+            '" viewBox="0 0 ', Strings.toString(width), " ", Strings.toString(height), '"'
+        );
+        return string.concat(
+            "<svg ", size, ' xmlns="http://www.w3.org/2000/svg">\n', svg, "\n</svg>\n"
+        );
+    }
+
+    function layerCount() external view returns (uint256) {
+        return layers.length;
+    }
+
+    function traitCount(uint256 layerId) external view returns (uint256) {
+        if (layerId >= layers.length) revert InvalidLayer();
+        return layers[layerId].traits.length;
+    }
+
+    function tokenCount() public view returns (uint256) {
+        return layers.length == 0 ? 0 : tokenTraits.length / layers.length;
+    }
+
+    // ============ Internal Functions ============
+
+    function _traitOffset(uint256 metadataId) internal view returns (uint256) {
+        if (metadataId == 0 || metadataId > tokenCount()) revert UnknownToken();
+        return (metadataId - 1) * layers.length;
+    }
+
+    /**
+     * @dev JSON array of trait_type/value pairs, one per layer
+     */
+    function _attributes(uint256 metadataId) internal view returns (string memory attributes) {
+        uint256 offset = _traitOffset(metadataId);
+
+        for (uint256 i = 0; i < layers.length; i++) {
+            attributes = string.concat(
+                attributes,
+                i == 0 ? "" : ",",
+                '{"trait_type":"', layers[i].name,
+                '","value":"', layers[i].traits[uint8(tokenTraits[offset + i])].name, '"}'
+            );
+        }
+        return string.concat("[", attributes, "]");
+    }
+
+    /**
+     * @dev Same DNA as the generator: SHA-256 of "Layer:Trait|Layer:Trait|..."
+     */
+    function _dna(uint256 metadataId) internal view returns (string memory) {
+        uint256 offset = _traitOffset(metadataId);
+
+        bytes memory key;
+        for (uint256 i = 0; i < layers.length; i++) {
+            key = bytes.concat(
+                key,
+                i == 0 ? bytes("") : bytes("|"),
+                bytes(layers[i].name),
+                ":",
+                bytes(layers[i].traits[uint8(tokenTraits[offset + i])].name)
+            );
+        }
+
+        // Lower-case hex without the 0x prefix
+        bytes memory hex0x = bytes(Strings.toHexString(uint256(sha256(key)), 32));
+        bytes memory digest = new bytes(64);
+        for (uint256 i = 0; i < 64; i++) {
+            digest[i] = hex0x[i + 2];
+        }
+        return string(digest);
+    }
+}
@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title RevenueSplitter
+ * @dev Splits ETH and ERC-20 payments between a fixed set of payees by basis
+ * points. Used as the payout recipient of NFTLaunchpad.withdraw() and as the
+ * ERC-2981 royalty receiver. Payees pull their share with release().
+ */
+contract RevenueSplitter {
+    using SafeERC20 for IERC20;
+
+    // ============ State Variables ============
+
+    uint256 public constant TOTAL_SHARES = 10_000;
+
+    address[] private payeeList;
+    mapping(address => uint256) public shares;
+
+    // ETH accounting
+    uint256 public totalReleased;
+    mapping(address => uint256) public released;
+
+    // ERC-20 accounting, e.g. royalties paid in WETH
+    mapping(IERC20 => uint256) public erc20TotalReleased;
+    mapping(IERC20 => mapping(address => uint256)) public erc20Released;
+
+    // ============ Events ============
+
+    event PayeeAdded(address indexed account, uint256 shares);
+    event PaymentReceived(address indexed from, uint256 amount);
+    event PaymentReleased(address indexed to, uint256 amount);
+    event ERC20PaymentReleased(IERC20 indexed token, address indexed to, uint256 amount);
+
+    // ============ Errors ============
+
+    error InvalidPayees();
+    error ZeroAddress();
+    error DuplicatePayee();
+    error NotPayee();
+    error NothingToRelease();
+    error TransferFailed();
+
+    // ============ Constructor ============
+
+    /**
+     * @param _payees The payee addresses
+     * @param _shares The share of each payee in basis points; must add up to TOTAL_SHARES
+     */
+    constructor(address[] memory _payees, uint256[] memory _shares) {
+        if (_payees.length == 0 || _payees.length != _shares.length) revert InvalidPayees();
+
+        uint256 total;
+        for (uint256 i = 0; i < _payees.length; i++) {
+            if (_payees[i] == address(0)) revert ZeroAddress();
+            if (_shares[i] == 0) revert InvalidPayees();
+            if (shares[_payees[i]] != 0) revert DuplicatePayee();
+
+            payeeList.push(_payees[i]);
+            shares[_payees[i]] = _shares[i];
+            total += _shares[i];
+            emit PayeeAdded(_payees[i], _shares[i]);
+        }
+        if (total != TOTAL_SHARES) revert InvalidPayees();
+    }
+
+    receive() external payable {
+        emit PaymentReceived(msg.sender, msg.value);
+    }
+
+    // ============ Release Functions ============
+
+    /**
+     * @dev Send a payee the ETH owed to them. Anyone may trigger it.
+     * @param account The payee
+     */
+    function release(address payable account) external {
+        uint256 payment = releasable(account);
+        if (payment == 0) revert NothingToRelease();
+
+        released[account] += payment;
+        totalReleased += payment;
+
+        (bool success, ) = account.call{value: payment}("");
+        if (!success) revert TransferFailed();
+
+        emit PaymentReleased(account, payment);
+    }
+
+    /**
+     * @dev Send a payee the amount of `token` owed to them. Anyone may trigger it.
+     * @param token The ERC-20 token
+     * @param account The payee
+     */
+    function release(IERC20 token, address account) external {
+        uint256 payment = releasable(token, account);
+        if (payment == 0) revert NothingToRelease();
+
+        erc20Released[token][account] += payment;
+        erc20TotalReleased[token] += payment;
+
+        token.safeTransfer(account, payment);
+
+        emit ERC20PaymentReleased(token, account, payment);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get the ETH a payee can release right now
+     */
+    function releasable(address account) public view returns (uint256) {
+        uint256 totalReceived = address(this).balance + totalReleased;
+        return _pending(account, totalReceived, released[account]);
+    }
+
+    /**
+     * @dev Get the amount of `token` a payee can release right now
+     */
+    function releasable(IERC20 token, address account) public view returns (uint256) {
+        uint256 totalReceived = token.balanceOf(address(this)) + erc20TotalReleased[token];
+        return _pending(account, totalReceived, erc20Released[token][account]);
+    }
+
+    /**
+     * @dev Get all payees
+     */
+    function payees() external view returns (address[] memory) {
+        return payeeList;
+    }
+
+    // ============ Internal Functions ============
+
+    function _pending(address account, uint256 totalReceived, uint256 alreadyReleased)
+        internal
+        view
+        returns (uint256)
+    {
+        if (shares[account] == 0) revert NotPayee();
+        return (totalReceived * shares[account]) / TOTAL_SHARES - alreadyReleased;
+    }
+}
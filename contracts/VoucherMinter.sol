@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./NFTLaunchpad.sol";
+
+/**
+ * @title VoucherMinter
+ * @dev Allowlist mode for NFTLaunchpad based on EIP-712 vouchers instead of a
+ * Merkle root: an off-chain signer (scripts/voucherService.js) issues each
+ * eligible wallet a voucher with its quantity, price, expiry and nonce, so the
+ * allowlist can change without an on-chain update. Needs MINTER_ROLE on the
+ * launchpad, which records the payment as the tokens' mint price. The owner
+ * rotates the signer; ownership moves in two steps like the launchpad's admin.
+ */
+contract VoucherMinter is EIP712, Ownable2Step {
+    // ============ State Variables ============
+
+    struct MintVoucher {
+        address minter;
+        uint256 quantity;  // total the voucher allows, over one or more redemptions
+        uint256 price;     // per token, in wei
+        uint256 expiry;    // unix seconds, inclusive
+        uint256 nonce;
+    }
+
+    bytes32 public constant VOUCHER_TYPEHASH = keccak256(
+        "MintVoucher(address minter,uint256 quantity,uint256 price,uint256 expiry,uint256 nonce)"
+    );
+
+    NFTLaunchpad public immutable launchpad;
+
+    // Vouchers signed by any other key are rejected, so rotating the signer
+    // invalidates every voucher it issued
+    address public signer;
+
+    // Tokens minted per minter and nonce. A voucher with the same nonce can be
+    // re-issued (e.g. with a later expiry) without raising the wallet's total.
+    mapping(address => mapping(uint256 => uint256)) public voucherMinted;
+
+    // ============ Events ============
+
+    event SignerUpdated(address indexed previousSigner, address indexed newSigner);
+    event VoucherRedeemed(address indexed minter, uint256 indexed nonce, uint256 tokenId, uint256 quantity);
+
+    // ============ Errors ============
+
+    error ZeroAddress();
+    error InvalidPhase();
+    error NotVoucherMinter();
+    error VoucherExpired();
+    error InvalidSignature();
+    error ExceedsVoucherQuantity();
+    error InsufficientPayment();
+    error TransferFailed();
+
+    // ============ Constructor ============
+
+    constructor(NFTLaunchpad _launchpad, address _signer)
+        EIP712("NFTLaunchpad Voucher", "1")
+        Ownable(msg.sender)
+    {
+        if (_signer == address(0)) revert ZeroAddress();
+        launchpad = _launchpad;
+        signer = _signer;
+        emit SignerUpdated(address(0), _signer);
+    }
+
+    // ============ Minting Functions ============
+
+    /**
+     * @dev Mint with a voucher issued to the caller. Any ETH sent above the
+     * price is refunded.
+     * @param voucher The signed voucher
+     * @param signature The signer's EIP-712 signature of the voucher
+     * @param quantity The number of NFTs to mint now
+     */
+    function redeem(MintVoucher calldata voucher, bytes calldata signature, uint256 quantity)
+        external
+        payable
+    {
+        // Vouchers stand in for the Merkle allowlist, so they share its phase
+        if (launchpad.currentPhase() != NFTLaunchpad.SalePhase.ALLOWLIST) revert InvalidPhase();
+        if (voucher.minter != msg.sender) revert NotVoucherMinter();
+        if (block.timestamp > voucher.expiry) revert VoucherExpired();
+        if (ECDSA.recover(hashVoucher(voucher), signature) != signer) revert InvalidSignature();
+
+        uint256 minted = voucherMinted[msg.sender][voucher.nonce] + quantity;
+        if (minted > voucher.quantity) revert ExceedsVoucherQuantity();
+        voucherMinted[msg.sender][voucher.nonce] = minted;
+
+        uint256 cost = voucher.price * quantity;
+        if (msg.value < cost) revert InsufficientPayment();
+
+        uint256 tokenId = launchpad.minterMint{value: cost}(msg.sender, quantity, voucher.price);
+        emit VoucherRedeemed(msg.sender, voucher.nonce, tokenId, quantity);
+
+        if (msg.value > cost) {
+            (bool success, ) = payable(msg.sender).call{value: msg.value - cost}("");
+            if (!success) revert TransferFailed();
+        }
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @dev Rotate the voucher signer. Vouchers signed by the previous key stop working.
+     * @param _signer The new signer
+     */
+    function setSigner(address _signer) external onlyOwner {
+        if (_signer == address(0)) revert ZeroAddress();
+        emit SignerUpdated(signer, _signer);
+        signer = _signer;
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get the EIP-712 digest the signer signs for a voucher
+     * @param voucher The voucher
+     */
+    function hashVoucher(MintVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            VOUCHER_TYPEHASH,
+            voucher.minter,
+            voucher.quantity,
+            voucher.price,
+            voucher.expiry,
+            voucher.nonce
+        )));
+    }
+}
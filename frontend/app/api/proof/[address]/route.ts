@@ -0,0 +1,15 @@
+import { isAddress } from 'viem';
+import { findProof } from '@/lib/proofs';
+
+export async function GET(_request: Request, { params }: { params: Promise<{ address: string }> }) {
+    const { address } = await params;
+    if (!isAddress(address, { strict: false })) {
+        return Response.json({ error: `Invalid address "${address}"` }, { status: 400 });
+    }
+
+    const proof = await findProof(address);
+    if (!proof) {
+        return Response.json({ eligible: false, error: 'Address is not eligible' }, { status: 404 });
+    }
+    return Response.json({ eligible: true, ...proof });
+}
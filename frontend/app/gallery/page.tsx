@@ -0,0 +1,15 @@
+import { WalletConnect } from '@/components/WalletConnect';
+import { Gallery } from '@/components/Gallery';
+
+export default function GalleryPage() {
+  return (
+    <main className="min-h-screen bg-slate-900 text-slate-100">
+      <WalletConnect />
+
+      <div className="container mx-auto px-4 py-12">
+        <h1 className="text-4xl font-extrabold mb-4 text-center">Gallery</h1>
+        <Gallery />
+      </div>
+    </main>
+  );
+}
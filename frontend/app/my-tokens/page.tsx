@@ -0,0 +1,15 @@
+import { WalletConnect } from '@/components/WalletConnect';
+import { MyTokens } from '@/components/MyTokens';
+
+export default function MyTokensPage() {
+  return (
+    <main className="min-h-screen bg-slate-900 text-slate-100">
+      <WalletConnect />
+
+      <div className="container mx-auto px-4 py-12">
+        <h1 className="text-4xl font-extrabold mb-4 text-center">My Tokens</h1>
+        <MyTokens />
+      </div>
+    </main>
+  );
+}
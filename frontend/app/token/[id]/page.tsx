@@ -0,0 +1,16 @@
+import { WalletConnect } from '@/components/WalletConnect';
+import { TokenDetail } from '@/components/TokenDetail';
+
+export default async function TokenPage({ params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params;
+
+  return (
+    <main className="min-h-screen bg-slate-900 text-slate-100">
+      <WalletConnect />
+
+      <div className="container mx-auto px-4 py-12">
+        <TokenDetail id={id} />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,502 @@
+'use client';
+
+import { useState, type ChangeEvent, type ReactNode } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useAccount, useBalance, useBlockNumber, usePublicClient, useReadContracts, useWriteContract } from 'wagmi';
+import { formatEther, isAddress, keccak256, parseEther, stringToHex } from 'viem';
+import { AllowlistUpload, ProofFile, buildProofFile, parseAllowlistCSV } from '../lib/allowlist';
+import { CONTRACT_ADDRESS, nftAbi } from '../lib/contract';
+import { errorMessage } from '../lib/errors';
+import { ConfirmDialog } from './ConfirmDialog';
+
+const PHASES = ['Closed', 'Allowlist', 'Public'];
+
+const role = (name: string) => keccak256(stringToHex(name));
+const SALE_MANAGER_ROLE = role('SALE_MANAGER_ROLE');
+const METADATA_MANAGER_ROLE = role('METADATA_MANAGER_ROLE');
+const TREASURER_ROLE = role('TREASURER_ROLE');
+const PAUSER_ROLE = role('PAUSER_ROLE');
+
+// ERC-2981 fee denominator: royalties are in basis points
+const MAX_ROYALTY = 10000;
+
+type AdminAction = {
+    title: string;
+    description: ReactNode;
+    functionName: string;
+    args?: readonly unknown[];
+};
+
+type Status = { kind: 'success' | 'error'; message: string };
+
+const parsePrice = (value: string) => {
+    try {
+        const price = parseEther(value.trim());
+        return price >= BigInt(0) ? price : undefined;
+    } catch {
+        return undefined;
+    }
+};
+
+const Section = ({ title, note, children }: { title: string; note?: string; children: ReactNode }) => (
+    <section className="p-6 bg-slate-800 rounded-xl shadow-lg border border-slate-700">
+        <h2 className="text-xl font-bold mb-1 text-cyan-400">{title}</h2>
+        {note && <p className="mb-4 text-xs text-gray-400">{note}</p>}
+        <div className="space-y-4 mt-4">{children}</div>
+    </section>
+);
+
+const Row = ({ label, children }: { label: string; children: ReactNode }) => (
+    <div className="flex justify-between gap-4 text-sm">
+        <span className="text-gray-400">{label}:</span>
+        <span className="text-right break-all">{children}</span>
+    </div>
+);
+
+const ActionButton = ({ children, disabled, onClick }: { children: ReactNode; disabled?: boolean; onClick: () => void }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        className="px-4 py-2 bg-cyan-600 rounded-lg text-sm font-semibold hover:bg-cyan-500 disabled:bg-slate-600 disabled:cursor-not-allowed"
+    >
+        {children}
+    </button>
+);
+
+const inputClass = 'flex-1 min-w-0 px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-sm placeholder:text-slate-500';
+
+export const AdminDashboard = () => {
+    const { address, isConnected } = useAccount();
+    const publicClient = usePublicClient();
+    const queryClient = useQueryClient();
+    const { writeContractAsync } = useWriteContract();
+
+    const contract = { address: CONTRACT_ADDRESS, abi: nftAbi } as const;
+    const { data: state, isLoading } = useReadContracts({
+        contracts: [
+            { ...contract, functionName: 'getContractDetails' },
+            { ...contract, functionName: 'currentPhase' },
+            { ...contract, functionName: 'paused' },
+            { ...contract, functionName: 'owner' },
+            { ...contract, functionName: 'merkleRoot' },
+            { ...contract, functionName: 'baseURI' },
+            { ...contract, functionName: 'metadataFrozen' },
+            { ...contract, functionName: 'startingIndexBlock' },
+            { ...contract, functionName: 'startingIndex' },
+            { ...contract, functionName: 'royaltyRecipient' },
+            { ...contract, functionName: 'royaltyPercentage' },
+            { ...contract, functionName: 'saleCancelled' },
+        ],
+        allowFailure: false,
+    });
+    const [details, currentPhase, paused, owner, merkleRoot, baseURI, metadataFrozen, startingIndexBlock, startingIndex,
+        royaltyRecipient, royaltyPercentage, saleCancelled] = (state ?? []) as readonly unknown[];
+    const [maxSupply, totalSupply, allowlistPrice, publicPrice, revealed] =
+        (details as readonly [bigint, bigint, bigint, bigint, boolean] | undefined) ?? [];
+
+    // The owner holds every role; other accounts may have been granted some of them
+    const { data: roles } = useReadContracts({
+        contracts: [SALE_MANAGER_ROLE, METADATA_MANAGER_ROLE, TREASURER_ROLE, PAUSER_ROLE].map((roleId) => ({
+            ...contract,
+            functionName: 'hasRole',
+            args: [roleId, address],
+        })),
+        allowFailure: false,
+        query: { enabled: Boolean(address) },
+    });
+    const [canManageSale, canManageMetadata, isTreasurer, isPauser] = (roles as readonly boolean[] | undefined) ?? [];
+    const isOwner = Boolean(address && owner && (owner as string).toLowerCase() === address.toLowerCase());
+    const readOnly = !canManageSale && !canManageMetadata && !isTreasurer && !isPauser;
+
+    const { data: balance } = useBalance({ address: CONTRACT_ADDRESS });
+    const { data: blockNumber } = useBlockNumber({ watch: true });
+
+    const [pending, setPending] = useState<AdminAction>();
+    const [busy, setBusy] = useState(false);
+    const [status, setStatus] = useState<Status>();
+
+    const [allowlistPriceInput, setAllowlistPriceInput] = useState('');
+    const [publicPriceInput, setPublicPriceInput] = useState('');
+    const [baseURIInput, setBaseURIInput] = useState('');
+    const [royaltyReceiverInput, setRoyaltyReceiverInput] = useState('');
+    const [royaltyInput, setRoyaltyInput] = useState('');
+    const [upload, setUpload] = useState<AllowlistUpload & { fileName: string; proofFile?: ProofFile }>();
+
+    // Simulate first so a revert shows the contract's error before the wallet is asked to sign
+    const runAction = async (action: AdminAction) => {
+        if (!publicClient || !address) return;
+        setBusy(true);
+        setStatus(undefined);
+        try {
+            const { request } = await publicClient.simulateContract({
+                ...contract,
+                functionName: action.functionName,
+                args: action.args,
+                account: address,
+            });
+            const hash = await writeContractAsync(request);
+            const receipt = await publicClient.waitForTransactionReceipt({ hash });
+            if (receipt.status !== 'success') throw new Error(`Transaction ${hash} reverted`);
+
+            setStatus({ kind: 'success', message: `${action.title}: confirmed in block ${receipt.blockNumber}.` });
+            await queryClient.invalidateQueries();
+        } catch (error) {
+            setStatus({ kind: 'error', message: `${action.title}: ${errorMessage(error)}` });
+        } finally {
+            setBusy(false);
+            setPending(undefined);
+        }
+    };
+
+    const handleAllowlistFile = async (event: ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const parsed = parseAllowlistCSV(await file.text());
+        setUpload({
+            ...parsed,
+            fileName: file.name,
+            proofFile: parsed.entries.length > 0 ? buildProofFile(parsed.entries) : undefined,
+        });
+    };
+
+    const downloadProofs = () => {
+        if (!upload?.proofFile) return;
+        const blob = new Blob([JSON.stringify(upload.proofFile, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'proofs.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    if (!CONTRACT_ADDRESS) return <p className="text-center text-gray-400">Set NEXT_PUBLIC_CONTRACT_ADDRESS to manage a collection.</p>;
+    if (isLoading || !state) return <p className="text-center text-gray-400">Loading collection...</p>;
+
+    const phase = Number(currentPhase);
+    const indexBlock = startingIndexBlock as bigint;
+    const indexDrawn = (startingIndex as bigint) !== BigInt(0);
+    // finalizeStartingIndex needs a block after the committed one; the simulation runs against the latest block
+    const canFinalize = indexBlock !== BigInt(0) && !indexDrawn && blockNumber !== undefined && blockNumber > indexBlock;
+    const newAllowlistPrice = parsePrice(allowlistPriceInput);
+    const newPublicPrice = parsePrice(publicPriceInput);
+    const royaltyBps = Number(royaltyInput);
+    const validRoyalty = isAddress(royaltyReceiverInput) && royaltyInput !== '' && Number.isInteger(royaltyBps)
+        && royaltyBps >= 0 && royaltyBps <= MAX_ROYALTY;
+    const uploadedRoot = upload?.proofFile?.root;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            {readOnly && (
+                <div className="p-3 bg-slate-800 border border-slate-600 rounded text-sm text-gray-300 text-center">
+                    {isConnected
+                        ? 'Read-only view: the connected wallet is not the owner of this collection.'
+                        : 'Read-only view: connect the owner wallet to manage the collection.'}
+                </div>
+            )}
+            {!readOnly && !isOwner && (
+                <div className="p-3 bg-slate-800 border border-slate-600 rounded text-sm text-gray-300 text-center">
+                    The connected wallet is not the owner; only the actions its roles allow are enabled.
+                </div>
+            )}
+
+            {status && (
+                <div
+                    className={`p-3 rounded text-sm break-words ${status.kind === 'success'
+                        ? 'bg-green-900/50 border border-green-500 text-green-200'
+                        : 'bg-red-900/50 border border-red-500 text-red-200'}`}
+                >
+                    {status.message}
+                </div>
+            )}
+
+            <Section title="Overview">
+                <Row label="Owner"><span className="font-mono">{owner as string}</span></Row>
+                <Row label="Minted">{totalSupply?.toString()} / {maxSupply?.toString()}</Row>
+                <Row label="Phase">{PHASES[phase]}</Row>
+                <Row label="Minting">{paused ? 'Paused' : 'Active'}{saleCancelled ? ' (sale cancelled)' : ''}</Row>
+                <Row label="Balance">{balance ? formatEther(balance.value) : '0'} ETH</Row>
+            </Section>
+
+            <Section title="Sale" note="Phase and prices need the sale manager role, pausing the pauser role.">
+                <div className="flex flex-wrap gap-2">
+                    {PHASES.map((name, value) => (
+                        <button
+                            key={name}
+                            onClick={() => setPending({
+                                title: `Set phase to ${name}`,
+                                description: `Switches the sale from ${PHASES[phase]} to ${name}.`,
+                                functionName: 'setPhase',
+                                args: [value],
+                            })}
+                            disabled={!canManageSale || value === phase}
+                            className={`px-4 py-2 rounded-lg text-sm font-semibold disabled:cursor-not-allowed ${value === phase
+                                ? 'bg-cyan-600'
+                                : 'bg-slate-600 hover:bg-slate-500 disabled:opacity-50'}`}
+                        >
+                            {name}
+                        </button>
+                    ))}
+                </div>
+
+                <Row label="Allowlist price">{formatEther(allowlistPrice as bigint)} ETH</Row>
+                <Row label="Public price">{formatEther(publicPrice as bigint)} ETH</Row>
+                {canManageSale && (
+                    <>
+                        <div className="flex gap-2">
+                            <input
+                                className={inputClass}
+                                placeholder="New allowlist price in ETH"
+                                value={allowlistPriceInput}
+                                onChange={(event) => setAllowlistPriceInput(event.target.value)}
+                            />
+                            <ActionButton
+                                disabled={newAllowlistPrice === undefined}
+                                onClick={() => setPending({
+                                    title: 'Update allowlist price',
+                                    description: `Sets the headline allowlist price to ${allowlistPriceInput} ETH. Wallets keep the price committed in their Merkle leaf.`,
+                                    functionName: 'setAllowlistPrice',
+                                    args: [newAllowlistPrice],
+                                })}
+                            >
+                                Update
+                            </ActionButton>
+                        </div>
+                        <div className="flex gap-2">
+                            <input
+                                className={inputClass}
+                                placeholder="New public price in ETH"
+                                value={publicPriceInput}
+                                onChange={(event) => setPublicPriceInput(event.target.value)}
+                            />
+                            <ActionButton
+                                disabled={newPublicPrice === undefined}
+                                onClick={() => setPending({
+                                    title: 'Update public price',
+                                    description: `Sets the public mint price to ${publicPriceInput} ETH.`,
+                                    functionName: 'setPublicPrice',
+                                    args: [newPublicPrice],
+                                })}
+                            >
+                                Update
+                            </ActionButton>
+                        </div>
+                    </>
+                )}
+
+                {isPauser && (
+                    <ActionButton
+                        disabled={Boolean(paused && saleCancelled)}
+                        onClick={() => setPending({
+                            title: paused ? 'Unpause minting' : 'Pause minting',
+                            description: paused ? 'Minting opens again in the current phase.' : 'Every mint function reverts until minting is unpaused.',
+                            functionName: 'setPaused',
+                            args: [!paused],
+                        })}
+                    >
+                        {paused ? 'Unpause minting' : 'Pause minting'}
+                    </ActionButton>
+                )}
+            </Section>
+
+            <Section
+                title="Allowlist"
+                note="Upload an address,allowance,price CSV (price in ETH; missing allowances and prices default to 1 and ALLOWLIST_PRICE of collectionConfig.js) to compute the Merkle root in the browser, exactly as scripts/merkleTree.js does."
+            >
+                <Row label="Current root"><span className="font-mono">{merkleRoot as string}</span></Row>
+                {canManageSale && (
+                    <>
+                        <input
+                            type="file"
+                            accept=".csv,text/csv"
+                            onChange={handleAllowlistFile}
+                            className="block w-full text-sm text-gray-400 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-slate-600 file:text-slate-100 hover:file:bg-slate-500"
+                        />
+
+                        {upload && (
+                            <div className="space-y-2">
+                                <Row label="Wallets">{upload.entries.length} from {upload.fileName}</Row>
+                                {uploadedRoot && (
+                                    <>
+                                        <Row label="New root">
+                                            <span className="font-mono">{uploadedRoot}</span>
+                                            {uploadedRoot === merkleRoot && <span className="text-cyan-300"> (already set)</span>}
+                                        </Row>
+                                        <Row label="Stage root"><span className="font-mono">{upload.proofFile?.stageRoot}</span></Row>
+                                    </>
+                                )}
+                                {upload.invalid.map(({ line, reason }) => (
+                                    <p key={`invalid-${line}`} className="text-sm text-red-300">Line {line} skipped: {reason}</p>
+                                ))}
+                                {upload.duplicates.map(({ line, address: duplicate, firstLine }) => (
+                                    <p key={`duplicate-${line}`} className="text-sm text-yellow-300">
+                                        Line {line} skipped: {duplicate} is already on line {firstLine}
+                                    </p>
+                                ))}
+
+                                <div className="flex flex-wrap gap-2">
+                                    <ActionButton
+                                        disabled={!uploadedRoot || uploadedRoot === merkleRoot}
+                                        onClick={() => setPending({
+                                            title: 'Set Merkle root',
+                                            description: (
+                                                <>
+                                                    Allowlists the {upload.entries.length} wallets of {upload.fileName} with root{' '}
+                                                    <span className="font-mono">{uploadedRoot}</span>. Wallets on the previous list
+                                                    can no longer mint unless they are on this one.
+                                                </>
+                                            ),
+                                            functionName: 'setMerkleRoot',
+                                            args: [uploadedRoot],
+                                        })}
+                                    >
+                                        Set Merkle root
+                                    </ActionButton>
+                                    <button
+                                        onClick={downloadProofs}
+                                        disabled={!upload.proofFile}
+                                        className="px-4 py-2 border border-cyan-500 rounded-lg text-sm text-cyan-300 hover:bg-cyan-500/10 disabled:opacity-50"
+                                    >
+                                        Download proofs.json
+                                    </button>
+                                </div>
+                                <p className="text-xs text-gray-400">
+                                    /api/proof serves proofs from frontend/data/proofs.json: replace it with the downloaded file and
+                                    restart the frontend, or allowlisted wallets get proofs for the old root.
+                                </p>
+                            </div>
+                        )}
+                    </>
+                )}
+            </Section>
+
+            <Section title="Metadata and Reveal" note="Needs the metadata manager role; anyone can finalize a committed starting index.">
+                <Row label="Base URI"><span className="font-mono">{(baseURI as string) || '-'}</span></Row>
+                <Row label="Metadata">{metadataFrozen ? 'Frozen' : 'Editable'}</Row>
+                <Row label="Starting index">
+                    {indexDrawn
+                        ? (startingIndex as bigint).toString()
+                        : indexBlock !== BigInt(0) ? `Committed to block ${indexBlock}` : 'Not committed'}
+                </Row>
+                <Row label="Revealed">{revealed ? 'Yes' : 'No'}</Row>
+
+                {canManageMetadata && !metadataFrozen && (
+                    <div className="flex gap-2">
+                        <input
+                            className={inputClass}
+                            placeholder="ipfs://<metadata CID>/"
+                            value={baseURIInput}
+                            onChange={(event) => setBaseURIInput(event.target.value)}
+                        />
+                        <ActionButton
+                            disabled={!baseURIInput.trim()}
+                            onClick={() => setPending({
+                                title: 'Set base URI',
+                                description: <>Revealed tokens will load metadata from <span className="font-mono">{baseURIInput.trim()}</span>.</>,
+                                functionName: 'setBaseURI',
+                                args: [baseURIInput.trim()],
+                            })}
+                        >
+                            Update
+                        </ActionButton>
+                    </div>
+                )}
+
+                <div className="flex flex-wrap gap-2">
+                    {canManageMetadata && indexBlock === BigInt(0) && (
+                        <ActionButton
+                            onClick={() => setPending({
+                                title: 'Commit starting index',
+                                description: 'Commits the next block, whose hash will draw the starting index. The metadata order is fixed once it is drawn.',
+                                functionName: 'commitStartingIndex',
+                            })}
+                        >
+                            Commit starting index
+                        </ActionButton>
+                    )}
+                    {isConnected && indexBlock !== BigInt(0) && !indexDrawn && (
+                        <ActionButton
+                            disabled={!canFinalize}
+                            onClick={() => setPending({
+                                title: 'Finalize starting index',
+                                description: `Draws the starting index from the hash of block ${indexBlock}.`,
+                                functionName: 'finalizeStartingIndex',
+                            })}
+                        >
+                            {canFinalize ? 'Finalize starting index' : `Waiting for block ${indexBlock + BigInt(1)}`}
+                        </ActionButton>
+                    )}
+                    {canManageMetadata && !revealed && (
+                        <ActionButton
+                            disabled={!indexDrawn}
+                            onClick={() => setPending({
+                                title: 'Reveal collection',
+                                description: 'Every token switches from the unrevealed URI to its metadata. This cannot be undone.',
+                                functionName: 'revealCollection',
+                            })}
+                        >
+                            Reveal collection
+                        </ActionButton>
+                    )}
+                </div>
+            </Section>
+
+            <Section title="Treasury" note="Needs the treasurer role.">
+                <Row label="Royalty">
+                    {(Number(royaltyPercentage) / 100).toFixed(2)}% to <span className="font-mono">{royaltyRecipient as string}</span>
+                </Row>
+                {isTreasurer && (
+                    <>
+                        <ActionButton
+                            disabled={!balance || balance.value === BigInt(0)}
+                            onClick={() => setPending({
+                                title: 'Withdraw',
+                                description: `Sends the contract balance of ${balance ? formatEther(balance.value) : '0'} ETH, less claimable auction rebates, to the payout recipient.`,
+                                functionName: 'withdraw',
+                            })}
+                        >
+                            Withdraw
+                        </ActionButton>
+                        <div className="flex flex-wrap gap-2">
+                            <input
+                                className={inputClass}
+                                placeholder="Royalty receiver 0x..."
+                                value={royaltyReceiverInput}
+                                onChange={(event) => setRoyaltyReceiverInput(event.target.value)}
+                            />
+                            <input
+                                className={`${inputClass} max-w-48`}
+                                placeholder="Basis points, 500 = 5%"
+                                value={royaltyInput}
+                                onChange={(event) => setRoyaltyInput(event.target.value)}
+                            />
+                            <ActionButton
+                                disabled={!validRoyalty}
+                                onClick={() => setPending({
+                                    title: 'Set royalty',
+                                    description: `Sets the default royalty to ${(royaltyBps / 100).toFixed(2)}% paid to ${royaltyReceiverInput}. Per-token overrides are kept.`,
+                                    functionName: 'setRoyalty',
+                                    args: [royaltyReceiverInput, royaltyBps],
+                                })}
+                            >
+                                Update
+                            </ActionButton>
+                        </div>
+                    </>
+                )}
+            </Section>
+
+            {pending && (
+                <ConfirmDialog
+                    title={pending.title}
+                    busy={busy}
+                    onConfirm={() => runAction(pending)}
+                    onCancel={() => setPending(undefined)}
+                >
+                    {pending.description}
+                </ConfirmDialog>
+            )}
+        </div>
+    );
+};
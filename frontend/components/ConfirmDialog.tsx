@@ -0,0 +1,36 @@
+'use client';
+
+import type { ReactNode } from 'react';
+
+type ConfirmDialogProps = {
+    title: string;
+    children: ReactNode;
+    busy: boolean;
+    onConfirm: () => void;
+    onCancel: () => void;
+};
+
+export const ConfirmDialog = ({ title, children, busy, onConfirm, onCancel }: ConfirmDialogProps) => (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" role="dialog" aria-modal="true">
+        <div className="w-full max-w-md p-6 bg-slate-800 rounded-xl shadow-lg border border-slate-700">
+            <h3 className="text-xl font-bold mb-3 text-cyan-400">{title}</h3>
+            <div className="mb-6 text-sm text-gray-300 break-words">{children}</div>
+            <div className="flex justify-end gap-3">
+                <button
+                    onClick={onCancel}
+                    disabled={busy}
+                    className="px-4 py-2 bg-slate-600 rounded-lg hover:bg-slate-500 disabled:opacity-50"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={onConfirm}
+                    disabled={busy}
+                    className="px-4 py-2 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg font-semibold hover:from-cyan-400 hover:to-blue-400 disabled:from-slate-600 disabled:to-slate-600"
+                >
+                    {busy ? 'Confirming...' : 'Confirm'}
+                </button>
+            </div>
+        </div>
+    </div>
+);
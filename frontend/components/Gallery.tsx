@@ -0,0 +1,69 @@
+'use client';
+
+import { useState } from 'react';
+import { useReadContract } from 'wagmi';
+import { CONTRACT_ADDRESS, nftAbi } from '../lib/contract';
+import { TokenGrid } from './TokenGrid';
+
+const PAGE_SIZE = 24;
+
+export const Gallery = () => {
+    const [page, setPage] = useState(0);
+
+    // Token IDs start at 1, so every ID below nextTokenId has been minted (burned ones are skipped)
+    const { data: nextTokenId } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'nextTokenId',
+    });
+    const { data: totalSupply } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'totalSupply',
+    });
+
+    const minted = nextTokenId ? Number(nextTokenId) - 1 : 0;
+    const pages = Math.max(1, Math.ceil(minted / PAGE_SIZE));
+    const first = page * PAGE_SIZE + 1;
+    const tokenIds = Array.from({ length: Math.max(0, Math.min(PAGE_SIZE, minted - first + 1)) }, (_, i) =>
+        BigInt(first + i)
+    );
+
+    if (!CONTRACT_ADDRESS) {
+        return <p className="text-center text-gray-400">No contract configured.</p>;
+    }
+
+    return (
+        <div>
+            <p className="text-center text-gray-400 mb-8">{totalSupply?.toString() || '0'} tokens minted</p>
+
+            {minted === 0 ? (
+                <p className="text-center text-gray-400">Nothing has been minted yet.</p>
+            ) : (
+                <TokenGrid tokenIds={tokenIds} />
+            )}
+
+            {pages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-8">
+                    <button
+                        className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600 disabled:opacity-50"
+                        onClick={() => setPage(page - 1)}
+                        disabled={page === 0}
+                    >
+                        Previous
+                    </button>
+                    <span className="text-gray-400">
+                        Page {page + 1} of {pages}
+                    </span>
+                    <button
+                        className="px-4 py-2 bg-slate-700 rounded hover:bg-slate-600 disabled:opacity-50"
+                        onClick={() => setPage(page + 1)}
+                        disabled={page + 1 >= pages}
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -1,20 +1,76 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useAccount, useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
-import { parseEther } from 'viem';
-import { MerkleTree } from 'merkletreejs';
-import keccak256 from 'keccak256';
-import nftAbi from '../constants/abi.json';
-import allowlist from '../constants/allowlist.json';
+import Link from 'next/link';
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import {
+    useAccount,
+    usePublicClient,
+    useReadContract,
+    useReadContracts,
+    useWaitForTransactionReceipt,
+    useWatchContractEvent,
+    useWriteContract,
+} from 'wagmi';
+import { Abi, formatEther } from 'viem';
+import { auctionPrice, secondsToNextDrop, toDutchAuction } from '../lib/auction';
+import { CONTRACT_ADDRESS, nftAbi } from '../lib/contract';
+import { errorMessage } from '../lib/errors';
+import { AllowlistProof, fetchProof } from '../lib/merkle';
+import {
+    SignedVoucher,
+    VOUCHER_MINTER_ADDRESS,
+    fetchVoucher,
+    toVoucherArgs,
+    voucherMinterAbi,
+    vouchersEnabled,
+} from '../lib/voucher';
+import {
+    SaleSchedule,
+    SaleStage,
+    findActiveStage,
+    findNextStage,
+    formatCountdown,
+    isAllowlistStage,
+    stageLabel,
+    useNow,
+} from './SaleSchedule';
 
-const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS as `0x${string}`;
+type ContractCall = {
+    address: `0x${string}`;
+    abi: Abi;
+    functionName: string;
+    args?: readonly unknown[];
+    value?: bigint;
+};
 
 export const Minting = () => {
     const { address, isConnected } = useAccount();
     const [quantity, setQuantity] = useState(1);
-    const [merkleProof, setMerkleProof] = useState<string[]>([]);
-    const [isAllowlisted, setIsAllowlisted] = useState(false);
+
+    // Proofs for both the tiered allowlist leaf and the address-only stage leaf, served by /api/proof
+    const [allowlistEntry, setAllowlistEntry] = useState<AllowlistProof>();
+    useEffect(() => {
+        setAllowlistEntry(undefined);
+        if (!address) return;
+        fetchProof(address).then(setAllowlistEntry).catch(console.error);
+    }, [address]);
+
+    // In voucher mode the allowlist phase mints with a voucher from the voucher service
+    const [signedVoucher, setSignedVoucher] = useState<SignedVoucher>();
+    useEffect(() => {
+        setSignedVoucher(undefined);
+        if (!vouchersEnabled || !address) return;
+        fetchVoucher(address).then(setSignedVoucher).catch(console.error);
+    }, [address]);
+
+    const { data: voucherMinted } = useReadContract({
+        address: VOUCHER_MINTER_ADDRESS,
+        abi: voucherMinterAbi,
+        functionName: 'voucherMinted',
+        args: [address as `0x${string}`, BigInt(signedVoucher?.voucher.nonce ?? 0)],
+        query: { enabled: Boolean(address && signedVoucher) },
+    });
 
     const { data: currentPhase } = useReadContract({
         address: CONTRACT_ADDRESS,
@@ -46,93 +102,327 @@ export const Minting = () => {
         functionName: 'maxSupply',
     });
 
-    const { writeContract, data: hash, isPending, error } = useWriteContract();
-    const { isLoading: isConfirming, isSuccess: isConfirmed } = useWaitForTransactionReceipt({
-        hash,
+    const { data: saleSupplyRemaining } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'saleSupplyRemaining',
+    });
+
+    const { data: maxMintsPerTransaction } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'maxMintsPerTransaction',
     });
 
-    useEffect(() => {
-        if (address && allowlist) {
-            const leaves = allowlist.map((addr: string) => keccak256(addr));
-            const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-            const leaf = keccak256(address);
-            const proof = tree.getHexProof(leaf);
-            setMerkleProof(proof);
-
-            // Check if address is in allowlist (simple client-side check for UI)
-            setIsAllowlisted(allowlist.includes(address));
-        }
-    }, [address]);
+    const { data: paused } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'paused',
+    });
+
+    const { data: allowlistMintedCount } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'allowlistMintedCount',
+        args: [address],
+        query: { enabled: Boolean(address) },
+    });
+
+    // The stage count comes with the contract details; each stage is then read by index
+    const { data: contractDetails } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'getContractDetails',
+    });
+    const stageCount = Number((contractDetails as readonly bigint[] | undefined)?.[8] ?? 0);
+
+    const { data: saleStages } = useReadContracts({
+        contracts: Array.from({ length: stageCount }, (_, stageId) => ({
+            address: CONTRACT_ADDRESS,
+            abi: nftAbi,
+            functionName: 'getSaleStage',
+            args: [BigInt(stageId)],
+        })),
+        allowFailure: false,
+    });
+
+    const { data: dutchAuctionData } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'dutchAuction',
+    });
+
+    const { data: auctionFinalized } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'auctionFinalized',
+    });
+
+    const { data: auctionClearingPrice } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'auctionClearingPrice',
+    });
+
+    const { data: pendingRebate } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'pendingRebate',
+        args: [address],
+        query: { enabled: Boolean(address) },
+    });
+
+    const now = useNow();
+    const stages = (saleStages as SaleStage[] | undefined) ?? [];
+    const activeStageIndex = findActiveStage(stages, now);
+    const activeStage = activeStageIndex >= 0 ? stages[activeStageIndex] : undefined;
+    const nextStageIndex = findNextStage(stages, now);
+    const nextStage = nextStageIndex >= 0 ? stages[nextStageIndex] : undefined;
+
+    // Stage caps count the tokens minted in the stage, overall and by this wallet
+    const { data: stageMinted } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'stageMinted',
+        args: [BigInt(Math.max(activeStageIndex, 0))],
+        query: { enabled: Boolean(activeStage) },
+    });
+
+    const { data: stageMintedByWallet } = useReadContract({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        functionName: 'stageMintedBy',
+        args: [BigInt(Math.max(activeStageIndex, 0)), address],
+        query: { enabled: Boolean(address && activeStage) },
+    });
+
+    // Any event of the collection, such as someone else's mint or a pause, can change the supply and limits.
+    // useReadContract and useReadContracts cache under different keys, so both are refetched.
+    const queryClient = useQueryClient();
+    useWatchContractEvent({
+        address: CONTRACT_ADDRESS,
+        abi: nftAbi,
+        onLogs: () => queryClient.invalidateQueries({
+            predicate: ({ queryKey }) => queryKey[0] === 'readContract' || queryKey[0] === 'readContracts',
+        }),
+    });
+
+    // The public phase follows the Dutch auction price when one is configured
+    const auction = toDutchAuction(dutchAuctionData as Parameters<typeof toDutchAuction>[0]);
+    const auctionLive = Boolean(auction) && !auctionFinalized;
+    const nextDrop = auction && auctionLive ? secondsToNextDrop(auction, now) : undefined;
+    let currentPublicPrice = publicPrice as bigint | undefined;
+    if (auction) {
+        currentPublicPrice = auctionFinalized ? (auctionClearingPrice as bigint | undefined) : auctionPrice(auction, now);
+    }
 
-    const handleMint = async () => {
-        if (!address || !CONTRACT_ADDRESS) return;
+    const publicClient = usePublicClient();
+    const { writeContractAsync, data: hash, isPending } = useWriteContract();
+    const { data: receipt, isLoading: isConfirming } = useWaitForTransactionReceipt({ hash });
+    const [isSimulating, setIsSimulating] = useState(false);
+    const [mintError, setMintError] = useState<string>();
 
+    // Simulate first, so a call the contract would reject shows why without asking the wallet to sign
+    const send = async (call: ContractCall) => {
+        if (!address || !publicClient) return;
+        setMintError(undefined);
+        setIsSimulating(true);
         try {
-            if (currentPhase === 1) { // ALLOWLIST
-                if (!isAllowlisted) {
-                    alert("You are not on the allowlist!");
-                    return;
-                }
-                await writeContract({
-                    address: CONTRACT_ADDRESS,
-                    abi: nftAbi,
-                    functionName: 'allowlistMint',
-                    args: [merkleProof, BigInt(quantity)],
-                    value: (allowlistPrice as bigint) * BigInt(quantity),
-                });
-            } else if (currentPhase === 2) { // PUBLIC
-                await writeContract({
-                    address: CONTRACT_ADDRESS,
-                    abi: nftAbi,
-                    functionName: 'publicMint',
-                    args: [BigInt(quantity)],
-                    value: (publicPrice as bigint) * BigInt(quantity),
-                });
-            } else {
-                alert("Sale is not active or closed.");
-            }
+            const { request } = await publicClient.simulateContract({ ...call, account: address });
+            await writeContractAsync(request);
         } catch (e) {
-            console.error(e);
+            setMintError(errorMessage(e));
+        } finally {
+            setIsSimulating(false);
         }
     };
 
-    if (!isConnected) return <div className="text-center mt-10">Please connect your wallet to mint.</div>;
+    const phaseName = activeStage
+        ? stageLabel(activeStage, activeStageIndex)
+        : currentPhase === 1 ? 'Allowlist Phase' : currentPhase === 2 ? 'Public Phase' : 'Closed';
+    const allowance = vouchersEnabled
+        ? signedVoucher && { minted: voucherMinted, total: Number(signedVoucher.voucher.quantity), price: signedVoucher.voucher.price }
+        : allowlistEntry && { minted: allowlistMintedCount, total: allowlistEntry.allowance, price: allowlistEntry.price };
+    const tierPrice = allowance ? BigInt(allowance.price) : allowlistPrice;
+    const price = activeStage ? activeStage.price : currentPhase === 1 ? tierPrice : currentPublicPrice;
+    const saleOpen = Boolean(activeStage) || currentPhase === 1 || currentPhase === 2;
+    const soldOut = saleSupplyRemaining !== undefined && (saleSupplyRemaining as bigint) === BigInt(0);
+
+    // Scheduled stages take precedence over the manual phase; allowlist stages and the allowlist phase need a proof or voucher
+    const eligible = activeStage
+        ? !isAllowlistStage(activeStage) || Boolean(allowlistEntry)
+        : currentPhase !== 1 || Boolean(allowance);
+
+    // The most this wallet can mint in one transaction right now, from the contract's limits
+    const limits = [Number(maxMintsPerTransaction ?? 0), Number(saleSupplyRemaining ?? 0)];
+    if (activeStage) {
+        if (activeStage.maxPerWallet > 0) limits.push(activeStage.maxPerWallet - Number(stageMintedByWallet ?? 0));
+        if (activeStage.supplyCap > 0) limits.push(activeStage.supplyCap - Number(stageMinted ?? 0));
+    } else if (currentPhase === 1 && allowance) {
+        limits.push(allowance.total - Number(allowance.minted ?? 0));
+    }
+    const maxQuantity = Math.max(0, Math.min(...limits));
+    const mintQuantity = Math.max(1, Math.min(quantity, maxQuantity));
+
+    let blockedReason: string | undefined;
+    if (soldOut) blockedReason = 'Sold Out';
+    else if (paused) blockedReason = 'Minting Paused';
+    else if (!saleOpen) blockedReason = 'Sale Closed';
+    else if (!eligible) blockedReason = 'Not on the Allowlist';
+    else if (maxMintsPerTransaction === undefined || saleSupplyRemaining === undefined) blockedReason = 'Loading...';
+    else if (maxQuantity === 0) blockedReason = 'Mint Limit Reached';
+
+    const mintCall = (): ContractCall | undefined => {
+        const amount = BigInt(mintQuantity);
+        if (activeStage) {
+            const proof = isAllowlistStage(activeStage) ? allowlistEntry?.stageProof : [];
+            return {
+                address: CONTRACT_ADDRESS,
+                abi: nftAbi,
+                functionName: 'stageMint',
+                args: [proof, amount],
+                value: activeStage.price * amount,
+            };
+        }
+        if (currentPhase === 1 && vouchersEnabled && signedVoucher && VOUCHER_MINTER_ADDRESS) {
+            const { voucher, signature } = signedVoucher;
+            return {
+                address: VOUCHER_MINTER_ADDRESS,
+                abi: voucherMinterAbi as Abi,
+                functionName: 'redeem',
+                args: [toVoucherArgs(voucher), signature, amount],
+                value: BigInt(voucher.price) * amount,
+            };
+        }
+        if (currentPhase === 1 && allowlistEntry) {
+            const entryPrice = BigInt(allowlistEntry.price);
+            return {
+                address: CONTRACT_ADDRESS,
+                abi: nftAbi,
+                functionName: 'allowlistMint',
+                args: [allowlistEntry.proof, BigInt(allowlistEntry.allowance), entryPrice, amount],
+                value: entryPrice * amount,
+            };
+        }
+        if (currentPhase === 2 && currentPublicPrice !== undefined) {
+            return {
+                address: CONTRACT_ADDRESS,
+                abi: nftAbi,
+                functionName: 'publicMint',
+                args: [amount],
+                value: currentPublicPrice * amount,
+            };
+        }
+        return undefined;
+    };
 
-    const phaseName = currentPhase === 1 ? 'Allowlist Phase' : currentPhase === 2 ? 'Public Phase' : 'Closed';
-    const price = currentPhase === 1 ? allowlistPrice : publicPrice;
+    const handleMint = () => {
+        const call = mintCall();
+        if (blockedReason || !call) return;
+        send(call);
+    };
+
+    const handleClaimRebate = () => {
+        send({
+            address: CONTRACT_ADDRESS,
+            abi: nftAbi,
+            functionName: 'claimAuctionRebate',
+        });
+    };
+
+    const busy = isSimulating || isPending || isConfirming;
+
+    if (!isConnected) return <div className="text-center mt-10">Please connect your wallet to mint.</div>;
 
     return (
         <div className="max-w-md mx-auto mt-10 p-6 bg-slate-800 rounded-xl shadow-lg border border-slate-700 text-white">
             <h2 className="text-2xl font-bold mb-4 text-center text-cyan-400">Mint Your NFT</h2>
 
+            {soldOut && (
+                <div className="mb-4 p-3 bg-slate-900/50 border border-cyan-500 rounded text-center">
+                    <div className="font-bold text-cyan-300">Sold Out</div>
+                    <div className="text-sm text-gray-400">
+                        Every token has been minted. <Link href="/gallery" className="text-cyan-400 hover:underline">See the collection</Link>
+                    </div>
+                </div>
+            )}
+            {!soldOut && Boolean(paused) && (
+                <div className="mb-4 p-3 bg-yellow-900/40 border border-yellow-500 rounded text-yellow-200 text-sm text-center">
+                    Minting is paused. Check back soon.
+                </div>
+            )}
+
             <div className="mb-4 space-y-2">
                 <div className="flex justify-between">
                     <span className="text-gray-400">Phase:</span>
                     <span className="font-semibold">{phaseName}</span>
                 </div>
+                {activeStage && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Ends in:</span>
+                        <span>{formatCountdown(Number(activeStage.endTime) - now)}</span>
+                    </div>
+                )}
+                {nextStage && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Next:</span>
+                        <span>
+                            {stageLabel(nextStage, nextStageIndex)} in {formatCountdown(Number(nextStage.startTime) - now)}
+                        </span>
+                    </div>
+                )}
                 <div className="flex justify-between">
                     <span className="text-gray-400">Price:</span>
-                    <span>{price ? (Number(price) / 1e18).toString() : '0'} ETH</span>
+                    <span>{price ? formatEther(price as bigint) : '0'} ETH</span>
                 </div>
+                {currentPhase === 2 && !activeStage && auction && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Dutch Auction:</span>
+                        <span>
+                            {!auctionLive
+                                ? 'Ended'
+                                : nextDrop !== undefined
+                                  ? `Next drop in ${formatCountdown(nextDrop)}`
+                                  : 'At floor price'}
+                        </span>
+                    </div>
+                )}
+                {currentPhase === 1 && !activeStage && allowance && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Your Allowance:</span>
+                        <span>{allowance.minted?.toString() || '0'} / {allowance.total} minted</span>
+                    </div>
+                )}
+                {activeStage && activeStage.maxPerWallet > 0 && (
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Your Stage Mints:</span>
+                        <span>{stageMintedByWallet?.toString() || '0'} / {activeStage.maxPerWallet}</span>
+                    </div>
+                )}
                 <div className="flex justify-between">
                     <span className="text-gray-400">Total Minted:</span>
-                    <span>{totalSupply?.toString() || '0'} / {maxSupply?.toString() || '1000'}</span>
+                    <span>{totalSupply?.toString() || '0'} / {maxSupply?.toString() || '-'}</span>
                 </div>
             </div>
 
+            <SaleSchedule stages={stages} now={now} />
+
             <div className="flex items-center justify-between mb-6 bg-slate-700 p-2 rounded-lg">
                 <button
                     className="px-4 py-2 bg-slate-600 rounded hover:bg-slate-500 disabled:opacity-50"
-                    onClick={() => setQuantity(Math.max(1, quantity - 1))}
-                    disabled={quantity <= 1}
+                    onClick={() => setQuantity(Math.max(1, mintQuantity - 1))}
+                    disabled={mintQuantity <= 1}
                 >
                     -
                 </button>
-                <span className="font-bold text-xl">{quantity}</span>
+                <div className="text-center">
+                    <div className="font-bold text-xl">{mintQuantity}</div>
+                    {maxQuantity > 0 && <div className="text-xs text-gray-400">max {maxQuantity}</div>}
+                </div>
                 <button
                     className="px-4 py-2 bg-slate-600 rounded hover:bg-slate-500 disabled:opacity-50"
-                    onClick={() => setQuantity(Math.min(10, quantity + 1))}
-                    disabled={quantity >= 10}
+                    onClick={() => setQuantity(Math.min(maxQuantity, mintQuantity + 1))}
+                    disabled={mintQuantity >= maxQuantity}
                 >
                     +
                 </button>
@@ -140,19 +430,29 @@ export const Minting = () => {
 
             <button
                 onClick={handleMint}
-                disabled={isPending || isConfirming || currentPhase === 0}
+                disabled={busy || Boolean(blockedReason)}
                 className="w-full py-3 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg font-bold text-lg hover:from-cyan-400 hover:to-blue-400 disabled:from-slate-600 disabled:to-slate-600 disabled:cursor-not-allowed transition-all transform hover:scale-[1.02]"
             >
-                {isPending || isConfirming ? 'Minting...' : 'Mint Now'}
+                {isSimulating ? 'Checking...' : isPending || isConfirming ? 'Minting...' : blockedReason ?? 'Mint Now'}
             </button>
 
-            {error && (
+            {auctionFinalized && (pendingRebate as bigint | undefined) ? (
+                <button
+                    onClick={handleClaimRebate}
+                    disabled={busy}
+                    className="w-full mt-3 py-2 border border-cyan-500 rounded-lg text-cyan-300 hover:bg-cyan-500/10 disabled:opacity-50"
+                >
+                    Claim {formatEther(pendingRebate as bigint)} ETH Rebate
+                </button>
+            ) : null}
+
+            {(mintError || receipt?.status === 'reverted') && (
                 <div className="mt-4 p-3 bg-red-900/50 border border-red-500 rounded text-red-200 text-sm break-words">
-                    Error: {(error as any).shortMessage || error.message}
+                    {mintError ?? 'The transaction reverted.'}
                 </div>
             )}
 
-            {isConfirmed && (
+            {receipt?.status === 'success' && (
                 <div className="mt-4 p-3 bg-green-900/50 border border-green-500 rounded text-green-200 text-center">
                     Success! Transaction confirmed.
                     <div className="text-xs mt-1 truncate opacity-75">Hash: {hash}</div>
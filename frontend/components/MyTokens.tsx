@@ -0,0 +1,63 @@
+'use client';
+
+import { useQuery } from '@tanstack/react-query';
+import { parseAbiItem } from 'viem';
+import { useAccount, usePublicClient } from 'wagmi';
+import { CONTRACT_ADDRESS, nftAbi } from '../lib/contract';
+import { TokenGrid } from './TokenGrid';
+
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)');
+
+// Block the collection was deployed in, so the Transfer log search can skip older blocks
+const DEPLOY_BLOCK = BigInt(process.env.NEXT_PUBLIC_DEPLOY_BLOCK || 0);
+
+export const MyTokens = () => {
+    const { address, isConnected } = useAccount();
+    const publicClient = usePublicClient();
+
+    // ERC721A keeps no per-owner index: find every token ever sent to the wallet, then keep the ones it still owns
+    const { data: tokenIds, isLoading, error } = useQuery({
+        queryKey: ['ownedTokens', CONTRACT_ADDRESS, address],
+        enabled: Boolean(publicClient && address && CONTRACT_ADDRESS),
+        queryFn: async () => {
+            const logs = await publicClient!.getLogs({
+                address: CONTRACT_ADDRESS,
+                event: TRANSFER_EVENT,
+                args: { to: address },
+                fromBlock: DEPLOY_BLOCK,
+            });
+            const received = [...new Set(logs.map((log) => log.args.tokenId as bigint))];
+
+            const owners = await Promise.all(
+                received.map((tokenId) =>
+                    publicClient!
+                        .readContract({ address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'ownerOf', args: [tokenId] })
+                        .catch(() => undefined) // burned
+                )
+            );
+            return received
+                .filter((_, i) => (owners[i] as string | undefined)?.toLowerCase() === address!.toLowerCase())
+                .sort((a, b) => (a < b ? -1 : 1));
+        },
+    });
+
+    if (!isConnected) {
+        return <p className="text-center text-gray-400">Connect your wallet to see your tokens.</p>;
+    }
+    if (error) {
+        return <p className="text-center text-red-300">Could not load your tokens: {error.message}</p>;
+    }
+    if (isLoading || !tokenIds) {
+        return <p className="text-center text-gray-400">Loading tokens...</p>;
+    }
+    if (tokenIds.length === 0) {
+        return <p className="text-center text-gray-400">This wallet does not hold any tokens yet.</p>;
+    }
+
+    return (
+        <div>
+            <p className="text-center text-gray-400 mb-8">You hold {tokenIds.length} tokens</p>
+            <TokenGrid tokenIds={tokenIds} />
+        </div>
+    );
+};
@@ -0,0 +1,82 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { formatEther, zeroHash } from 'viem';
+
+export type SaleStage = {
+    startTime: bigint;
+    endTime: bigint;
+    maxPerWallet: number;
+    supplyCap: number;
+    price: bigint;
+    merkleRoot: `0x${string}`;
+};
+
+// Current unix time in seconds, updated every second for countdowns
+export const useNow = () => {
+    const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    return now;
+};
+
+export const findActiveStage = (stages: readonly SaleStage[], now: number) =>
+    stages.findIndex((stage) => Number(stage.startTime) <= now && now < Number(stage.endTime));
+
+export const findNextStage = (stages: readonly SaleStage[], now: number) =>
+    stages.findIndex((stage) => now < Number(stage.startTime));
+
+export const isAllowlistStage = (stage: SaleStage) => stage.merkleRoot !== zeroHash;
+
+export const stageLabel = (stage: SaleStage, index: number) =>
+    `Stage ${index + 1} (${isAllowlistStage(stage) ? 'Allowlist' : 'Public'})`;
+
+export const formatCountdown = (seconds: number) => {
+    if (seconds <= 0) return '0s';
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+
+    return [days && `${days}d`, (days || hours) && `${hours}h`, `${minutes}m`, `${secs}s`]
+        .filter(Boolean)
+        .join(' ');
+};
+
+export const SaleSchedule = ({ stages, now }: { stages: readonly SaleStage[]; now: number }) => {
+    if (stages.length === 0) return null;
+
+    return (
+        <div className="mb-4 p-3 bg-slate-900/50 rounded-lg border border-slate-700">
+            <h3 className="text-sm font-semibold text-gray-400 mb-2">Sale Schedule</h3>
+            <ul className="space-y-1 text-sm">
+                {stages.map((stage, index) => {
+                    const start = Number(stage.startTime);
+                    const end = Number(stage.endTime);
+                    const live = start <= now && now < end;
+
+                    let status = 'Ended';
+                    if (live) status = `Live · ends in ${formatCountdown(end - now)}`;
+                    else if (now < start) status = `Starts in ${formatCountdown(start - now)}`;
+
+                    return (
+                        <li
+                            key={index}
+                            className={`flex justify-between ${live ? 'text-cyan-300' : now >= end ? 'text-slate-500' : ''}`}
+                        >
+                            <span>
+                                {stageLabel(stage, index)} · {formatEther(stage.price)} ETH
+                                {stage.maxPerWallet > 0 && ` · max ${stage.maxPerWallet}/wallet`}
+                            </span>
+                            <span>{status}</span>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
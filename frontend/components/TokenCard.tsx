@@ -0,0 +1,51 @@
+'use client';
+
+import Image from 'next/image';
+import Link from 'next/link';
+import { useQuery } from '@tanstack/react-query';
+import { fetchMetadata, resolveURI } from '../lib/metadata';
+
+// Metadata behind a tokenURI, cached per URI so a reveal (new URI) loads it again
+export const useTokenMetadata = (uri?: string) =>
+    useQuery({
+        queryKey: ['tokenMetadata', uri],
+        queryFn: () => fetchMetadata(uri as string),
+        enabled: Boolean(uri),
+        staleTime: Infinity,
+        retry: 1,
+    });
+
+export const TokenArtwork = ({ image, alt }: { image?: string; alt: string }) => (
+    <div className="relative aspect-square bg-slate-700">
+        {image ? (
+            <Image src={resolveURI(image)} alt={alt} fill unoptimized className="object-cover" />
+        ) : (
+            <div className="absolute inset-0 flex items-center justify-center text-5xl text-slate-500">?</div>
+        )}
+    </div>
+);
+
+export type TokenSummary = {
+    tokenId: bigint;
+    uri: string;
+    revealed: boolean;
+};
+
+export const TokenCard = ({ tokenId, uri, revealed }: TokenSummary) => {
+    // The unrevealed URI may not point at JSON, in which case the placeholder stays
+    const { data: metadata } = useTokenMetadata(uri);
+    const name = metadata?.name || `#${tokenId}`;
+
+    return (
+        <Link
+            href={`/token/${tokenId}`}
+            className="block bg-slate-800 rounded-xl border border-slate-700 overflow-hidden hover:border-cyan-500 transition-colors"
+        >
+            <TokenArtwork image={metadata?.image} alt={name} />
+            <div className="p-3 flex justify-between items-center gap-2 text-sm">
+                <span className="font-semibold truncate">{name}</span>
+                {!revealed && <span className="text-xs text-gray-400 shrink-0">Unrevealed</span>}
+            </div>
+        </Link>
+    );
+};
@@ -0,0 +1,103 @@
+'use client';
+
+import Link from 'next/link';
+import { useReadContracts } from 'wagmi';
+import { CONTRACT_ADDRESS, nftAbi } from '../lib/contract';
+import { TokenArtwork, useTokenMetadata } from './TokenCard';
+
+// royaltyInfo is queried with a sale price of 10000, so the amount is the royalty in basis points
+const BASIS_POINTS = 10000;
+
+const shorten = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+export const TokenDetail = ({ id }: { id: string }) => {
+    const valid = /^\d+$/.test(id);
+    const tokenId = valid ? BigInt(id) : BigInt(0);
+
+    const { data, isLoading } = useReadContracts({
+        contracts: [
+            { address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'ownerOf', args: [tokenId] },
+            { address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'tokenURI', args: [tokenId] },
+            { address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'isRevealed', args: [tokenId] },
+            { address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'royaltyInfo', args: [tokenId, BigInt(BASIS_POINTS)] },
+        ],
+        query: { enabled: valid },
+    });
+    const [ownerResult, uriResult, revealedResult, royaltyResult] = data ?? [];
+    const owner = ownerResult?.result as string | undefined;
+    const uri = uriResult?.result as string | undefined;
+    const revealed = revealedResult?.result as boolean | undefined;
+    const [royaltyReceiver, royaltyAmount] = (royaltyResult?.result as readonly [string, bigint] | undefined) ?? [];
+
+    const { data: metadata, error: metadataError } = useTokenMetadata(uri);
+    const name = metadata?.name || `#${id}`;
+
+    if (!valid || (data && ownerResult?.status === 'failure')) {
+        return (
+            <div className="text-center text-gray-400">
+                Token #{id} does not exist. <Link href="/gallery" className="text-cyan-400 hover:underline">Back to the gallery</Link>
+            </div>
+        );
+    }
+    if (isLoading) {
+        return <p className="text-center text-gray-400">Loading token...</p>;
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div className="rounded-xl overflow-hidden border border-slate-700">
+                <TokenArtwork image={metadata?.image} alt={name} />
+            </div>
+
+            <div>
+                <Link href="/gallery" className="text-sm text-cyan-400 hover:underline">
+                    &larr; Gallery
+                </Link>
+                <h2 className="text-3xl font-bold mt-2 mb-2">{name}</h2>
+                {metadata?.description && <p className="text-gray-400 mb-6">{metadata.description}</p>}
+
+                <div className="space-y-2 mb-6 text-sm">
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Owner:</span>
+                        <span className="font-mono">{owner ? shorten(owner) : '-'}</span>
+                    </div>
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Status:</span>
+                        <span>{revealed ? 'Revealed' : 'Unrevealed'}</span>
+                    </div>
+                    <div className="flex justify-between">
+                        <span className="text-gray-400">Royalty:</span>
+                        <span>
+                            {royaltyAmount !== undefined && royaltyReceiver
+                                ? `${(Number(royaltyAmount) / 100).toFixed(2)}% to ${shorten(royaltyReceiver)}`
+                                : '-'}
+                        </span>
+                    </div>
+                </div>
+
+                {metadataError && (
+                    <p className="mb-6 text-sm text-gray-400">
+                        {revealed ? `Metadata could not be loaded: ${metadataError.message}` : 'The artwork is shown once the token is revealed.'}
+                    </p>
+                )}
+
+                {metadata?.attributes && metadata.attributes.length > 0 && (
+                    <>
+                        <h3 className="text-sm font-semibold text-gray-400 mb-2">Attributes</h3>
+                        <div className="grid grid-cols-2 gap-3">
+                            {metadata.attributes.map((attribute) => (
+                                <div
+                                    key={attribute.trait_type}
+                                    className="p-3 bg-slate-800 rounded-lg border border-slate-700"
+                                >
+                                    <div className="text-xs uppercase text-cyan-400">{attribute.trait_type}</div>
+                                    <div className="font-semibold">{String(attribute.value)}</div>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
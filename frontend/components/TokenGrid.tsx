@@ -0,0 +1,41 @@
+'use client';
+
+import { useReadContracts } from 'wagmi';
+import { CONTRACT_ADDRESS, nftAbi } from '../lib/contract';
+import { TokenCard, TokenSummary } from './TokenCard';
+
+// Read tokenURI and isRevealed for each token; burned tokens revert and are left out
+export const useTokenSummaries = (tokenIds: readonly bigint[]) => {
+    const { data, isLoading } = useReadContracts({
+        contracts: tokenIds.flatMap((tokenId) => [
+            { address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'tokenURI', args: [tokenId] },
+            { address: CONTRACT_ADDRESS, abi: nftAbi, functionName: 'isRevealed', args: [tokenId] },
+        ]),
+    });
+
+    const tokens: TokenSummary[] = [];
+    tokenIds.forEach((tokenId, i) => {
+        const uri = data?.[2 * i];
+        const revealed = data?.[2 * i + 1];
+        if (uri?.status === 'success' && revealed?.status === 'success') {
+            tokens.push({ tokenId, uri: uri.result as string, revealed: revealed.result as boolean });
+        }
+    });
+    return { tokens, isLoading };
+};
+
+export const TokenGrid = ({ tokenIds }: { tokenIds: readonly bigint[] }) => {
+    const { tokens, isLoading } = useTokenSummaries(tokenIds);
+
+    if (isLoading) {
+        return <p className="text-center text-gray-400">Loading tokens...</p>;
+    }
+
+    return (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-6">
+            {tokens.map((token) => (
+                <TokenCard key={token.tokenId.toString()} {...token} />
+            ))}
+        </div>
+    );
+};
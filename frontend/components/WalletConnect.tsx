@@ -1,10 +1,32 @@
 'use client';
 
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
 
+const LINKS = [
+    { href: '/', label: 'Mint' },
+    { href: '/gallery', label: 'Gallery' },
+    { href: '/my-tokens', label: 'My Tokens' },
+    { href: '/admin', label: 'Admin' },
+];
+
 export const WalletConnect = () => {
+    const pathname = usePathname();
+
     return (
-        <div className="flex justify-end p-4">
+        <div className="flex items-center justify-between p-4">
+            <nav className="flex gap-6 text-sm font-semibold">
+                {LINKS.map(({ href, label }) => (
+                    <Link
+                        key={href}
+                        href={href}
+                        className={pathname === href ? 'text-cyan-400' : 'text-gray-400 hover:text-slate-100'}
+                    >
+                        {label}
+                    </Link>
+                ))}
+            </nav>
             <ConnectButton />
         </div>
     );
@@ -0,0 +1,102 @@
+import { MerkleTree } from 'merkletreejs';
+import keccak256 from 'keccak256';
+import { encodePacked, getAddress, isAddress, keccak256 as hashHex, parseEther } from 'viem';
+import { parseCSV } from '../../scripts/utils/csv';
+import { ALLOWLIST_PRICE } from '../../scripts/collectionConfig';
+import type { AllowlistEntry, AllowlistProof } from './merkle';
+
+// Builds the same roots and proofs.json as scripts/merkleTree.js, with its CSV parser and defaults.
+// Only the admin page imports this, so the Merkle libraries stay out of the minting bundle.
+
+export type AllowlistDefaults = {
+    allowance: number;
+    price: string; // ETH
+};
+
+// Rows without an allowance or price get the defaults of merkleTree.js
+export const ALLOWLIST_DEFAULTS: AllowlistDefaults = { allowance: 1, price: ALLOWLIST_PRICE };
+
+export type AllowlistUpload = {
+    entries: AllowlistEntry[];
+    invalid: { line: number; reason: string }[];
+    duplicates: { line: number; address: string; firstLine: number }[];
+};
+
+export type ProofFile = {
+    root: `0x${string}`;
+    stageRoot: `0x${string}`;
+    proofs: Record<string, AllowlistProof>;
+};
+
+const hashLeaf = ({ address, allowance, price }: AllowlistEntry) =>
+    hashHex(encodePacked(['address', 'uint256', 'uint256'], [address as `0x${string}`, BigInt(allowance), BigInt(price)]));
+
+const hashAddressLeaf = (address: string) => hashHex(address as `0x${string}`);
+
+const parseRow = (row: Record<string, string>, defaults: AllowlistDefaults): { entry?: AllowlistEntry; reason?: string } => {
+    const address = (row.address ?? '').trim();
+    if (!isAddress(address)) return { reason: `invalid address "${address}"` };
+
+    const allowanceValue = row.allowance ? row.allowance : String(defaults.allowance);
+    const allowance = Number(allowanceValue);
+    if (!Number.isInteger(allowance) || allowance < 1) return { reason: `invalid allowance "${allowanceValue}"` };
+
+    const priceValue = row.price ? row.price : defaults.price;
+    let price: bigint;
+    try {
+        price = parseEther(priceValue.trim());
+    } catch {
+        return { reason: `invalid price "${priceValue}"` };
+    }
+    if (price < BigInt(0)) return { reason: `invalid price "${priceValue}"` };
+
+    return { entry: { address: getAddress(address), allowance, price: price.toString() } };
+};
+
+// Parse an address,allowance,price CSV (price in ETH). Invalid rows and repeated addresses are left
+// out and reported by line; an address listed twice keeps its first row, like merkleTree.js.
+export const parseAllowlistCSV = (text: string, defaults = ALLOWLIST_DEFAULTS): AllowlistUpload => {
+    const upload: AllowlistUpload = { entries: [], invalid: [], duplicates: [] };
+    const seen = new Map<string, number>();
+
+    parseCSV(text).forEach((row, i) => {
+        const line = i + 2;
+        const { entry, reason } = parseRow(row, defaults);
+        if (!entry) {
+            upload.invalid.push({ line, reason: reason as string });
+            return;
+        }
+
+        const firstLine = seen.get(entry.address);
+        if (firstLine !== undefined) {
+            upload.duplicates.push({ line, address: entry.address, firstLine });
+            return;
+        }
+
+        seen.set(entry.address, line);
+        upload.entries.push(entry);
+    });
+
+    return upload;
+};
+
+// Both roots and every wallet's proofs, in the format /api/proof serves from data/proofs.json
+export const buildProofFile = (entries: AllowlistEntry[]): ProofFile => {
+    const tree = new MerkleTree(entries.map(hashLeaf), keccak256, { sortPairs: true });
+    const stageTree = new MerkleTree(entries.map(({ address }) => hashAddressLeaf(address)), keccak256, { sortPairs: true });
+    const proofs: Record<string, AllowlistProof> = {};
+
+    for (const entry of entries) {
+        proofs[entry.address.toLowerCase()] = {
+            ...entry,
+            proof: tree.getHexProof(hashLeaf(entry)) as `0x${string}`[],
+            stageProof: stageTree.getHexProof(hashAddressLeaf(entry.address)) as `0x${string}`[],
+        };
+    }
+
+    return {
+        root: tree.getHexRoot() as `0x${string}`,
+        stageRoot: stageTree.getHexRoot() as `0x${string}`,
+        proofs,
+    };
+};
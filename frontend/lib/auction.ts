@@ -0,0 +1,36 @@
+export type DutchAuction = {
+    startTime: bigint;
+    dropInterval: bigint;
+    rebate: boolean;
+    startPrice: bigint;
+    floorPrice: bigint;
+    priceDrop: bigint;
+};
+
+// The public `dutchAuction()` getter returns the struct fields as a tuple
+export const toDutchAuction = (
+    data: readonly [bigint, bigint, boolean, bigint, bigint, bigint] | undefined
+): DutchAuction | undefined => {
+    if (!data || data[0] === BigInt(0)) return undefined;
+    const [startTime, dropInterval, rebate, startPrice, floorPrice, priceDrop] = data;
+    return { startTime, dropInterval, rebate, startPrice, floorPrice, priceDrop };
+};
+
+// Mirrors NFTLaunchpad.getCurrentPrice for an auction that is not finalized
+export const auctionPrice = (auction: DutchAuction, now: number) => {
+    const elapsed = BigInt(now) - auction.startTime;
+    if (elapsed <= BigInt(0)) return auction.startPrice;
+
+    const discount = (elapsed / auction.dropInterval) * auction.priceDrop;
+    if (discount >= auction.startPrice - auction.floorPrice) return auction.floorPrice;
+    return auction.startPrice - discount;
+};
+
+// Seconds until the next price drop, or undefined once the floor is reached
+export const secondsToNextDrop = (auction: DutchAuction, now: number) => {
+    if (auctionPrice(auction, now) === auction.floorPrice) return undefined;
+
+    const elapsed = BigInt(now) - auction.startTime;
+    if (elapsed < BigInt(0)) return Number(-elapsed + auction.dropInterval);
+    return Number(auction.dropInterval - (elapsed % auction.dropInterval));
+};
@@ -0,0 +1,7 @@
+import type { Abi } from 'viem';
+import abi from '../constants/abi.json';
+
+export const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS as `0x${string}`;
+
+// Generated JSON carries no literal types, which useReadContracts needs
+export const nftAbi = abi as Abi;
@@ -0,0 +1,44 @@
+import { BaseError, ContractFunctionRevertedError, InsufficientFundsError, UserRejectedRequestError } from 'viem';
+
+// What buyers are told when a mint reverts, by the custom error of NFTLaunchpad or VoucherMinter
+const REVERT_MESSAGES: Record<string, string> = {
+    InvalidPhase: 'This sale phase is not open.',
+    InvalidMerkleProof: 'This wallet is not on the allowlist.',
+    AllowlistAlreadyClaimed: 'This wallet has already minted its whole allowlist allowance.',
+    ExceedsAllowlistAllowance: "That is more than this wallet's remaining allowlist allowance.",
+    ExceedsMaxSupply: 'There are not enough tokens left for that quantity.',
+    ExceedsMaxMintsPerTx: 'That is more than can be minted in one transaction.',
+    ExceedsWalletLimit: 'That is more than this wallet may mint in this stage.',
+    ExceedsStageSupply: 'There are not enough tokens left in this stage.',
+    NoActiveStage: 'No sale stage is live right now.',
+    InsufficientPayment: 'Not enough ETH was sent for that quantity.',
+    IncorrectPayment: 'The payment does not match the price.',
+    EnforcedPause: 'Minting is paused.',
+    ContractPaused: 'Minting is paused.',
+    SaleNotStarted: 'The Dutch auction has not started yet.',
+    SaleIsCancelled: 'The sale was cancelled.',
+    AuctionNotFinalized: 'Rebates can be claimed once the auction has ended.',
+    NothingToRebate: 'There is no rebate to claim.',
+    NotVoucherMinter: 'This voucher was issued to another wallet.',
+    VoucherExpired: 'The voucher has expired; reload the page to get a new one.',
+    InvalidSignature: 'The voucher signature is not valid.',
+    ExceedsVoucherQuantity: "That is more than this voucher's remaining quantity.",
+};
+
+// A readable message for a failed contract call: a friendly text for the custom errors buyers can hit,
+// the error name for the rest when viem could decode it against the ABI, otherwise viem's short message
+export const errorMessage = (error: unknown) => {
+    if (!(error instanceof BaseError)) return error instanceof Error ? error.message : String(error);
+
+    if (error.walk((cause) => cause instanceof UserRejectedRequestError)) return 'Transaction rejected in the wallet.';
+    if (error.walk((cause) => cause instanceof InsufficientFundsError)) return 'The wallet does not hold enough ETH.';
+
+    const revert = error.walk((cause) => cause instanceof ContractFunctionRevertedError);
+    if (revert instanceof ContractFunctionRevertedError && revert.data?.errorName) {
+        const { errorName, args } = revert.data;
+        if (REVERT_MESSAGES[errorName]) return REVERT_MESSAGES[errorName];
+        return `The contract reverted with ${errorName}${args?.length ? `(${args.join(', ')})` : ''}.`;
+    }
+
+    return error.shortMessage || error.message;
+};
@@ -0,0 +1,19 @@
+export type AllowlistEntry = {
+    address: string;
+    allowance: number;
+    price: string; // wei
+};
+
+// An entry of data/proofs.json, written by scripts/merkleTree.js
+export type AllowlistProof = AllowlistEntry & {
+    proof: `0x${string}`[];
+    stageProof: `0x${string}`[];
+};
+
+// Ask /api/proof/[address] for the wallet's proofs; undefined when it is not eligible
+export const fetchProof = async (address: string): Promise<AllowlistProof | undefined> => {
+    const response = await fetch(`/api/proof/${address}`);
+    if (response.status === 404) return undefined;
+    if (!response.ok) throw new Error(`Proof lookup returned ${response.status}`);
+    return response.json();
+};
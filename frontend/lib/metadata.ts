@@ -0,0 +1,42 @@
+export type TokenAttribute = {
+    trait_type: string;
+    value: string | number;
+    display_type?: string;
+};
+
+export type TokenMetadata = {
+    name?: string;
+    description?: string;
+    image?: string;
+    attributes?: TokenAttribute[];
+};
+
+export const IPFS_GATEWAY = process.env.NEXT_PUBLIC_IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+
+// ipfs:// URIs go through the gateway; http(s) and data: URIs are used as they are
+export const resolveURI = (uri: string) => {
+    if (!uri.startsWith('ipfs://')) return uri;
+    const gateway = IPFS_GATEWAY.endsWith('/') ? IPFS_GATEWAY : `${IPFS_GATEWAY}/`;
+    return gateway + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+};
+
+const decodeDataURI = (uri: string) => {
+    const comma = uri.indexOf(',');
+    if (comma < 0) throw new Error('Malformed data URI');
+    const body = uri.slice(comma + 1);
+
+    if (uri.slice(0, comma).endsWith(';base64')) {
+        const bytes = Uint8Array.from(atob(body), (char) => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+    return decodeURIComponent(body);
+};
+
+// Load the JSON behind a tokenURI: a data: URI from the on-chain renderer, ipfs:// or http(s)
+export const fetchMetadata = async (uri: string): Promise<TokenMetadata> => {
+    if (uri.startsWith('data:')) return JSON.parse(decodeDataURI(uri));
+
+    const response = await fetch(resolveURI(uri));
+    if (!response.ok) throw new Error(`Metadata request returned ${response.status}`);
+    return response.json();
+};
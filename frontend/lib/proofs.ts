@@ -0,0 +1,27 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import type { AllowlistProof } from './merkle';
+
+type ProofFile = {
+    root: string;
+    stageRoot: string;
+    proofs: Record<string, AllowlistProof>;
+};
+
+// Server-only: the proof file lists every allowlisted address
+const PROOFS_FILE = process.env.PROOFS_FILE || path.join(process.cwd(), 'data/proofs.json');
+
+let proofFile: Promise<ProofFile> | undefined;
+
+const loadProofFile = () => {
+    proofFile ??= readFile(PROOFS_FILE, 'utf8')
+        .then((content) => JSON.parse(content) as ProofFile)
+        .catch((error) => {
+            proofFile = undefined; // retry on the next request, e.g. once the file has been generated
+            throw error;
+        });
+    return proofFile;
+};
+
+// Entries are keyed by lower-case address, so any casing of the address matches
+export const findProof = async (address: string) => (await loadProofFile()).proofs[address.toLowerCase()];
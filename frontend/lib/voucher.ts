@@ -0,0 +1,51 @@
+import { parseAbi } from 'viem';
+
+export type MintVoucher = {
+    minter: `0x${string}`;
+    quantity: string;
+    price: string; // wei per token
+    expiry: string; // unix seconds
+    nonce: string;
+};
+
+export type SignedVoucher = {
+    voucher: MintVoucher;
+    signature: `0x${string}`;
+};
+
+export const VOUCHER_SERVICE_URL = process.env.NEXT_PUBLIC_VOUCHER_SERVICE_URL;
+export const VOUCHER_MINTER_ADDRESS = process.env.NEXT_PUBLIC_VOUCHER_MINTER_ADDRESS as `0x${string}` | undefined;
+
+// Voucher mode replaces the Merkle allowlist when both are configured
+export const vouchersEnabled = Boolean(VOUCHER_SERVICE_URL && VOUCHER_MINTER_ADDRESS);
+
+export const voucherMinterAbi = parseAbi([
+    'function redeem((address minter, uint256 quantity, uint256 price, uint256 expiry, uint256 nonce) voucher, bytes signature, uint256 quantity) payable',
+    'function voucherMinted(address minter, uint256 nonce) view returns (uint256)',
+    // VoucherMinter's errors and the launchpad's that minterMint passes through, so reverts can be decoded
+    'error InvalidPhase()',
+    'error NotVoucherMinter()',
+    'error VoucherExpired()',
+    'error InvalidSignature()',
+    'error ExceedsVoucherQuantity()',
+    'error InsufficientPayment()',
+    'error EnforcedPause()',
+    'error ExceedsMaxSupply()',
+    'error ExceedsMaxMintsPerTx()',
+]);
+
+// Ask scripts/voucherService.js for a voucher; undefined when the address is not eligible
+export const fetchVoucher = async (address: string): Promise<SignedVoucher | undefined> => {
+    const response = await fetch(`${VOUCHER_SERVICE_URL}/voucher/${address}`);
+    if (response.status === 404) return undefined;
+    if (!response.ok) throw new Error(`Voucher service returned ${response.status}`);
+    return response.json();
+};
+
+export const toVoucherArgs = (voucher: MintVoucher) => ({
+    minter: voucher.minter,
+    quantity: BigInt(voucher.quantity),
+    price: BigInt(voucher.price),
+    expiry: BigInt(voucher.expiry),
+    nonce: BigInt(voucher.nonce),
+});
@@ -10,11 +10,15 @@ const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.28",
     settings: {
+      // The IR pipeline, MCOPY (cancun) and a low runs value keep NFTLaunchpad
+      // below the 24KB contract size limit
+      viaIR: true,
+      evmVersion: "cancun",
       optimizer: {
         enabled: true,
-        runs: 200,
+        runs: 50,
       },
     },
   },
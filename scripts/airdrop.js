@@ -0,0 +1,228 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { parseCSV } = require('./utils/csv');
+
+const DEFAULT_INPUT = path.join(__dirname, 'airdrop.csv');
+const DEFAULT_PROGRESS_DIR = path.join(__dirname, '../reports');
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_MAX_TOKENS = 100;
+const DEFAULT_GAS_LIMIT = 10000000;
+
+const AIRDROP_ABI = [
+    'function airdrop(address[] recipients, uint256[] quantities)',
+    'function teamReserve() view returns (uint256)',
+    'function teamMinted() view returns (uint256)'
+];
+
+/**
+ * Read the recipients from a CSV with address,quantity columns. The address
+ * identifies a recipient in the progress file, so each may appear only once;
+ * the line number is kept for messages.
+ */
+const loadRecipients = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Airdrop file not found at: ${filePath}`);
+    }
+
+    const lines = new Map();
+    return parseCSV(fs.readFileSync(filePath, 'utf8')).map((row, i) => {
+        const line = i + 2;
+        if (!ethers.isAddress(row.address)) {
+            throw new Error(`Line ${line}: invalid address "${row.address}"`);
+        }
+        const address = ethers.getAddress(row.address);
+        if (lines.has(address)) {
+            throw new Error(`Line ${line}: ${address} is already on line ${lines.get(address)}`);
+        }
+        lines.set(address, line);
+        const quantity = Number(row.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(`Line ${line}: invalid quantity "${row.quantity}"`);
+        }
+        return { line, address, quantity };
+    });
+};
+
+/**
+ * Group recipients into batches of at most `maxTokens` tokens. A recipient
+ * with more tokens than that gets a batch of its own.
+ */
+const planBatches = (recipients, maxTokens) => {
+    const batches = [];
+    let batch = [];
+    let tokens = 0;
+
+    for (const recipient of recipients) {
+        if (batch.length > 0 && tokens + recipient.quantity > maxTokens) {
+            batches.push(batch);
+            batch = [];
+            tokens = 0;
+        }
+        batch.push(recipient);
+        tokens += recipient.quantity;
+    }
+    if (batch.length > 0) batches.push(batch);
+
+    return batches;
+};
+
+const loadProgress = (progressFile, contractAddress) => {
+    if (!fs.existsSync(progressFile)) {
+        return { contract: contractAddress, completed: [], transactions: [], pending: null };
+    }
+
+    const progress = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+    if (progress.contract.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`${progressFile} belongs to ${progress.contract}, not ${contractAddress}`);
+    }
+    return progress;
+};
+
+const saveProgress = (progressFile, progress) => {
+    fs.mkdirSync(path.dirname(progressFile), { recursive: true });
+    fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+};
+
+/**
+ * Settle a transaction that was sent but not confirmed in an earlier run
+ */
+const resolvePending = async (provider, progress, log) => {
+    const { hash, addresses } = progress.pending;
+    const receipt = await provider.getTransactionReceipt(hash);
+
+    if (receipt && receipt.status === 1) {
+        progress.completed.push(...addresses);
+        progress.transactions.push({ hash, addresses });
+        log(`Pending batch ${hash} was confirmed`);
+    } else if (!receipt && (await provider.getTransaction(hash))) {
+        throw new Error(`Transaction ${hash} is still pending, rerun once it is mined or dropped`);
+    } else {
+        log(`Pending batch ${hash} did not go through, it will be retried`);
+    }
+    progress.pending = null;
+};
+
+/**
+ * Send the airdrop in batches. Batches whose gas estimate exceeds `gasLimit`
+ * are split in half. Progress is written after every batch, so a failed run
+ * resumes with the recipients that did not receive their tokens yet. A batch
+ * that was sent but not confirmed stays pending and is settled by the next run.
+ */
+const runAirdrop = async ({
+    contract,
+    recipients,
+    progressFile,
+    maxTokensPerBatch = DEFAULT_MAX_TOKENS,
+    gasLimit = DEFAULT_GAS_LIMIT,
+    log = console.log
+}) => {
+    const contractAddress = await contract.getAddress();
+    const progress = loadProgress(progressFile, contractAddress);
+
+    if (progress.pending) {
+        await resolvePending(contract.runner.provider, progress, log);
+        saveProgress(progressFile, progress);
+    }
+
+    const done = new Set(progress.completed);
+    const remaining = recipients.filter((recipient) => !done.has(recipient.address));
+    if (remaining.length < recipients.length) {
+        log(`Skipping ${recipients.length - remaining.length} recipients airdropped in an earlier run`);
+    }
+
+    const queue = planBatches(remaining, maxTokensPerBatch);
+    while (queue.length > 0) {
+        const batch = queue.shift();
+        const addresses = batch.map((recipient) => recipient.address);
+        const args = [addresses, batch.map((recipient) => recipient.quantity)];
+        const label = `lines ${batch[0].line}-${batch[batch.length - 1].line}`;
+
+        try {
+            const estimate = await contract.airdrop.estimateGas(...args);
+            if (estimate > BigInt(gasLimit)) {
+                if (batch.length === 1) {
+                    throw new Error(`needs ${estimate} gas, above the ${gasLimit} limit`);
+                }
+                const half = Math.ceil(batch.length / 2);
+                queue.unshift(batch.slice(0, half), batch.slice(half));
+                continue;
+            }
+
+            const tx = await contract.airdrop(...args);
+            progress.pending = { hash: tx.hash, addresses };
+            saveProgress(progressFile, progress);
+
+            await tx.wait();
+            progress.completed.push(...addresses);
+            progress.transactions.push({ hash: tx.hash, addresses });
+            progress.pending = null;
+            saveProgress(progressFile, progress);
+
+            const tokens = batch.reduce((sum, recipient) => sum + recipient.quantity, 0);
+            log(`✓ ${label}: ${tokens} tokens to ${batch.length} recipients (${tx.hash})`);
+        } catch (error) {
+            // A batch that was already sent stays pending: it may still be mined
+            saveProgress(progressFile, progress);
+            throw new Error(
+                `Batch ${label} failed: ${error.shortMessage || error.message}. ` +
+                `Progress saved to ${progressFile}, rerun to resume.`
+            );
+        }
+    }
+
+    return progress;
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            input: { type: 'string' },
+            address: { type: 'string' },
+            rpc: { type: 'string' },
+            progress: { type: 'string' },
+            'max-tokens': { type: 'string' },
+            'gas-limit': { type: 'string' }
+        }
+    });
+
+    const address = values.address || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+    if (!address || !ethers.isAddress(address)) {
+        throw new Error("Pass the contract with --address (or set NEXT_PUBLIC_CONTRACT_ADDRESS)");
+    }
+
+    const recipients = loadRecipients(path.resolve(values.input || DEFAULT_INPUT));
+    const total = recipients.reduce((sum, recipient) => sum + recipient.quantity, 0);
+
+    const provider = new ethers.JsonRpcProvider(values.rpc || process.env.RPC_URL || DEFAULT_RPC_URL);
+    // Without a PRIVATE_KEY the node's first unlocked account is used, e.g. on a local Hardhat node
+    const signer = process.env.PRIVATE_KEY
+        ? new ethers.Wallet(process.env.PRIVATE_KEY, provider)
+        : await provider.getSigner();
+    const contract = new ethers.Contract(address, AIRDROP_ABI, signer);
+
+    const reserveLeft = (await contract.teamReserve()) - (await contract.teamMinted());
+    console.log(`Airdropping ${total} tokens to ${recipients.length} recipients (team reserve left: ${reserveLeft})`);
+
+    const progressFile = path.resolve(values.progress || path.join(DEFAULT_PROGRESS_DIR, `airdrop-${address}.json`));
+    const progress = await runAirdrop({
+        contract,
+        recipients,
+        progressFile,
+        maxTokensPerBatch: values['max-tokens'] ? Number(values['max-tokens']) : DEFAULT_MAX_TOKENS,
+        gasLimit: values['gas-limit'] ? Number(values['gas-limit']) : DEFAULT_GAS_LIMIT
+    });
+    console.log(`Airdrop complete in ${progress.transactions.length} transactions. Progress: ${progressFile}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { loadRecipients, planBatches, runAirdrop };
@@ -0,0 +1,37 @@
+// Collection settings shared by the deploy script and the off-chain generators,
+// so the number of generated tokens always matches the contract's maxSupply.
+module.exports = {
+    NAME: "Generative NFT",
+    SYMBOL: "GNFT",
+    DESCRIPTION: "A unique generative NFT part of the Launchpad collection.",
+    MAX_SUPPLY: 1000,
+    TEAM_RESERVE: 50, // held back from the sale for airdrops
+    ALLOWLIST_PRICE: "0.05", // ETH
+    PUBLIC_PRICE: "0.08", // ETH
+    UNREVEALED_URI: "ipfs://QmUnrevealedCID/", // Placeholder
+    ROYALTY_PERCENTAGE: 500, // 5%
+    // Per-token royalties in basis points, e.g. for 1/1s paying their artist:
+    // { tokenId: 1, receiver: "0x...", percentage: 1000 }
+    TOKEN_ROYALTIES: [],
+    // Marketplace operators that may not be approved to move tokens
+    BLOCKED_OPERATORS: [],
+    // Revenue split between the drop's payees, in basis points (each column must
+    // add up to 10000). royaltyShares defaults to primaryShares. Leave empty to
+    // send proceeds and royalties to the deployer. Example:
+    // { name: "artist", address: "0x...", primaryShares: 5000, royaltyShares: 6000 },
+    // { name: "dev", address: "0x...", primaryShares: 3000, royaltyShares: 2000 },
+    // { name: "community", address: "0x...", primaryShares: 2000, royaltyShares: 2000 }
+    PAYEES: [],
+    // Address of the key that signs EIP-712 mint vouchers (scripts/voucherService.js).
+    // When set, deploy.js deploys a VoucherMinter and gives it MINTER_ROLE.
+    VOUCHER_SIGNER: "",
+    // Role holders. The deployer keeps a role unless addresses are listed for
+    // it. A new ADMIN has to accept with acceptAdminTransfer() from that address.
+    ROLES: {
+        ADMIN: "",
+        SALE_MANAGER: [], // phases, stages, auction, prices, Merkle root, airdrops
+        METADATA_MANAGER: [], // URIs, renderer, provenance, reveal
+        TREASURER: [], // withdraw, payout recipient, royalties, operator blocklist
+        PAUSER: []
+    }
+};
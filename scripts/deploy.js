@@ -1,4 +1,86 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
 const hre = require("hardhat");
+const defaultConfig = require("./collectionConfig");
+
+// CLI flags that override a single collectionConfig.js setting
+const CONFIG_FLAGS = {
+  name: "NAME",
+  symbol: "SYMBOL",
+  "max-supply": "MAX_SUPPLY",
+  "allowlist-price": "ALLOWLIST_PRICE",
+  "public-price": "PUBLIC_PRICE",
+  "unrevealed-uri": "UNREVEALED_URI",
+  royalty: "ROYALTY_PERCENTAGE",
+};
+
+// `hardhat run` passes no script arguments, so the file and factory can also
+// come from COLLECTION_CONFIG and LAUNCHPAD_FACTORY
+function parseOptions() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      collection: { type: "string" },
+      factory: { type: "string" },
+      ...Object.fromEntries(Object.keys(CONFIG_FLAGS).map((flag) => [flag, { type: "string" }])),
+    },
+  });
+  return {
+    ...values,
+    collection: values.collection || process.env.COLLECTION_CONFIG,
+    factory: values.factory || process.env.LAUNCHPAD_FACTORY,
+  };
+}
+
+// scripts/collectionConfig.js, overridden by a JSON file with the same keys
+// and then by CLI flags
+function loadCollectionConfig(options) {
+  const config = { ...defaultConfig };
+  if (options.collection) {
+    Object.assign(config, JSON.parse(fs.readFileSync(path.resolve(options.collection), "utf8")));
+  }
+  for (const [flag, key] of Object.entries(CONFIG_FLAGS)) {
+    if (options[flag] !== undefined) config[key] = options[flag];
+  }
+
+  config.MAX_SUPPLY = Number(config.MAX_SUPPLY);
+  config.ROYALTY_PERCENTAGE = Number(config.ROYALTY_PERCENTAGE);
+  if (!config.NAME || !config.SYMBOL) throw new Error("The collection needs a NAME and a SYMBOL");
+  if (!Number.isInteger(config.MAX_SUPPLY) || config.MAX_SUPPLY < 1) {
+    throw new Error(`Invalid MAX_SUPPLY "${config.MAX_SUPPLY}"`);
+  }
+  return config;
+}
+
+async function deployFactory(deployer) {
+  // The implementation is only ever called through clones; its own settings are unused
+  const NFTLaunchpad = await hre.ethers.getContractFactory("NFTLaunchpad");
+  const implementation = await NFTLaunchpad.deploy("NFTLaunchpad", "LAUNCHPAD", 1, 0, 0, "", deployer.address, 0);
+  await implementation.waitForDeployment();
+  console.log("NFTLaunchpad implementation deployed to:", await implementation.getAddress());
+
+  const LaunchpadFactory = await hre.ethers.getContractFactory("LaunchpadFactory");
+  const factory = await LaunchpadFactory.deploy(await implementation.getAddress());
+  await factory.waitForDeployment();
+  console.log("LaunchpadFactory deployed to:", await factory.getAddress());
+  return factory;
+}
+
+async function deploySplitter(payees, sharesKey) {
+  // Payees without a share in this split are left out
+  const split = payees
+    .map((payee) => ({ address: payee.address, shares: payee[sharesKey] ?? payee.primaryShares }))
+    .filter((payee) => payee.shares > 0);
+
+  const RevenueSplitter = await hre.ethers.getContractFactory("RevenueSplitter");
+  const splitter = await RevenueSplitter.deploy(
+    split.map((payee) => payee.address),
+    split.map((payee) => payee.shares)
+  );
+  await splitter.waitForDeployment();
+  return splitter.getAddress();
+}
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -6,32 +88,121 @@ async function main() {
   console.log("Deploying contracts with the account:", deployer.address);
 
   // Configuration
-  const NAME = "Generative NFT";
-  const SYMBOL = "GNFT";
-  const MAX_SUPPLY = 1000;
-  const ALLOWLIST_PRICE = hre.ethers.parseEther("0.05");
-  const PUBLIC_PRICE = hre.ethers.parseEther("0.08");
-  const UNREVEALED_URI = "ipfs://QmUnrevealedCID/"; // Placeholder
-  const ROYALTY_RECIPIENT = deployer.address;
-  const ROYALTY_PERCENTAGE = 500; // 5%
+  const options = parseOptions();
+  const collectionConfig = loadCollectionConfig(options);
+  const { NAME, SYMBOL, MAX_SUPPLY, UNREVEALED_URI, ROYALTY_PERCENTAGE } = collectionConfig;
+  const ALLOWLIST_PRICE = hre.ethers.parseEther(String(collectionConfig.ALLOWLIST_PRICE));
+  const PUBLIC_PRICE = hre.ethers.parseEther(String(collectionConfig.PUBLIC_PRICE));
+  const { PAYEES = [] } = collectionConfig;
 
-  const NFTLaunchpad = await hre.ethers.getContractFactory("NFTLaunchpad");
-  const nftLaunchpad = await NFTLaunchpad.deploy(
-    NAME,
-    SYMBOL,
-    MAX_SUPPLY,
-    ALLOWLIST_PRICE,
-    PUBLIC_PRICE,
-    UNREVEALED_URI,
-    ROYALTY_RECIPIENT,
-    ROYALTY_PERCENTAGE
-  );
+  // Primary sale proceeds and royalties go through RevenueSplitters when payees
+  // are configured; a single splitter is shared when both splits are equal
+  let payoutRecipient = deployer.address;
+  let ROYALTY_RECIPIENT = deployer.address;
+  if (PAYEES.length > 0) {
+    payoutRecipient = await deploySplitter(PAYEES, "primaryShares");
+    console.log("Primary sale splitter deployed to:", payoutRecipient);
+
+    const sameSplit = PAYEES.every((payee) => (payee.royaltyShares ?? payee.primaryShares) === payee.primaryShares);
+    ROYALTY_RECIPIENT = sameSplit ? payoutRecipient : await deploySplitter(PAYEES, "royaltyShares");
+    console.log("Royalty splitter deployed to:", ROYALTY_RECIPIENT);
 
-  await nftLaunchpad.waitForDeployment();
+    PAYEES.forEach((payee) =>
+      console.log(`  ${payee.name || payee.address}: ${payee.primaryShares} / ${payee.royaltyShares ?? payee.primaryShares} bps`)
+    );
+  }
 
-  const address = await nftLaunchpad.getAddress();
+  // Collections are clones created through a factory: an existing one when
+  // given, otherwise a new implementation and factory
+  const factory = options.factory
+    ? await hre.ethers.getContractAt("LaunchpadFactory", options.factory)
+    : await deployFactory(deployer);
+  const receipt = await (
+    await factory.createCollection({
+      name: NAME,
+      symbol: SYMBOL,
+      maxSupply: MAX_SUPPLY,
+      allowlistPrice: ALLOWLIST_PRICE,
+      publicPrice: PUBLIC_PRICE,
+      unrevealedURI: UNREVEALED_URI,
+      royaltyRecipient: ROYALTY_RECIPIENT,
+      royaltyPercentage: ROYALTY_PERCENTAGE,
+    })
+  ).wait();
+
+  const created = receipt.logs
+    .map((log) => factory.interface.parseLog(log))
+    .find((event) => event && event.name === "CollectionCreated");
+  const address = created.args.collection;
+  const nftLaunchpad = await hre.ethers.getContractAt("NFTLaunchpad", address);
   console.log("NFTLaunchpad deployed to:", address);
 
+  if (payoutRecipient !== deployer.address) {
+    await (await nftLaunchpad.setPayoutRecipient(payoutRecipient)).wait();
+    console.log("Payout recipient set to:", payoutRecipient);
+  }
+
+  if (collectionConfig.TEAM_RESERVE) {
+    await (await nftLaunchpad.setTeamReserve(collectionConfig.TEAM_RESERVE)).wait();
+    console.log("Team reserve set to:", collectionConfig.TEAM_RESERVE);
+  }
+
+  const { TOKEN_ROYALTIES = [], BLOCKED_OPERATORS = [] } = collectionConfig;
+  for (const { tokenId, receiver, percentage } of TOKEN_ROYALTIES) {
+    await (await nftLaunchpad.setTokenRoyalty(tokenId, receiver, percentage)).wait();
+    console.log(`Royalty of token #${tokenId} set to ${percentage} bps for ${receiver}`);
+  }
+  for (const operator of BLOCKED_OPERATORS) {
+    await (await nftLaunchpad.setOperatorBlocked(operator, true)).wait();
+    console.log("Blocked operator:", operator);
+  }
+
+  // Commit the provenance hash written by scripts/provenance.js, if present
+  const provenancePath = path.join(__dirname, "../provenance.json");
+  if (fs.existsSync(provenancePath)) {
+    const { provenanceHash } = JSON.parse(fs.readFileSync(provenancePath, "utf8"));
+    await (await nftLaunchpad.setProvenanceHash(provenanceHash)).wait();
+    console.log("Provenance hash set to:", provenanceHash);
+  }
+
+  let voucherMinter;
+  if (collectionConfig.VOUCHER_SIGNER) {
+    const VoucherMinter = await hre.ethers.getContractFactory("VoucherMinter");
+    voucherMinter = await VoucherMinter.deploy(address, collectionConfig.VOUCHER_SIGNER);
+    await voucherMinter.waitForDeployment();
+    const voucherMinterAddress = await voucherMinter.getAddress();
+
+    await (await nftLaunchpad.grantRole(await nftLaunchpad.MINTER_ROLE(), voucherMinterAddress)).wait();
+    console.log("VoucherMinter deployed to:", voucherMinterAddress);
+    console.log("Voucher signer:", collectionConfig.VOUCHER_SIGNER);
+  }
+
+  // Hand out roles last: the steps above need the deployer to hold all of them
+  const { ROLES = {} } = collectionConfig;
+  for (const role of ["SALE_MANAGER", "METADATA_MANAGER", "TREASURER", "PAUSER"]) {
+    const holders = ROLES[role] || [];
+    if (holders.length === 0) continue;
+
+    const roleId = await nftLaunchpad[`${role}_ROLE`]();
+    for (const holder of holders) {
+      await (await nftLaunchpad.grantRole(roleId, holder)).wait();
+    }
+    if (!holders.some((holder) => holder.toLowerCase() === deployer.address.toLowerCase())) {
+      await (await nftLaunchpad.revokeRole(roleId, deployer.address)).wait();
+    }
+    console.log(`${role}: ${holders.join(", ")}`);
+  }
+  if (ROLES.ADMIN && ROLES.ADMIN.toLowerCase() !== deployer.address.toLowerCase()) {
+    await (await nftLaunchpad.beginAdminTransfer(ROLES.ADMIN)).wait();
+    console.log(`Admin transfer to ${ROLES.ADMIN} started; accept it with acceptAdminTransfer() from that address`);
+
+    // The VoucherMinter owner rotates the voucher signer, so it follows the admin
+    if (voucherMinter) {
+      await (await voucherMinter.transferOwnership(ROLES.ADMIN)).wait();
+      console.log(`VoucherMinter ownership transfer to ${ROLES.ADMIN} started; accept it with acceptOwnership() from that address`);
+    }
+  }
+
   // We can write this address to a file or .env if needed for the frontend
   // For now, just logging it is enough as the user will copy it
 }
@@ -1,52 +1,329 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const collectionConfig = require('./collectionConfig');
 
-const ASSETS_DIR = path.join(__dirname, '../assets');
-const METADATA_DIR = path.join(__dirname, '../metadata');
-const COUNT = 10;
+const DEFAULT_OUT_DIR = path.join(__dirname, '..');
+const DEFAULT_LAYERS_CONFIG = path.join(__dirname, '../layers/config.json');
 
-// Ensure directories exist
-if (!fs.existsSync(ASSETS_DIR)) fs.mkdirSync(ASSETS_DIR, { recursive: true });
-if (!fs.existsSync(METADATA_DIR)) fs.mkdirSync(METADATA_DIR, { recursive: true });
+// How many times we re-roll a token whose DNA collides with an earlier one
+// before giving up on the collection.
+const MAX_DNA_ATTEMPTS = 10000;
 
-const generateSVG = (index) => {
-    const hue = (index * 360 / COUNT) % 360;
-    return `<svg width="500" height="500" xmlns="http://www.w3.org/2000/svg">
-            <rect width="100%" height="100%" fill="hsl(${hue}, 70%, 50%)" />
-            <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-size="50" fill="white">NFT #${index}</text>
-          </svg>`;
+/**
+ * Parse the command line. Every option falls back to the shared collection
+ * config, so running the script without arguments generates the full supply.
+ */
+const parseOptions = (argv) => {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            count: { type: 'string' },
+            seed: { type: 'string' },
+            out: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            config: { type: 'string' },
+            onchain: { type: 'boolean', default: false }
+        }
+    });
+
+    const count = values.count === undefined ? collectionConfig.MAX_SUPPLY : Number(values.count);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`--count must be a positive integer, got "${values.count}"`);
+    }
+
+    const outDir = path.resolve(values.out || DEFAULT_OUT_DIR);
+
+    return {
+        count,
+        // Without an explicit seed we pick one and print it, so any run can be reproduced
+        seed: values.seed || crypto.randomBytes(8).toString('hex'),
+        assetsDir: path.join(outDir, 'assets'),
+        metadataDir: path.join(outDir, 'metadata'),
+        name: values.name || collectionConfig.NAME,
+        description: values.description || collectionConfig.DESCRIPTION,
+        configPath: path.resolve(values.config || DEFAULT_LAYERS_CONFIG),
+        onchainPath: values.onchain ? path.join(outDir, 'onchain.json') : null
+    };
+};
+
+/**
+ * Seeded PRNG (sfc32) returning floats in [0, 1). The 128-bit state is taken
+ * from a SHA-256 of the seed, so any string works as a seed and the same seed
+ * always yields the same sequence.
+ */
+const createRandom = (seed) => {
+    const hash = crypto.createHash('sha256').update(String(seed)).digest();
+    let a = hash.readUInt32LE(0);
+    let b = hash.readUInt32LE(4);
+    let c = hash.readUInt32LE(8);
+    let d = hash.readUInt32LE(12);
+
+    return () => {
+        const t = (((a + b) >>> 0) + d) >>> 0;
+        d = (d + 1) >>> 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) >>> 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) >>> 0;
+        return t / 4294967296;
+    };
+};
+
+/**
+ * Remove token files left over from a previous, larger run so the output
+ * directory only ever contains the current collection.
+ */
+const clearTokenFiles = (dir, extension) => {
+    const pattern = new RegExp(`^\\d+\\.${extension}$`);
+    for (const file of fs.readdirSync(dir)) {
+        if (pattern.test(file)) fs.unlinkSync(path.join(dir, file));
+    }
+};
+
+/**
+ * Strip the outer <svg> element (and any XML prolog) from a layer file so
+ * several layers can be stacked inside a single document.
+ */
+const extractSvgBody = (svg) => {
+    const match = svg.match(/<svg[^>]*>([\s\S]*)<\/svg>/i);
+    return (match ? match[1] : svg).trim();
+};
+
+/**
+ * Load the layer configuration and the SVG fragment of every trait.
+ * Layers are composited in the order they appear in the config (first = bottom).
+ */
+const loadLayers = (configPath) => {
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Layer config not found at: ${configPath}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const layersDir = path.dirname(configPath);
+
+    if (!Array.isArray(config.layers) || config.layers.length === 0) {
+        throw new Error("Layer config must define at least one layer");
+    }
+
+    const layers = config.layers.map((layer) => {
+        if (!layer.name || !Array.isArray(layer.traits) || layer.traits.length === 0) {
+            throw new Error(`Layer "${layer.name}" must have a name and at least one trait`);
+        }
+
+        const traits = layer.traits.map((trait) => {
+            if (!(trait.weight > 0)) {
+                throw new Error(`Trait "${layer.name}/${trait.name}" needs a positive weight`);
+            }
+
+            // Traits without a file (e.g. "None") contribute no artwork
+            let svg = '';
+            if (trait.file) {
+                const traitPath = path.join(layersDir, layer.directory || layer.name, trait.file);
+                if (!fs.existsSync(traitPath)) {
+                    throw new Error(`Trait file not found: ${traitPath}`);
+                }
+                svg = extractSvgBody(fs.readFileSync(traitPath, 'utf8'));
+            }
+
+            return { name: trait.name, weight: trait.weight, svg };
+        });
+
+        return { name: layer.name, traits };
+    });
+
+    return {
+        width: config.width || 500,
+        height: config.height || 500,
+        layers
+    };
+};
+
+/**
+ * Pick a trait with probability proportional to its weight.
+ */
+const pickWeighted = (traits, random) => {
+    const totalWeight = traits.reduce((sum, trait) => sum + trait.weight, 0);
+    let roll = random() * totalWeight;
+
+    for (const trait of traits) {
+        roll -= trait.weight;
+        if (roll < 0) return trait;
+    }
+    return traits[traits.length - 1];
+};
+
+/**
+ * The DNA is a hash over the selected trait of every layer, so two tokens
+ * share a DNA exactly when they would render the same artwork.
+ */
+const createDNA = (layers, selection) => {
+    const key = layers.map((layer, i) => `${layer.name}:${selection[i].name}`).join('|');
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const countCombinations = (layers) =>
+    layers.reduce((total, layer) => total * layer.traits.length, 1);
+
+/**
+ * Roll a trait for every layer, re-rolling until the combination is unique.
+ */
+const generateUniqueSelection = (layers, usedDNA, random) => {
+    for (let attempt = 0; attempt < MAX_DNA_ATTEMPTS; attempt++) {
+        const selection = layers.map((layer) => pickWeighted(layer.traits, random));
+        const dna = createDNA(layers, selection);
+
+        if (!usedDNA.has(dna)) {
+            usedDNA.add(dna);
+            return { selection, dna };
+        }
+    }
+    throw new Error(`Could not find a unique trait combination after ${MAX_DNA_ATTEMPTS} attempts`);
+};
+
+/**
+ * Wrap a trait's artwork in a <g> named after its layer. Traits without
+ * artwork render to an empty string.
+ */
+const renderLayerGroup = (layer, trait) => {
+    if (!trait.svg) return '';
+
+    const indented = trait.svg.split('\n').map((line) => `    ${line.trim()}`).join('\n');
+    return `  <g id="${layer.name.toLowerCase().replace(/\s+/g, '-')}">\n${indented}\n  </g>`;
+};
+
+const generateSVG = ({ width, height, layers }, selection) => {
+    const groups = layers
+        .map((layer, i) => renderLayerGroup(layer, selection[i]))
+        .filter(Boolean)
+        .join('\n');
+
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">\n${groups}\n</svg>\n`;
+};
+
+const buildAttributes = (layers, selection) =>
+    layers.map((layer, i) => ({ trait_type: layer.name, value: selection[i].name }));
+
+// Strings are spliced into JSON on-chain without escaping
+const assertOnChainSafe = (label, text) => {
+    if (/["\\\u0000-\u001f]/.test(text)) {
+        throw new Error(`${label} "${text}" contains quotes, backslashes or control characters, which on-chain metadata does not support`);
+    }
+};
+
+/**
+ * Encode the collection for OnChainRenderer: every trait's <g> element
+ * (exactly as generateSVG writes it) and one trait index byte per layer for
+ * each token, in token order.
+ */
+const buildOnChainData = (collection, selections, { name, description }) => {
+    assertOnChainSafe('Name', name);
+    assertOnChainSafe('Description', description);
+
+    const layers = collection.layers.map((layer) => {
+        assertOnChainSafe('Layer', layer.name);
+        if (layer.traits.length > 256) throw new Error(`Layer "${layer.name}" has more than 256 traits`);
+
+        return {
+            name: layer.name,
+            traits: layer.traits.map((trait) => {
+                assertOnChainSafe('Trait', trait.name);
+                return { name: trait.name, svg: renderLayerGroup(layer, trait) };
+            })
+        };
+    });
+
+    const tokenTraits = Buffer.from(
+        selections.flatMap((selection) => collection.layers.map((layer, i) => layer.traits.indexOf(selection[i])))
+    );
+
+    return {
+        name,
+        description,
+        width: collection.width,
+        height: collection.height,
+        layers,
+        tokenTraits: `0x${tokenTraits.toString('hex')}`
+    };
 };
 
 async function main() {
-    console.log(`Generating ${COUNT} NFTs...`);
+    const options = parseOptions(process.argv.slice(2));
+    const collection = loadLayers(options.configPath);
+    const combinations = countCombinations(collection.layers);
+
+    if (options.count > combinations) {
+        throw new Error(`Requested ${options.count} tokens but the layers only allow ${combinations} unique combinations`);
+    }
+
+    // Ensure directories exist
+    if (!fs.existsSync(options.assetsDir)) fs.mkdirSync(options.assetsDir, { recursive: true });
+    if (!fs.existsSync(options.metadataDir)) fs.mkdirSync(options.metadataDir, { recursive: true });
+    clearTokenFiles(options.assetsDir, 'svg');
+    clearTokenFiles(options.metadataDir, 'json');
+
+    console.log(`Generating ${options.count} NFTs from ${collection.layers.length} layers (${combinations} possible combinations)...`);
+    console.log(`Seed: ${options.seed}`);
+
+    const random = createRandom(options.seed);
+    const usedDNA = new Set();
+    const selections = [];
+
+    for (let i = 1; i <= options.count; i++) {
+        const { selection, dna } = generateUniqueSelection(collection.layers, usedDNA, random);
+        selections.push(selection);
 
-    for (let i = 1; i <= COUNT; i++) {
         // 1. Generate Image
-        const svgContent = generateSVG(i);
-        const imagePath = path.join(ASSETS_DIR, `${i}.svg`);
+        const svgContent = generateSVG(collection, selection);
+        const imagePath = path.join(options.assetsDir, `${i}.svg`);
         fs.writeFileSync(imagePath, svgContent);
 
         // 2. Generate Metadata
-        // Note: We are using a placeholder CID for the image. 
+        // Note: We are using a placeholder CID for the image.
         // In a real flow, you'd upload images first, get the CID, then generate metadata.
         // For this script, we will just put a placeholder.
         const metadata = {
-            name: `Generative NFT #${i}`,
-            description: "A unique generative NFT part of the Launchpad collection.",
+            name: `${options.name} #${i}`,
+            description: options.description,
             image: `ipfs://REPLACE_WITH_IMAGE_CID/${i}.svg`,
-            attributes: [
-                { trait_type: "Background", value: `Hue ${Math.round((i * 360 / COUNT) % 360)}` },
-                { trait_type: "ID", value: i.toString() }
-            ]
+            dna,
+            attributes: buildAttributes(collection.layers, selection)
         };
 
-        const metadataPath = path.join(METADATA_DIR, `${i}.json`);
+        const metadataPath = path.join(options.metadataDir, `${i}.json`);
         fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
     }
 
     console.log("Generation complete!");
-    console.log(`Images: ${ASSETS_DIR}`);
-    console.log(`Metadata: ${METADATA_DIR}`);
+    console.log(`Images: ${options.assetsDir}`);
+    console.log(`Metadata: ${options.metadataDir}`);
+
+    if (options.onchainPath) {
+        const onchain = buildOnChainData(collection, selections, options);
+        fs.writeFileSync(options.onchainPath, JSON.stringify(onchain, null, 2));
+        console.log(`On-chain encoding: ${options.onchainPath}`);
+    }
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseOptions,
+    createRandom,
+    loadLayers,
+    pickWeighted,
+    createDNA,
+    countCombinations,
+    generateUniqueSelection,
+    renderLayerGroup,
+    generateSVG,
+    buildAttributes,
+    buildOnChainData
+};
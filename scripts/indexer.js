@@ -0,0 +1,566 @@
+require('dotenv').config();
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const Database = require('better-sqlite3');
+const { toCSV } = require('./utils/csv');
+
+const DEFAULT_DATABASE = path.join(__dirname, '../reports/indexer.sqlite');
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_PORT = 3003;
+const DEFAULT_CONFIRMATIONS = 2;
+const DEFAULT_BATCH_SIZE = 2000; // blocks per getLogs call
+const DEFAULT_POLL_INTERVAL = 2000; // ms
+const DEFAULT_TOP_HOLDERS = 20;
+
+const INDEXER_ABI = [
+    'event AllowlistMint(address indexed to, uint256 indexed tokenId, uint256 quantity)',
+    'event PublicMint(address indexed to, uint256 indexed tokenId, uint256 quantity)',
+    'event StageMint(address indexed to, uint256 indexed stageId, uint256 tokenId, uint256 quantity)',
+    'event MinterMint(address indexed minter, address indexed to, uint256 tokenId, uint256 quantity)',
+    'event Airdrop(address indexed to, uint256 indexed tokenId, uint256 quantity)',
+    'event PhaseChanged(uint8 newPhase)',
+    'event Revealed()',
+    // EIP-4906; revealThrough announces each staged reveal with one of them
+    'event MetadataUpdate(uint256 _tokenId)',
+    'event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId)',
+    'event Withdrawal(uint256 amount)',
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'function mintPrice(uint256 tokenId) view returns (uint256)',
+    'error NonexistentToken()'
+];
+
+// Every way NFTLaunchpad mints, by the event it emits; MinterMint comes from the VoucherMinter
+const MINT_PHASES = {
+    AllowlistMint: 'allowlist',
+    PublicMint: 'public',
+    StageMint: 'stage',
+    MinterMint: 'voucher',
+    Airdrop: 'airdrop'
+};
+const SALE_PHASES = ['closed', 'allowlist', 'public'];
+const INTERVALS = { hour: 3600, day: 86400 };
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    -- Blocks the indexer stored data for, kept to detect reorgs
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS mints (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        phase TEXT NOT NULL,
+        stage_id INTEGER,
+        minter TEXT NOT NULL,
+        first_token_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        price TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS transfers (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        token_id INTEGER NOT NULL,
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS transfers_by_token ON transfers (token_id, block_number, log_index);
+    -- PhaseChanged, Revealed, Withdrawal and the EIP-4906 metadata updates, with their arguments as JSON
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+`;
+
+/**
+ * Open (or create) the indexer database for a collection. A new database
+ * starts indexing at `fromBlock`; an existing one resumes after its last
+ * indexed block and refuses other collections, so two never mix.
+ */
+const openDatabase = (file, { address, fromBlock = 0 }) => {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const contract = ethers.getAddress(address);
+    const stored = db.prepare("SELECT value FROM meta WHERE key = 'contract'").pluck().get();
+    if (stored && stored !== contract) {
+        db.close();
+        throw new Error(`${file} indexes ${stored}, not ${contract}`);
+    }
+    if (!stored) {
+        const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+        setMeta.run('contract', contract);
+        setMeta.run('lastBlock', String(fromBlock - 1));
+    }
+    return db;
+};
+
+const lastIndexedBlock = (db) => Number(db.prepare("SELECT value FROM meta WHERE key = 'lastBlock'").pluck().get());
+
+/**
+ * Follows a collection's events into the database. Only blocks with
+ * `confirmations` blocks on top are indexed; each batch of blocks is written
+ * in one transaction together with the last indexed block, so a restart
+ * resumes where the previous run stopped. If a stored block was replaced by a
+ * deeper reorg, everything from the last block that is still on the chain
+ * onwards is dropped and indexed again.
+ */
+const createIndexer = ({
+    db,
+    provider,
+    address,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    batchSize = DEFAULT_BATCH_SIZE,
+    log = console.log
+}) => {
+    const contract = new ethers.Contract(address, INDEXER_ABI, provider);
+    // One getLogs call matches any of the events
+    const topics = [[]];
+    contract.interface.forEachEvent((event) => topics[0].push(event.topicHash));
+
+    const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)');
+    const insertMint = db.prepare(`
+        INSERT INTO mints (block_number, log_index, tx_hash, phase, stage_id, minter, first_token_id, quantity, price)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertTransfer = db.prepare(`
+        INSERT INTO transfers (block_number, log_index, tx_hash, token_id, from_address, to_address)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertEvent = db.prepare('INSERT INTO events (block_number, log_index, tx_hash, name, data) VALUES (?, ?, ?, ?, ?)');
+    const setLastBlock = db.prepare("UPDATE meta SET value = ? WHERE key = 'lastBlock'");
+
+    const rollback = db.transaction((blockNumber) => {
+        db.prepare('DELETE FROM blocks WHERE number > ?').run(blockNumber);
+        for (const table of ['mints', 'transfers', 'events']) {
+            db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+        }
+        setLastBlock.run(String(blockNumber));
+    });
+
+    const storeBatch = db.transaction((toBlock, blocks, records) => {
+        for (const block of blocks) insertBlock.run(block.number, block.hash, block.timestamp);
+        for (const record of records) {
+            const at = [record.blockNumber, record.index, record.transactionHash];
+            if (record.mint) {
+                const { phase, stageId, minter, tokenId, quantity, price } = record.mint;
+                insertMint.run(...at, phase, stageId, minter, tokenId, quantity, price);
+            } else if (record.transfer) {
+                const { tokenId, from, to } = record.transfer;
+                insertTransfer.run(...at, tokenId, from, to);
+            } else {
+                insertEvent.run(...at, record.name, JSON.stringify(record.data));
+            }
+        }
+        setLastBlock.run(String(toBlock));
+    });
+
+    // Walk back over the stored blocks until one still has the same hash on the chain
+    const handleReorg = async () => {
+        const stored = db.prepare('SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC').all(lastIndexedBlock(db));
+        for (const { number, hash } of stored) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === hash) {
+                if (number < lastIndexedBlock(db)) {
+                    log(`Reorg detected: re-indexing from block ${number + 1}`);
+                    rollback(number);
+                }
+                return;
+            }
+        }
+        // No stored block survived: start over from the first block
+        const first = db.prepare('SELECT MIN(number) FROM blocks').pluck().get();
+        if (first !== null) {
+            log(`Reorg detected: re-indexing from block ${first}`);
+            rollback(first - 1);
+        }
+    };
+
+    /**
+     * The price each token of a mint batch was sold at. The contract stores it
+     * once per batch and never changes it, so the current state has it and no
+     * archive node is needed. Refunds of a cancelled sale burn tokens, so any
+     * token of the batch that still exists is asked; when all of them were
+     * burned, the price falls back to the transaction's value per token.
+     */
+    const batchPrice = async (entry, tokenId, quantity) => {
+        for (let id = tokenId; id < tokenId + quantity; id++) {
+            try {
+                return await contract.mintPrice(id);
+            } catch (error) {
+                const reason = typeof error.data === 'string' ? contract.interface.parseError(error.data) : null;
+                if (reason?.name !== 'NonexistentToken') throw error;
+            }
+        }
+        const transaction = await provider.getTransaction(entry.transactionHash);
+        log(`Tokens #${tokenId}-${tokenId + quantity - 1n} were all burned, using the value of ${entry.transactionHash} as their price`);
+        return transaction.value / quantity;
+    };
+
+    const decode = async (entry) => {
+        const parsed = contract.interface.parseLog(entry);
+        const record = { blockNumber: entry.blockNumber, index: entry.index, transactionHash: entry.transactionHash, name: parsed.name };
+        const { args } = parsed;
+
+        if (parsed.name in MINT_PHASES) {
+            const price = parsed.name === 'Airdrop' ? 0n : await batchPrice(entry, args.tokenId, args.quantity);
+            record.mint = {
+                phase: MINT_PHASES[parsed.name],
+                stageId: parsed.name === 'StageMint' ? Number(args.stageId) : null,
+                // For MinterMint the wallet is `to`; `minter` is the sale contract
+                minter: args.to,
+                tokenId: Number(args.tokenId),
+                quantity: Number(args.quantity),
+                price: price.toString()
+            };
+        } else if (parsed.name === 'Transfer') {
+            record.transfer = { tokenId: Number(args.tokenId), from: args.from, to: args.to };
+        } else if (parsed.name === 'PhaseChanged') {
+            record.data = { phase: SALE_PHASES[Number(args.newPhase)] };
+        } else if (parsed.name === 'Withdrawal') {
+            record.data = { amount: args.amount.toString() };
+        } else if (parsed.name === 'MetadataUpdate') {
+            record.data = { tokenId: args._tokenId.toString() };
+        } else if (parsed.name === 'BatchMetadataUpdate') {
+            record.data = { fromTokenId: args._fromTokenId.toString(), toTokenId: args._toTokenId.toString() };
+        } else {
+            record.data = {};
+        }
+        return record;
+    };
+
+    /**
+     * Index every confirmed block after the last indexed one. Returns the
+     * last indexed block.
+     */
+    const sync = async () => {
+        await handleReorg();
+        const safeBlock = (await provider.getBlockNumber()) - confirmations;
+
+        for (let fromBlock = lastIndexedBlock(db) + 1; fromBlock <= safeBlock; fromBlock += batchSize) {
+            const toBlock = Math.min(fromBlock + batchSize - 1, safeBlock);
+            const logs = await provider.getLogs({ address, topics, fromBlock, toBlock });
+
+            const records = [];
+            for (const entry of logs) records.push(await decode(entry));
+
+            // Keep the hash of every block with events and of the last block, to detect reorgs
+            const blockNumbers = [...new Set([...logs.map((entry) => entry.blockNumber), toBlock])];
+            const blocks = [];
+            for (const number of blockNumbers) {
+                const block = await provider.getBlock(number);
+                blocks.push({ number, hash: block.hash, timestamp: block.timestamp });
+            }
+
+            storeBatch(toBlock, blocks, records);
+            if (logs.length > 0) log(`Indexed ${logs.length} events up to block ${toBlock}`);
+        }
+        return lastIndexedBlock(db);
+    };
+
+    /**
+     * Keep syncing every `interval` ms until stop() is called. Errors, e.g. a
+     * node that is not reachable, are logged and retried.
+     */
+    const run = (interval = DEFAULT_POLL_INTERVAL) => {
+        let timer;
+        let stopped = false;
+        const poll = async () => {
+            try {
+                await sync();
+            } catch (error) {
+                log(`Sync failed: ${error.message}`);
+            }
+            if (!stopped) timer = setTimeout(poll, interval);
+        };
+        poll();
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    };
+
+    return { sync, run };
+};
+
+// ============ Analytics ============
+
+const sumWei = (values) => values.reduce((sum, value) => sum + BigInt(value), 0n).toString();
+
+/**
+ * Mint transactions, tokens and revenue (in wei) per phase; sale stages are
+ * listed one by one
+ */
+const mintsByPhase = (db) => {
+    const groups = new Map();
+    for (const row of db.prepare('SELECT phase, stage_id, quantity, price FROM mints ORDER BY block_number, log_index').all()) {
+        const key = `${row.phase}:${row.stage_id}`;
+        if (!groups.has(key)) groups.set(key, { phase: row.phase, stageId: row.stage_id, transactions: 0, tokens: 0, revenue: [] });
+        const group = groups.get(key);
+        group.transactions++;
+        group.tokens += row.quantity;
+        group.revenue.push(BigInt(row.price) * BigInt(row.quantity));
+    }
+    return [...groups.values()].map((group) => ({ ...group, revenue: sumWei(group.revenue) }));
+};
+
+/**
+ * Tokens sold and mint revenue (in wei) per hour or day, by block time. Mint
+ * revenue is what buyers paid; later auction rebates and refunds are not
+ * taken off.
+ */
+const revenueOverTime = (db, interval = 'day') => {
+    const seconds = INTERVALS[interval];
+    if (!seconds) throw new Error(`Unknown interval "${interval}", use ${Object.keys(INTERVALS).join(' or ')}`);
+
+    const buckets = new Map();
+    const rows = db.prepare(`
+        SELECT blocks.timestamp, mints.quantity, mints.price FROM mints
+        JOIN blocks ON blocks.number = mints.block_number
+        WHERE mints.phase != 'airdrop'
+        ORDER BY mints.block_number, mints.log_index
+    `).all();
+    for (const row of rows) {
+        const start = Math.floor(row.timestamp / seconds) * seconds;
+        if (!buckets.has(start)) buckets.set(start, { start: new Date(start * 1000).toISOString(), tokens: 0, revenue: [] });
+        const bucket = buckets.get(start);
+        bucket.tokens += row.quantity;
+        bucket.revenue.push(BigInt(row.price) * BigInt(row.quantity));
+    }
+    return [...buckets.values()].map((bucket) => ({ ...bucket, revenue: sumWei(bucket.revenue) }));
+};
+
+/**
+ * Wallets that minted, overall and per phase. Airdrop recipients did not mint
+ * and are not counted.
+ */
+const uniqueMinters = (db) => {
+    const byPhase = Object.fromEntries(
+        db.prepare("SELECT phase, COUNT(DISTINCT minter) AS minters FROM mints WHERE phase != 'airdrop' GROUP BY phase")
+            .all()
+            .map((row) => [row.phase, row.minters])
+    );
+    const total = db.prepare("SELECT COUNT(DISTINCT minter) FROM mints WHERE phase != 'airdrop'").pluck().get();
+    return { total, byPhase };
+};
+
+/**
+ * Every holder at the end of `blockNumber` with their token IDs, most tokens
+ * first. The owner of a token is the recipient of its last Transfer; burned
+ * tokens belong to nobody.
+ */
+const holderSnapshot = (db, blockNumber = lastIndexedBlock(db)) => {
+    const rows = db.prepare(`
+        SELECT token_id, to_address FROM transfers AS latest
+        WHERE block_number <= @blockNumber
+        AND NOT EXISTS (
+            SELECT 1 FROM transfers AS later
+            WHERE later.token_id = latest.token_id AND later.block_number <= @blockNumber
+            AND (later.block_number > latest.block_number
+                OR (later.block_number = latest.block_number AND later.log_index > latest.log_index))
+        )
+        ORDER BY token_id
+    `).all({ blockNumber });
+
+    const holders = new Map();
+    for (const { token_id: tokenId, to_address: owner } of rows) {
+        if (owner === ethers.ZeroAddress) continue;
+        if (!holders.has(owner)) holders.set(owner, { address: owner, tokens: 0, tokenIds: [] });
+        holders.get(owner).tokens++;
+        holders.get(owner).tokenIds.push(tokenId);
+    }
+    return [...holders.values()].sort((a, b) => b.tokens - a.tokens || a.address.localeCompare(b.address));
+};
+
+const topHolders = (db, limit = DEFAULT_TOP_HOLDERS) =>
+    holderSnapshot(db).slice(0, limit).map(({ address, tokens }) => ({ address, tokens }));
+
+/**
+ * A snapshot as address,quantity CSV, the input format of airdrop.js
+ */
+const snapshotToCSV = (holders) => toCSV([['address', 'quantity'], ...holders.map(({ address, tokens }) => [address, tokens])]);
+
+/**
+ * Last token ID of the staged reveals (revealThrough), 0 before the first.
+ * Updates that run to the maximum uint256 refresh the whole collection, e.g.
+ * after a URI change, and reveal nothing by themselves.
+ */
+const revealedThrough = (db) => {
+    const updates = db.prepare("SELECT data FROM events WHERE name IN ('MetadataUpdate', 'BatchMetadataUpdate')").pluck().all();
+    return updates.reduce((last, data) => {
+        const { tokenId, toTokenId = tokenId } = JSON.parse(data);
+        return BigInt(toTokenId) === ethers.MaxUint256 ? last : Math.max(last, Number(toTokenId));
+    }, 0);
+};
+
+/**
+ * Indexing progress and the sale state from the indexed events. `revealed`
+ * is set once the whole collection is revealed; before that, tokens up to
+ * `revealedThrough` are.
+ */
+const indexerStatus = (db) => {
+    const latest = (name) =>
+        db.prepare('SELECT data FROM events WHERE name = ? ORDER BY block_number DESC, log_index DESC LIMIT 1').pluck().get(name);
+    const phaseChange = latest('PhaseChanged');
+    const withdrawals = db.prepare("SELECT data FROM events WHERE name = 'Withdrawal'").pluck().all();
+
+    return {
+        contract: db.prepare("SELECT value FROM meta WHERE key = 'contract'").pluck().get(),
+        lastBlock: lastIndexedBlock(db),
+        phase: phaseChange ? JSON.parse(phaseChange).phase : SALE_PHASES[0],
+        revealed: Boolean(latest('Revealed')),
+        revealedThrough: revealedThrough(db),
+        withdrawn: sumWei(withdrawals.map((data) => JSON.parse(data).amount))
+    };
+};
+
+// ============ JSON API ============
+
+/**
+ * HTTP API over the indexed data:
+ *   GET /api/status
+ *   GET /api/mints                          mints and revenue per phase
+ *   GET /api/revenue?interval=day|hour      revenue over time
+ *   GET /api/minters                        unique minters
+ *   GET /api/holders?limit=20               top holders
+ *   GET /api/snapshot?block=N&format=csv    holders at a block, as JSON or airdrop CSV
+ */
+const createIndexerApi = (db) => {
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+            res.end(JSON.stringify(body));
+        };
+
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') return send(404, { error: `No route for ${req.method} ${req.url}` });
+
+        try {
+            switch (url.pathname) {
+            case '/api/status':
+                return send(200, indexerStatus(db));
+            case '/api/mints':
+                return send(200, mintsByPhase(db));
+            case '/api/revenue': {
+                const interval = url.searchParams.get('interval') || 'day';
+                if (!INTERVALS[interval]) return send(400, { error: `Invalid interval "${interval}"` });
+                return send(200, revenueOverTime(db, interval));
+            }
+            case '/api/minters':
+                return send(200, uniqueMinters(db));
+            case '/api/holders': {
+                const limit = Number(url.searchParams.get('limit') || DEFAULT_TOP_HOLDERS);
+                if (!Number.isInteger(limit) || limit < 1) return send(400, { error: `Invalid limit "${url.searchParams.get('limit')}"` });
+                return send(200, topHolders(db, limit));
+            }
+            case '/api/snapshot': {
+                const lastBlock = lastIndexedBlock(db);
+                const block = Number(url.searchParams.get('block') ?? lastBlock);
+                if (!Number.isInteger(block) || block < 0 || block > lastBlock) {
+                    return send(400, { error: `Block must be an indexed block, up to ${lastBlock}` });
+                }
+                const holders = holderSnapshot(db, block);
+                if (url.searchParams.get('format') !== 'csv') return send(200, { block, holders });
+
+                res.writeHead(200, {
+                    'Content-Type': 'text/csv',
+                    'Content-Disposition': `attachment; filename="holders-${block}.csv"`,
+                    'Access-Control-Allow-Origin': '*'
+                });
+                return res.end(snapshotToCSV(holders));
+            }
+            default:
+                return send(404, { error: `No route for ${req.method} ${req.url}` });
+            }
+        } catch (error) {
+            send(500, { error: error.message });
+        }
+    });
+
+    return { server };
+};
+
+/**
+ * Start the API and resolve once it is listening. Pass port 0 to let the OS
+ * pick a free port.
+ */
+const startIndexerApi = (db, port = DEFAULT_PORT) => new Promise((resolve, reject) => {
+    const api = createIndexerApi(db);
+    api.server.once('error', reject);
+    api.server.listen(port, '127.0.0.1', () => {
+        api.url = `http://127.0.0.1:${api.server.address().port}`;
+        resolve(api);
+    });
+});
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            address: { type: 'string' },
+            rpc: { type: 'string' },
+            db: { type: 'string' },
+            port: { type: 'string' },
+            'from-block': { type: 'string' },
+            confirmations: { type: 'string' },
+            'batch-size': { type: 'string' },
+            interval: { type: 'string' }
+        }
+    });
+
+    const address = values.address || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+    if (!address || !ethers.isAddress(address)) {
+        throw new Error("Pass the contract with --address (or set NEXT_PUBLIC_CONTRACT_ADDRESS)");
+    }
+
+    const file = path.resolve(values.db || DEFAULT_DATABASE);
+    const db = openDatabase(file, {
+        address,
+        fromBlock: Number(values['from-block'] || process.env.NEXT_PUBLIC_DEPLOY_BLOCK || 0)
+    });
+    const provider = new ethers.JsonRpcProvider(values.rpc || process.env.RPC_URL || DEFAULT_RPC_URL);
+    const indexer = createIndexer({
+        db,
+        provider,
+        address,
+        confirmations: values.confirmations !== undefined ? Number(values.confirmations) : DEFAULT_CONFIRMATIONS,
+        batchSize: values['batch-size'] ? Number(values['batch-size']) : DEFAULT_BATCH_SIZE
+    });
+
+    const { url } = await startIndexerApi(db, Number(values.port || process.env.INDEXER_PORT || DEFAULT_PORT));
+    console.log(`Indexing ${address} into ${file}, resuming after block ${lastIndexedBlock(db)}`);
+    console.log(`Analytics API listening on ${url}/api/status`);
+    indexer.run(values.interval ? Number(values.interval) : DEFAULT_POLL_INTERVAL);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    openDatabase,
+    lastIndexedBlock,
+    createIndexer,
+    mintsByPhase,
+    revenueOverTime,
+    uniqueMinters,
+    holderSnapshot,
+    topHolders,
+    snapshotToCSV,
+    indexerStatus,
+    createIndexerApi,
+    startIndexerApi
+};
@@ -1,43 +1,301 @@
+require('dotenv').config();
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
+const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { parseCSV } = require('./utils/csv');
+const collectionConfig = require('./collectionConfig');
 
-const allowlistPath = path.join(__dirname, 'allowlist.json');
+const DEFAULT_INPUT = path.join(__dirname, 'allowlist.csv');
+const FRONTEND_PROOFS = path.join(__dirname, '../frontend/data/proofs.json');
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const VERIFY_CONCURRENCY = 20;
 
-function generateMerkleRoot() {
-    // Read allowlist
-    if (!fs.existsSync(allowlistPath)) {
-        console.error("Allowlist file not found at:", allowlistPath);
-        process.exit(1);
+const ALLOWLIST_ABI = [
+    'function merkleRoot() view returns (bytes32)',
+    'function setMerkleRoot(bytes32 merkleRoot)',
+    'function isAllowlisted(address account, uint256 maxAllowance, uint256 price, bytes32[] proof) view returns (bool)'
+];
+
+/**
+ * Allowlist leaf: keccak256(abi.encodePacked(address, maxAllowance, price)),
+ * matching NFTLaunchpad.allowlistMint. The price is in wei.
+ */
+const hashLeaf = ({ address, allowance, price }) =>
+    Buffer.from(
+        ethers.solidityPackedKeccak256(['address', 'uint256', 'uint256'], [address, allowance, price]).slice(2),
+        'hex'
+    );
+
+/**
+ * Address-only leaf used by sale stages with a Merkle root (stageMint).
+ */
+const hashAddressLeaf = (address) => keccak256(address);
+
+/**
+ * Check one allowlist row and normalise it: the address is checksummed, the
+ * allowance must be a positive integer and the price (in ETH) is converted to
+ * wei. Returns the entry, or the reason the row is invalid.
+ */
+const parseAllowlistRow = (row, defaults) => {
+    const address = String(row.address ?? '').trim();
+    if (!ethers.isAddress(address)) return { reason: `invalid address "${address}"` };
+
+    const allowanceValue = row.allowance === undefined || row.allowance === '' ? defaults.allowance : row.allowance;
+    const allowance = Number(allowanceValue);
+    if (!Number.isInteger(allowance) || allowance < 1) return { reason: `invalid allowance "${allowanceValue}"` };
+
+    const priceValue = row.price === undefined || row.price === '' ? defaults.price : row.price;
+    let price;
+    try {
+        price = ethers.parseEther(String(priceValue).trim());
+    } catch {
+        return { reason: `invalid price "${priceValue}"` };
+    }
+    if (price < 0n) return { reason: `invalid price "${priceValue}"` };
+
+    return { entry: { address: ethers.getAddress(address), allowance, price: price.toString() } };
+};
+
+/**
+ * Read the rows of a CSV (address,allowance,price) or a JSON array of
+ * addresses / { address, allowance, price } objects. Every row carries its
+ * location (CSV line or JSON index) for reporting.
+ */
+const readAllowlistRows = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Allowlist file not found at: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const name = path.basename(filePath);
+    if (filePath.endsWith('.csv')) {
+        return parseCSV(content).map((row, i) => ({ row, location: `${name}:${i + 2}` }));
+    }
+
+    const rows = JSON.parse(content);
+    if (!Array.isArray(rows)) throw new Error(`${filePath} must contain a JSON array`);
+    return rows.map((row, i) => ({
+        row: typeof row === 'string' ? { address: row } : row,
+        location: `${name}[${i}]`
+    }));
+};
+
+/**
+ * Merge allowlist files into one list of entries. Prices are in ETH; missing
+ * allowances and prices fall back to the given defaults. Invalid rows are
+ * left out and reported in `invalid`. An address listed more than once
+ * (in any casing) keeps its first row; later rows are reported in
+ * `duplicates`, with `conflict` set when their allowance or price differs.
+ */
+const mergeAllowlists = (filePaths, defaults) => {
+    const entries = [];
+    const invalid = [];
+    const duplicates = [];
+    const seen = new Map();
+
+    for (const filePath of filePaths) {
+        for (const { row, location } of readAllowlistRows(filePath)) {
+            const { entry, reason } = parseAllowlistRow(row, defaults);
+            if (!entry) {
+                invalid.push({ location, reason });
+                continue;
+            }
+
+            const first = seen.get(entry.address);
+            if (first) {
+                const conflict = first.entry.allowance !== entry.allowance || first.entry.price !== entry.price;
+                duplicates.push({ location, address: entry.address, firstLocation: first.location, conflict });
+                continue;
+            }
+
+            seen.set(entry.address, { entry, location });
+            entries.push(entry);
+        }
+    }
+
+    return { entries, invalid, duplicates };
+};
+
+/**
+ * Read a single allowlist file, failing on invalid rows
+ */
+const loadAllowlist = (filePath, defaults) => {
+    const { entries, invalid } = mergeAllowlists([filePath], defaults);
+    if (invalid.length > 0) {
+        throw new Error(`Invalid allowlist rows:\n${invalid.map((row) => `  ${row.location}: ${row.reason}`).join('\n')}`);
+    }
+    return entries;
+};
+
+const buildTree = (entries) => new MerkleTree(entries.map(hashLeaf), keccak256, { sortPairs: true });
+
+const buildAddressTree = (entries) =>
+    new MerkleTree(entries.map((entry) => hashAddressLeaf(entry.address)), keccak256, { sortPairs: true });
+
+/**
+ * Proofs for every allowlisted wallet, keyed by lower-case address so lookups
+ * do not depend on checksum casing. `proof` is for allowlistMint and
+ * `stageProof` for sale stages that use the address-only root.
+ */
+const buildProofs = (entries) => {
+    const tree = buildTree(entries);
+    const stageTree = buildAddressTree(entries);
+    const proofs = {};
+
+    for (const entry of entries) {
+        const address = ethers.getAddress(entry.address);
+        proofs[address.toLowerCase()] = {
+            address,
+            allowance: entry.allowance,
+            price: entry.price,
+            proof: tree.getHexProof(hashLeaf(entry)),
+            stageProof: stageTree.getHexProof(hashAddressLeaf(address))
+        };
     }
 
-    const allowlist = JSON.parse(fs.readFileSync(allowlistPath, 'utf8'));
+    return { root: tree.getHexRoot(), stageRoot: stageTree.getHexRoot(), proofs };
+};
 
-    // Hash addresses
-    const leaves = allowlist.map(addr => keccak256(addr));
+function generateMerkleRoot(options = {}) {
+    const log = options.log || console.log;
+    const inputs = options.inputs || [options.input || DEFAULT_INPUT];
+    const { entries, invalid, duplicates } = mergeAllowlists(inputs, {
+        allowance: options.allowance || 1,
+        price: options.price || collectionConfig.ALLOWLIST_PRICE
+    });
 
-    // Create Merkle Tree
-    const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+    for (const row of invalid) log(`Skipped ${row.location}: ${row.reason}`);
+    for (const row of duplicates) {
+        log(`${row.conflict ? 'Conflicting duplicate' : 'Duplicate'} ${row.location}: ${row.address} already listed at ${row.firstLocation}`);
+    }
+    if (entries.length === 0) throw new Error("Allowlist has no valid entries");
+    if (options.strict && (invalid.length > 0 || duplicates.some((row) => row.conflict))) {
+        throw new Error("Allowlist has invalid or conflicting rows (--strict)");
+    }
 
-    // Get Root
-    const root = tree.getHexRoot();
+    const { root, stageRoot, proofs } = buildProofs(entries);
 
-    console.log("Allowlist contains", allowlist.length, "addresses");
-    console.log("Merkle Root:", root);
+    log(`Allowlist contains ${entries.length} addresses from ${inputs.length} file(s) (${invalid.length} invalid, ${duplicates.length} duplicate rows skipped)`);
+    log("Merkle Root:", root);
+    log("Stage Merkle Root (address-only leaves):", stageRoot);
 
-    // Example proof for the first address
-    const testAddress = allowlist[0];
-    const leaf = keccak256(testAddress);
-    const proof = tree.getHexProof(leaf);
-    console.log("\nProof for:", testAddress);
-    console.log(JSON.stringify(proof, null, 2));
+    // Served by the frontend's /api/proof/[address] route, so the list never reaches the browser
+    const proofsOut = options.proofsOut || FRONTEND_PROOFS;
+    fs.mkdirSync(path.dirname(proofsOut), { recursive: true });
+    fs.writeFileSync(proofsOut, JSON.stringify({ root, stageRoot, proofs }, null, 4));
+    log(`Wrote proofs for ${entries.length} addresses to ${proofsOut}`);
 
-    return root;
+    return { root, stageRoot, proofs, invalid, duplicates };
+}
+
+/**
+ * Set the contract's allowlist root unless it is already `root`. Returns
+ * whether a transaction was sent.
+ */
+const pushMerkleRoot = async (contract, root, log = console.log) => {
+    if ((await contract.merkleRoot()) === root) {
+        log("Contract already uses this Merkle root");
+        return false;
+    }
+    const tx = await contract.setMerkleRoot(root);
+    await tx.wait();
+    log(`setMerkleRoot(${root}) confirmed (${tx.hash})`);
+    return true;
+};
+
+/**
+ * Check every proof with the contract's isAllowlisted and return the
+ * addresses it rejects
+ */
+const verifyProofs = async (contract, proofs, concurrency = VERIFY_CONCURRENCY) => {
+    const entries = Object.values(proofs);
+    const failed = [];
+
+    for (let i = 0; i < entries.length; i += concurrency) {
+        const batch = entries.slice(i, i + concurrency);
+        const results = await Promise.all(batch.map((entry) =>
+            contract.isAllowlisted(entry.address, entry.allowance, entry.price, entry.proof)
+        ));
+        batch.forEach((entry, j) => {
+            if (!results[j]) failed.push(entry.address);
+        });
+    }
+
+    return failed;
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            input: { type: 'string', multiple: true },
+            allowance: { type: 'string' },
+            price: { type: 'string' },
+            'proofs-out': { type: 'string' },
+            strict: { type: 'boolean', default: false },
+            address: { type: 'string' },
+            push: { type: 'boolean', default: false },
+            verify: { type: 'boolean', default: false },
+            rpc: { type: 'string' }
+        }
+    });
+
+    const { root, proofs } = generateMerkleRoot({
+        inputs: values.input ? values.input.map((input) => path.resolve(input)) : undefined,
+        allowance: values.allowance,
+        price: values.price,
+        proofsOut: values['proofs-out'] && path.resolve(values['proofs-out']),
+        strict: values.strict
+    });
+    if (!values.push && !values.verify) return;
+
+    const address = values.address || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+    if (!address || !ethers.isAddress(address)) {
+        throw new Error("Pass the contract with --address (or set NEXT_PUBLIC_CONTRACT_ADDRESS)");
+    }
+    const provider = new ethers.JsonRpcProvider(values.rpc || process.env.RPC_URL || DEFAULT_RPC_URL);
+    // Without a PRIVATE_KEY the node's first unlocked account is used, e.g. on a local Hardhat node
+    const runner = !values.push
+        ? provider
+        : process.env.PRIVATE_KEY
+            ? new ethers.Wallet(process.env.PRIVATE_KEY, provider)
+            : await provider.getSigner();
+    const contract = new ethers.Contract(address, ALLOWLIST_ABI, runner);
+
+    if (values.push) await pushMerkleRoot(contract, root);
+
+    if (values.verify) {
+        if ((await contract.merkleRoot()) !== root) {
+            throw new Error(`${address} uses a different Merkle root, push this one first (--push)`);
+        }
+        const failed = await verifyProofs(contract, proofs);
+        if (failed.length > 0) {
+            throw new Error(`isAllowlisted rejected ${failed.length} proofs:\n  ${failed.join('\n  ')}`);
+        }
+        console.log(`Verified ${Object.keys(proofs).length} proofs against ${address}`);
+    }
 }
 
 if (require.main === module) {
-    generateMerkleRoot();
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
 }
 
-module.exports = { generateMerkleRoot };
+module.exports = {
+    generateMerkleRoot,
+    loadAllowlist,
+    mergeAllowlists,
+    parseAllowlistRow,
+    hashLeaf,
+    hashAddressLeaf,
+    buildTree,
+    buildAddressTree,
+    buildProofs,
+    pushMerkleRoot,
+    verifyProofs
+};
@@ -0,0 +1,144 @@
+const http = require('http');
+const { buildDirectoryDAG, buildFileDAG } = require('./utils/unixfs');
+
+const DEFAULT_PORT = 3001;
+
+/**
+ * Split a multipart/form-data body into its parts.
+ */
+const parseMultipart = (body, contentType) => {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match) throw new Error("Missing multipart boundary");
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const parts = [];
+    let start = body.indexOf(delimiter) + delimiter.length;
+
+    while (start > delimiter.length - 1) {
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) break;
+
+        // Each part is "\r\n<headers>\r\n\r\n<content>\r\n"
+        const part = body.subarray(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString();
+            const name = /name="([^"]*)"/i.exec(headers);
+            const filename = /filename="([^"]*)"/i.exec(headers);
+            parts.push({
+                name: name ? name[1] : null,
+                filename: filename ? filename[1] : null,
+                content: part.subarray(headerEnd + 4)
+            });
+        }
+        start = end + delimiter.length;
+    }
+    return parts;
+};
+
+/**
+ * CID of an upload, computed the way a pinning provider would: files sharing
+ * a folder prefix become one directory, a lone file is hashed on its own.
+ */
+const computeUploadCID = async (files) => {
+    const folders = new Set(files.map((file) => file.path.split('/')[0]));
+
+    if (files.every((file) => file.path.includes('/')) && folders.size === 1) {
+        const [name] = folders;
+        const entries = files.map((file) => ({ name: file.path.slice(name.length + 1), content: file.content }));
+        return (await buildDirectoryDAG(name, entries)).cid.toString();
+    }
+    if (files.length === 1) {
+        return (await buildFileDAG(files[0].content)).cid.toString();
+    }
+    throw new Error("Files must share a single folder prefix");
+};
+
+/**
+ * A stand-in for the Pinata pinning API, used to exercise uploadIPFS.js
+ * without credentials or network access. Uploads are kept in memory and
+ * CIDs are computed locally with the same UnixFS settings as Pinata.
+ */
+const createMockPinningServer = () => {
+    const pins = [];
+
+    const server = http.createServer((req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (!req.headers.pinata_api_key || !req.headers.pinata_secret_api_key) {
+            return send(401, { error: "Missing API credentials" });
+        }
+
+        if (req.method === 'GET' && req.url === '/data/testAuthentication') {
+            return send(200, { message: "Congratulations! You are communicating with the mock pinning API!" });
+        }
+
+        if (req.method !== 'POST' || req.url !== '/pinning/pinFileToIPFS') {
+            return send(404, { error: `No route for ${req.method} ${req.url}` });
+        }
+
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', async () => {
+            let parts;
+            try {
+                parts = parseMultipart(Buffer.concat(chunks), req.headers['content-type']);
+            } catch (error) {
+                return send(400, { error: error.message });
+            }
+
+            const files = parts
+                .filter((part) => part.filename)
+                .map((part) => ({ path: part.filename, content: part.content }));
+            if (files.length === 0) return send(400, { error: "No files provided" });
+
+            const options = parts.find((part) => part.name === 'pinataOptions');
+            const metadata = parts.find((part) => part.name === 'pinataMetadata');
+
+            let cid;
+            try {
+                cid = await computeUploadCID(files);
+            } catch (error) {
+                return send(400, { error: error.message });
+            }
+            const size = files.reduce((sum, file) => sum + file.content.length, 0);
+
+            pins.push({
+                cid,
+                files,
+                options: options ? JSON.parse(options.content.toString()) : {},
+                metadata: metadata ? JSON.parse(metadata.content.toString()) : {}
+            });
+
+            send(200, { IpfsHash: cid, PinSize: size, Timestamp: new Date().toISOString() });
+        });
+    });
+
+    return { server, pins };
+};
+
+/**
+ * Start the mock server and resolve once it is listening. Pass port 0 to
+ * let the OS pick a free port.
+ */
+const startMockPinningServer = (port = DEFAULT_PORT) => new Promise((resolve, reject) => {
+    const mock = createMockPinningServer();
+    mock.server.once('error', reject);
+    mock.server.listen(port, '127.0.0.1', () => {
+        mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+        resolve(mock);
+    });
+});
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_PINNING_PORT || DEFAULT_PORT);
+    startMockPinningServer(port).then(({ url }) => {
+        console.log(`Mock pinning API listening on ${url}`);
+        console.log(`Run: PINATA_API_URL=${url} node scripts/uploadIPFS.js`);
+    });
+}
+
+module.exports = { parseMultipart, computeUploadCID, createMockPinningServer, startMockPinningServer };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { buildDirectoryDAG, readDirectoryFiles, writeCar } = require('./utils/unixfs');
+const { withImageCID } = require('./uploadIPFS');
+
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '../assets');
+const DEFAULT_METADATA_DIR = path.join(__dirname, '../metadata');
+const DEFAULT_OUT_DIR = path.join(__dirname, '../car');
+
+/**
+ * Compute the asset and metadata CIDs without uploading anything. Metadata is
+ * hashed as it will be uploaded, i.e. with image URIs already pointing at the
+ * asset CID, so the metadata CID (and the base URI) is final.
+ */
+const precomputeCollection = async (assetsDir, metadataDir) => {
+    const assets = await buildDirectoryDAG('assets', readDirectoryFiles(assetsDir));
+    const imageCID = assets.cid.toString();
+
+    const metadataFiles = readDirectoryFiles(metadataDir).map((file) => ({
+        name: file.name,
+        content: file.name.endsWith('.json')
+            ? Buffer.from(withImageCID(file.content.toString('utf8'), imageCID, file.name))
+            : file.content
+    }));
+    const metadata = await buildDirectoryDAG('metadata', metadataFiles);
+
+    return { assets, metadata, metadataFiles };
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            assets: { type: 'string' },
+            metadata: { type: 'string' },
+            out: { type: 'string' },
+            'write-metadata': { type: 'boolean', default: false }
+        }
+    });
+
+    const assetsDir = path.resolve(values.assets || DEFAULT_ASSETS_DIR);
+    const metadataDir = path.resolve(values.metadata || DEFAULT_METADATA_DIR);
+    const outDir = path.resolve(values.out || DEFAULT_OUT_DIR);
+
+    console.log("Building UnixFS DAGs locally...");
+    const { assets, metadata, metadataFiles } = await precomputeCollection(assetsDir, metadataDir);
+
+    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+    await writeCar(assets.cid, assets.blocks, path.join(outDir, 'assets.car'));
+    await writeCar(metadata.cid, metadata.blocks, path.join(outDir, 'metadata.car'));
+
+    const result = {
+        imageCID: assets.cid.toString(),
+        metadataCID: metadata.cid.toString(),
+        baseURI: `ipfs://${metadata.cid.toString()}`
+    };
+    fs.writeFileSync(path.join(outDir, 'cids.json'), JSON.stringify(result, null, 2));
+
+    // Optionally apply the image URI rewrite on disk so metadata/ matches the CAR
+    if (values['write-metadata']) {
+        for (const file of metadataFiles) {
+            fs.writeFileSync(path.join(metadataDir, file.name), file.content);
+        }
+        console.log(`Rewrote image URIs in ${metadataDir}`);
+    }
+
+    console.log(`\nImages CID:   ${result.imageCID}`);
+    console.log(`Metadata CID: ${result.metadataCID}`);
+    console.log(`Base URI:     ${result.baseURI}`);
+    console.log(`\nCAR files and cids.json written to ${outDir}`);
+    console.log("Upload with `node scripts/uploadIPFS.js --verify` to check the provider returns the same CIDs.");
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { precomputeCollection };
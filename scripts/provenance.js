@@ -0,0 +1,173 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '../assets');
+const DEFAULT_OUT_FILE = path.join(__dirname, '../provenance.json');
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+
+const PROVENANCE_ABI = [
+    'function provenanceHash() view returns (bytes32)',
+    'function startingIndex() view returns (uint256)',
+    'function isRevealed(uint256 tokenId) view returns (bool)',
+    'function uriSuffix() view returns (string)',
+    'function maxSupply() view returns (uint256)',
+    'function nextTokenId() view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function metadataId(uint256 tokenId) view returns (uint256)',
+    'function tokenURI(uint256 tokenId) view returns (string)'
+];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const DATA_URI_PREFIX = 'data:application/json;base64,';
+
+/**
+ * Metadata ID a token URI points at: the file name for baseURI metadata, the
+ * image hash for on-chain metadata (checked against the provenance record)
+ */
+const resolvesTo = (uri, expected, suffix, provenance) => {
+    if (!uri.startsWith(DATA_URI_PREFIX)) return uri.endsWith(`/${expected}${suffix}`);
+
+    const metadata = JSON.parse(Buffer.from(uri.slice(DATA_URI_PREFIX.length), 'base64').toString('utf8'));
+    const image = Buffer.from(metadata.image.split(',')[1], 'base64');
+    return sha256(image) === provenance.tokens[Number(expected) - 1].sha256;
+};
+
+/**
+ * Hash every image in metadata order (1.svg, 2.svg, ...). The provenance hash
+ * is the SHA-256 of all per-image hashes concatenated as hex strings, so it
+ * commits to both the artwork and its original order.
+ */
+const computeProvenance = (assetsDir) => {
+    if (!fs.existsSync(assetsDir)) {
+        throw new Error(`Assets directory not found at: ${assetsDir}`);
+    }
+
+    const images = fs.readdirSync(assetsDir)
+        .filter((file) => /^\d+\.[a-z0-9]+$/i.test(file))
+        .map((file) => ({ id: Number(file.split('.')[0]), file }))
+        .sort((a, b) => a.id - b.id);
+
+    if (images.length === 0) throw new Error(`No numbered images found in ${assetsDir}`);
+
+    images.forEach((image, i) => {
+        if (image.id !== i + 1) throw new Error(`Image IDs must be sequential from 1, missing #${i + 1}`);
+    });
+
+    const tokens = images.map(({ id, file }) => ({
+        id,
+        image: file,
+        sha256: sha256(fs.readFileSync(path.join(assetsDir, file)))
+    }));
+    const concatenated = tokens.map((token) => token.sha256).join('');
+
+    return {
+        provenanceHash: `0x${sha256(concatenated)}`,
+        tokens
+    };
+};
+
+/**
+ * Check a deployed contract against the local artwork: the committed
+ * provenance hash must match and every revealed token must resolve to the
+ * metadata its starting-index offset predicts.
+ */
+const verifyOnChain = async (contract, provenance, log = console.log) => {
+    const problems = [];
+
+    const onChainHash = await contract.provenanceHash();
+    if (onChainHash.toLowerCase() !== provenance.provenanceHash) {
+        problems.push(`Provenance mismatch: contract has ${onChainHash}, artwork hashes to ${provenance.provenanceHash}`);
+    } else {
+        log(`Provenance hash matches: ${onChainHash}`);
+    }
+
+    const maxSupply = await contract.maxSupply();
+    if (BigInt(provenance.tokens.length) !== maxSupply) {
+        problems.push(`Artwork has ${provenance.tokens.length} images but maxSupply is ${maxSupply}`);
+    }
+
+    // The starting index is drawn before the first reveal, full or staged
+    const startingIndex = await contract.startingIndex();
+    if (startingIndex === 0n) {
+        log("Starting index not drawn yet, skipping starting index checks");
+        return problems;
+    }
+    log(`Starting index: ${startingIndex}`);
+
+    const suffix = await contract.uriSuffix();
+    // totalSupply drops when tokens are burned (refunds of a cancelled sale), so walk every minted ID instead
+    const nextTokenId = await contract.nextTokenId();
+    let checked = 0;
+    for (let tokenId = 1n; tokenId < nextTokenId; tokenId++) {
+        if (!(await contract.isRevealed(tokenId))) continue;
+        try {
+            await contract.ownerOf(tokenId);
+        } catch {
+            continue; // burned, there is no token URI to check
+        }
+
+        const expected = ((tokenId - 1n + startingIndex) % maxSupply) + 1n;
+        const uri = await contract.tokenURI(tokenId);
+        if (!resolvesTo(uri, expected, suffix, provenance)) {
+            problems.push(`Token #${tokenId} resolves to ${uri}, expected metadata #${expected}`);
+        }
+        checked++;
+    }
+    log(`Checked metadata mapping of ${checked} revealed tokens`);
+
+    return problems;
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            assets: { type: 'string' },
+            out: { type: 'string' },
+            verify: { type: 'boolean', default: false },
+            address: { type: 'string' },
+            rpc: { type: 'string' }
+        }
+    });
+
+    const provenance = computeProvenance(path.resolve(values.assets || DEFAULT_ASSETS_DIR));
+    console.log(`Hashed ${provenance.tokens.length} images`);
+    console.log(`Provenance hash: ${provenance.provenanceHash}`);
+
+    if (!values.verify) {
+        const outFile = path.resolve(values.out || DEFAULT_OUT_FILE);
+        fs.writeFileSync(outFile, JSON.stringify(provenance, null, 2));
+        console.log(`Provenance record written to ${outFile}`);
+        console.log(`Commit it before the sale with: setProvenanceHash("${provenance.provenanceHash}")`);
+        return;
+    }
+
+    const address = values.address || process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+    if (!address || !ethers.isAddress(address)) {
+        throw new Error("Pass the contract with --address (or set NEXT_PUBLIC_CONTRACT_ADDRESS)");
+    }
+
+    const provider = new ethers.JsonRpcProvider(values.rpc || process.env.RPC_URL || DEFAULT_RPC_URL);
+    const contract = new ethers.Contract(address, PROVENANCE_ABI, provider);
+
+    const problems = await verifyOnChain(contract, provenance);
+    if (problems.length > 0) {
+        problems.forEach((problem) => console.error(`✗ ${problem}`));
+        process.exit(1);
+    }
+    console.log("✓ Provenance verified");
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { computeProvenance, verifyOnChain };
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { toCSV } = require('./utils/csv');
+
+const DEFAULT_METADATA_DIR = path.join(__dirname, '../metadata');
+const DEFAULT_REPORT_DIR = path.join(__dirname, '../reports');
+
+const RANK_TRAIT = 'rarity_rank';
+const MISSING_VALUE = 'None';
+const METHODS = ['trait', 'statistical'];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Read every numbered metadata file in a directory, ordered by token ID.
+ */
+const loadMetadata = (metadataDir) => {
+    if (!fs.existsSync(metadataDir)) {
+        throw new Error(`Metadata directory not found at: ${metadataDir}`);
+    }
+
+    return fs.readdirSync(metadataDir)
+        .filter((file) => /^\d+\.json$/.test(file))
+        .map((file) => ({
+            tokenId: Number(path.basename(file, '.json')),
+            file: path.join(metadataDir, file),
+            metadata: JSON.parse(fs.readFileSync(path.join(metadataDir, file), 'utf8'))
+        }))
+        .sort((a, b) => a.tokenId - b.tokenId);
+};
+
+/**
+ * The attributes that take part in rarity: string traits only, so numeric
+ * stats and a previously injected rarity_rank do not skew the scores.
+ */
+const getTraits = (metadata) =>
+    (metadata.attributes || []).filter((attr) => attr.trait_type !== RANK_TRAIT && !attr.display_type);
+
+/**
+ * Assign competition ranks ("1224") so tokens with equal scores share a rank.
+ * `rarerFirst` orders the scores so that rank 1 is the rarest token.
+ */
+const rank = (scores, rarerFirst) => {
+    const sorted = [...scores].sort(rarerFirst);
+    const ranks = new Map();
+
+    sorted.forEach((entry, i) => {
+        const previous = sorted[i - 1];
+        const tied = previous && rarerFirst(previous, entry) === 0;
+        ranks.set(entry.tokenId, tied ? ranks.get(previous.tokenId) : i + 1);
+    });
+    return ranks;
+};
+
+/**
+ * Build trait frequency tables and score every token with two methods:
+ *  - trait rarity: sum of 1 / frequency over all trait types (higher = rarer)
+ *  - statistical: product of the trait frequencies (lower = rarer)
+ * Tokens missing a trait type are counted as having the value "None".
+ */
+const computeRarity = (tokens) => {
+    const total = tokens.length;
+    if (total === 0) throw new Error("No metadata files found");
+
+    const traitTypes = [...new Set(tokens.flatMap(({ metadata }) => getTraits(metadata).map((attr) => attr.trait_type)))];
+
+    const traitValues = tokens.map(({ metadata }) => {
+        const values = {};
+        for (const attr of getTraits(metadata)) values[attr.trait_type] = String(attr.value);
+        for (const type of traitTypes) if (!(type in values)) values[type] = MISSING_VALUE;
+        return values;
+    });
+
+    // Frequency tables per trait type
+    const counts = {};
+    for (const type of traitTypes) counts[type] = {};
+    for (const values of traitValues) {
+        for (const type of traitTypes) {
+            counts[type][values[type]] = (counts[type][values[type]] || 0) + 1;
+        }
+    }
+
+    const traits = {};
+    for (const type of traitTypes) {
+        traits[type] = {};
+        const entries = Object.entries(counts[type]).sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+        for (const [value, count] of entries) {
+            traits[type][value] = { count, frequency: round(count / total) };
+        }
+    }
+
+    const scores = tokens.map(({ tokenId, metadata }, i) => {
+        let traitScore = 0;
+        let probability = 1;
+        for (const type of traitTypes) {
+            const frequency = counts[type][traitValues[i][type]] / total;
+            traitScore += 1 / frequency;
+            probability *= frequency;
+        }
+        return { tokenId, name: metadata.name, traits: traitValues[i], traitScore, probability };
+    });
+
+    const traitRanks = rank(scores, (a, b) => round(b.traitScore) - round(a.traitScore));
+    const statisticalRanks = rank(scores, (a, b) => a.probability - b.probability);
+
+    return {
+        collectionSize: total,
+        traitTypes,
+        traits,
+        tokens: scores.map((score) => ({
+            tokenId: score.tokenId,
+            name: score.name,
+            traits: score.traits,
+            traitRarityScore: round(score.traitScore),
+            traitRarityRank: traitRanks.get(score.tokenId),
+            statisticalRarity: score.probability,
+            statisticalRank: statisticalRanks.get(score.tokenId)
+        }))
+    };
+};
+
+const reportToCSV = (report) => toCSV([
+    ['token_id', 'name', ...report.traitTypes, 'trait_rarity_score', 'trait_rarity_rank', 'statistical_rarity', 'statistical_rank'],
+    ...report.tokens.map((token) => [
+        token.tokenId,
+        token.name,
+        ...report.traitTypes.map((type) => token.traits[type]),
+        token.traitRarityScore,
+        token.traitRarityRank,
+        token.statisticalRarity,
+        token.statisticalRank
+    ])
+]);
+
+/**
+ * Write (or replace) the rarity_rank attribute in every metadata file.
+ */
+const injectRanks = (tokens, report, method) => {
+    const key = method === 'statistical' ? 'statisticalRank' : 'traitRarityRank';
+    const ranks = new Map(report.tokens.map((token) => [token.tokenId, token[key]]));
+
+    for (const { tokenId, file, metadata } of tokens) {
+        const attributes = (metadata.attributes || []).filter((attr) => attr.trait_type !== RANK_TRAIT);
+        attributes.push({ display_type: 'number', trait_type: RANK_TRAIT, value: ranks.get(tokenId) });
+        fs.writeFileSync(file, JSON.stringify({ ...metadata, attributes }, null, 2));
+    }
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            metadata: { type: 'string' },
+            out: { type: 'string' },
+            inject: { type: 'boolean', default: false },
+            method: { type: 'string', default: 'trait' }
+        }
+    });
+
+    if (!METHODS.includes(values.method)) {
+        throw new Error(`--method must be one of: ${METHODS.join(', ')}`);
+    }
+
+    const metadataDir = path.resolve(values.metadata || DEFAULT_METADATA_DIR);
+    const reportDir = path.resolve(values.out || DEFAULT_REPORT_DIR);
+
+    const tokens = loadMetadata(metadataDir);
+    const report = computeRarity(tokens);
+
+    if (!fs.existsSync(reportDir)) fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, 'rarity.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(reportDir, 'rarity.csv'), reportToCSV(report));
+
+    console.log(`Analysed ${report.collectionSize} tokens across ${report.traitTypes.length} trait types\n`);
+    for (const type of report.traitTypes) {
+        console.log(`${type}:`);
+        for (const [value, { count, frequency }] of Object.entries(report.traits[type])) {
+            console.log(`  ${value.padEnd(20)} ${String(count).padStart(6)}  ${(frequency * 100).toFixed(2)}%`);
+        }
+    }
+
+    const rarest = [...report.tokens].sort((a, b) => a.traitRarityRank - b.traitRarityRank).slice(0, 5);
+    console.log("\nRarest tokens (trait rarity):");
+    for (const token of rarest) {
+        console.log(`  #${token.traitRarityRank} ${token.name} (score ${token.traitRarityScore})`);
+    }
+
+    if (values.inject) {
+        injectRanks(tokens, report, values.method);
+        console.log(`\nInjected ${RANK_TRAIT} (${values.method} method) into ${tokens.length} metadata files`);
+    }
+
+    console.log(`\nReport written to ${reportDir}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { loadMetadata, computeRarity, reportToCSV, injectRanks };
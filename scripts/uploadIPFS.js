@@ -3,69 +3,197 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { computeDirectoryCID, verifyCID } = require('./utils/unixfs');
 
-const PINATA_API_KEY = process.env.PINATA_API_KEY;
-const PINATA_SECRET_API_KEY = process.env.PINATA_SECRET_API_KEY;
+const DEFAULT_API_URL = 'https://api.pinata.cloud';
+const DEFAULT_ASSETS_DIR = path.join(__dirname, '../assets');
+const DEFAULT_METADATA_DIR = path.join(__dirname, '../metadata');
 
-if (!PINATA_API_KEY || !PINATA_SECRET_API_KEY) {
-    console.error("Please set PINATA_API_KEY and PINATA_SECRET_API_KEY in .env");
-    process.exit(1);
-}
+// Matches the CID part of an image URI, whether it is still the placeholder
+// written by generateMetadata.js or a CID from a previous upload.
+const IMAGE_CID_PATTERN = /^ipfs:\/\/[^/]+\//;
 
-const pinFileToIPFS = async (filePath) => {
-    const url = `https://api.pinata.cloud/pinning/pinFileToIPFS`;
-    let data = new FormData();
-    data.append('file', fs.createReadStream(filePath));
+/**
+ * Pinning API settings. The endpoint is pluggable so the pipeline can run
+ * against scripts/mockPinningServer.js instead of live Pinata.
+ */
+const getPinataConfig = (overrides = {}) => ({
+    apiUrl: (overrides.apiUrl || process.env.PINATA_API_URL || DEFAULT_API_URL).replace(/\/$/, ''),
+    apiKey: overrides.apiKey || process.env.PINATA_API_KEY,
+    secretApiKey: overrides.secretApiKey || process.env.PINATA_SECRET_API_KEY
+});
+
+const authHeaders = (config) => ({
+    pinata_api_key: config.apiKey,
+    pinata_secret_api_key: config.secretApiKey
+});
 
-    const res = await axios.post(url, data, {
-        maxBodyLength: 'Infinity',
+const postToPinata = async (data, config) => {
+    const res = await axios.post(`${config.apiUrl}/pinning/pinFileToIPFS`, data, {
+        maxBodyLength: Infinity,
         headers: {
-            'Content-Type': `multipart/form-data; boundary=${data._boundary}`,
-            pinata_api_key: PINATA_API_KEY,
-            pinata_secret_api_key: PINATA_SECRET_API_KEY
+            ...data.getHeaders(),
+            ...authHeaders(config)
         }
     });
     return res.data.IpfsHash;
 };
 
-// This is a simplified uploader that uploads a single directory is non-trivial with simple axios
-// Pinata supports directory upload but it requires correct recursion and adding files to FormData.
-// For simplicity in this demo, we will guide the user to upload the folder manually or use this script to upload individual files if needed, 
-// BUT for a launchpad, usually we upload the whole directory.
+const pinFileToIPFS = async (filePath, config = getPinataConfig()) => {
+    const data = new FormData();
+    data.append('file', fs.createReadStream(filePath));
+    return postToPinata(data, config);
+};
 
-// Let's implement a simple directory iterator if possible, or just upload the metadata folder as a pattern.
-// Proper directory upload via API is complex. 
-// A better approach for this script in this context might be to just simulate the success or attempt a single file upload test.
+/**
+ * Upload every file of a directory in a single request. Pinata treats files
+ * sharing a common `filepath` prefix as one folder and returns the folder's
+ * CID, so files are addressable as ipfs://<CID>/<file>.
+ */
+const pinDirectoryToIPFS = async (dirPath, name, config = getPinataConfig()) => {
+    const files = fs.readdirSync(dirPath)
+        .filter((file) => fs.statSync(path.join(dirPath, file)).isFile())
+        .sort();
 
-async function main() {
-    console.log("Starting IPFS Upload (Demo)...");
+    if (files.length === 0) {
+        throw new Error(`No files to upload in ${dirPath}`);
+    }
 
-    // Checking for assets
-    const assetsDir = path.join(__dirname, '../assets');
-    if (!fs.existsSync(assetsDir)) {
-        console.log("Assets directory not found, run generateMetadata.js first.");
-        return;
+    const data = new FormData();
+    for (const file of files) {
+        data.append('file', fs.createReadStream(path.join(dirPath, file)), {
+            filepath: `${name}/${file}`
+        });
     }
+    data.append('pinataMetadata', JSON.stringify({ name }));
+    data.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
 
-    console.log("NOTE: Recursive directory upload to Pinata via simple script is complex.");
-    console.log("For this demo, we will verify credentials and upload the first image as a test.");
+    const cid = await postToPinata(data, config);
+    return { cid, fileCount: files.length };
+};
 
-    const files = fs.readdirSync(assetsDir);
-    if (files.length === 0) {
-        console.log("No files in assets.");
-        return;
+/**
+ * Serialise a metadata file with its `image` pointing at the given image CID.
+ * precomputeCIDs.js relies on this producing the exact bytes that get uploaded.
+ */
+const withImageCID = (content, imageCID, file = 'metadata') => {
+    const metadata = JSON.parse(content);
+
+    if (typeof metadata.image !== 'string' || !IMAGE_CID_PATTERN.test(metadata.image)) {
+        throw new Error(`${file} has no ipfs:// image URI to rewrite`);
+    }
+
+    metadata.image = metadata.image.replace(IMAGE_CID_PATTERN, `ipfs://${imageCID}/`);
+    return JSON.stringify(metadata, null, 2);
+};
+
+/**
+ * Point the `image` field of every metadata file at the uploaded image folder.
+ * Returns the number of files that were rewritten.
+ */
+const rewriteImageURIs = (metadataDir, imageCID) => {
+    let rewritten = 0;
+
+    for (const file of fs.readdirSync(metadataDir).filter((f) => f.endsWith('.json'))) {
+        const metadataPath = path.join(metadataDir, file);
+        fs.writeFileSync(metadataPath, withImageCID(fs.readFileSync(metadataPath, 'utf8'), imageCID, file));
+        rewritten++;
     }
+    return rewritten;
+};
+
+/**
+ * Upload a directory and, when `verify` is set, check the provider returned
+ * the CID we compute locally for the same files.
+ */
+const pinAndVerify = async (dirPath, name, config, verify, log) => {
+    const expected = verify ? await computeDirectoryCID(dirPath, name) : null;
+    const result = await pinDirectoryToIPFS(dirPath, name, config);
 
-    const firstFile = files[0];
-    console.log(`Uploading ${firstFile} to Pinata...`);
+    if (verify) {
+        verifyCID(name, expected, result.cid);
+        log(`Verified ${name} CID matches the local computation`);
+    }
+    return result;
+};
+
+/**
+ * Full pipeline: upload assets, rewrite metadata image URIs, upload metadata.
+ */
+const uploadCollection = async ({ assetsDir, metadataDir, config = getPinataConfig(), verify = false, log = console.log }) => {
+    for (const dir of [assetsDir, metadataDir]) {
+        if (!fs.existsSync(dir)) {
+            throw new Error(`Directory not found: ${dir}. Run generateMetadata.js first.`);
+        }
+    }
+
+    log(`Uploading ${assetsDir}...`);
+    const assets = await pinAndVerify(assetsDir, 'assets', config, verify, log);
+    log(`Uploaded ${assets.fileCount} images. CID: ${assets.cid}`);
+
+    const rewritten = rewriteImageURIs(metadataDir, assets.cid);
+    log(`Rewrote image URIs in ${rewritten} metadata files`);
+
+    log(`Uploading ${metadataDir}...`);
+    const metadata = await pinAndVerify(metadataDir, 'metadata', config, verify, log);
+    log(`Uploaded ${metadata.fileCount} metadata files. CID: ${metadata.cid}`);
+
+    return {
+        imageCID: assets.cid,
+        metadataCID: metadata.cid,
+        // tokenURI appends "/<id>.json" itself, so the base URI has no trailing slash
+        baseURI: `ipfs://${metadata.cid}`
+    };
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            assets: { type: 'string' },
+            metadata: { type: 'string' },
+            endpoint: { type: 'string' },
+            verify: { type: 'boolean', default: false }
+        }
+    });
+
+    const config = getPinataConfig({ apiUrl: values.endpoint });
+    if (!config.apiKey || !config.secretApiKey) {
+        console.error("Please set PINATA_API_KEY and PINATA_SECRET_API_KEY in .env");
+        process.exit(1);
+    }
+
+    console.log(`Starting IPFS upload via ${config.apiUrl}...`);
 
     try {
-        const hash = await pinFileToIPFS(path.join(assetsDir, firstFile));
-        console.log(`Success! File uploaded. CID: ${hash}`);
-        console.log(`View at: https://gateway.pinata.cloud/ipfs/${hash}`);
+        const { imageCID, metadataCID, baseURI } = await uploadCollection({
+            assetsDir: path.resolve(values.assets || DEFAULT_ASSETS_DIR),
+            metadataDir: path.resolve(values.metadata || DEFAULT_METADATA_DIR),
+            config,
+            verify: values.verify
+        });
+
+        console.log("\nUpload complete!");
+        console.log(`Images CID:   ${imageCID}`);
+        console.log(`Metadata CID: ${metadataCID}`);
+        console.log(`Base URI:     ${baseURI}`);
+        console.log(`\nSet it on the contract with: setBaseURI("${baseURI}")`);
     } catch (error) {
         console.error("Upload failed:", error.response ? error.response.data : error.message);
+        process.exit(1);
     }
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    getPinataConfig,
+    pinFileToIPFS,
+    pinDirectoryToIPFS,
+    withImageCID,
+    rewriteImageURIs,
+    uploadCollection
+};
@@ -0,0 +1,169 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+
+const DEFAULT_INPUT = path.join(__dirname, '../onchain.json');
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_CHUNK_SIZE = 12000;
+const RENDERER_ARTIFACT = path.join(__dirname, '../artifacts/contracts/OnChainRenderer.sol/OnChainRenderer.json');
+
+const RENDERER_ABI = [
+    'function addLayer(string layerName)',
+    'function addTraits(uint256 layerId, string[] names, string[] svgs)',
+    'function appendTokenTraits(bytes chunk)',
+    'function lock()',
+    'function locked() view returns (bool)',
+    'function layerCount() view returns (uint256)',
+    'function traitCount(uint256 layerId) view returns (uint256)',
+    'function tokenCount() view returns (uint256)'
+];
+
+/**
+ * Group traits into transactions of at most `chunkSize` bytes of SVG and
+ * name data. A trait larger than that is sent on its own.
+ */
+const planTraitChunks = (traits, chunkSize) => {
+    const chunks = [];
+    let chunk = [];
+    let size = 0;
+
+    for (const trait of traits) {
+        const traitSize = Buffer.byteLength(trait.name) + Buffer.byteLength(trait.svg);
+        if (chunk.length > 0 && size + traitSize > chunkSize) {
+            chunks.push(chunk);
+            chunk = [];
+            size = 0;
+        }
+        chunk.push(trait);
+        size += traitSize;
+    }
+    if (chunk.length > 0) chunks.push(chunk);
+
+    return chunks;
+};
+
+/**
+ * Check the export before spending gas on it
+ */
+const validateOnChainData = (data) => {
+    const layerCount = data.layers.length;
+    const tokenTraits = ethers.getBytes(data.tokenTraits);
+
+    if (layerCount === 0) throw new Error("On-chain data has no layers");
+    if (tokenTraits.length % layerCount !== 0) {
+        throw new Error(`tokenTraits has ${tokenTraits.length} bytes, not a multiple of ${layerCount} layers`);
+    }
+    tokenTraits.forEach((traitIndex, i) => {
+        const layer = data.layers[i % layerCount];
+        if (traitIndex >= layer.traits.length) {
+            throw new Error(`Token #${Math.floor(i / layerCount) + 1} uses trait ${traitIndex} of layer "${layer.name}", which does not exist`);
+        }
+    });
+
+    return tokenTraits;
+};
+
+const send = async (txPromise) => (await (await txPromise).wait());
+
+/**
+ * Upload layers, traits and token traits to an OnChainRenderer in chunks.
+ * What is already stored on-chain is skipped, so an interrupted upload
+ * continues where it stopped when run again.
+ */
+const uploadOnChain = async ({ renderer, data, chunkSize = DEFAULT_CHUNK_SIZE, log = console.log }) => {
+    const tokenTraits = validateOnChainData(data);
+
+    if (await renderer.locked()) throw new Error("Renderer is locked");
+
+    const storedLayers = Number(await renderer.layerCount());
+    for (let layerId = 0; layerId < data.layers.length; layerId++) {
+        const layer = data.layers[layerId];
+        if (layerId >= storedLayers) {
+            await send(renderer.addLayer(layer.name));
+            log(`Added layer ${layer.name}`);
+        }
+
+        const storedTraits = Number(await renderer.traitCount(layerId));
+        for (const chunk of planTraitChunks(layer.traits.slice(storedTraits), chunkSize)) {
+            await send(renderer.addTraits(layerId, chunk.map((trait) => trait.name), chunk.map((trait) => trait.svg)));
+            log(`  ${layer.name}: ${chunk.map((trait) => trait.name).join(', ')}`);
+        }
+    }
+
+    // Token traits are appended in whole tokens
+    const layerCount = data.layers.length;
+    const tokensPerChunk = Math.max(1, Math.floor(chunkSize / layerCount));
+    const tokenCount = tokenTraits.length / layerCount;
+    for (let token = Number(await renderer.tokenCount()); token < tokenCount; token += tokensPerChunk) {
+        const end = Math.min(token + tokensPerChunk, tokenCount);
+        await send(renderer.appendTokenTraits(tokenTraits.slice(token * layerCount, end * layerCount)));
+        log(`Stored traits of tokens ${token + 1}-${end}`);
+    }
+};
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            input: { type: 'string' },
+            renderer: { type: 'string' },
+            launchpad: { type: 'string' },
+            lock: { type: 'boolean', default: false },
+            'chunk-size': { type: 'string' },
+            rpc: { type: 'string' }
+        }
+    });
+
+    const inputPath = path.resolve(values.input || DEFAULT_INPUT);
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`${inputPath} not found, run generateMetadata.js with --onchain first`);
+    }
+    const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+
+    const provider = new ethers.JsonRpcProvider(values.rpc || process.env.RPC_URL || DEFAULT_RPC_URL);
+    // Without a PRIVATE_KEY the node's first unlocked account is used, e.g. on a local Hardhat node
+    const signer = process.env.PRIVATE_KEY
+        ? new ethers.Wallet(process.env.PRIVATE_KEY, provider)
+        : await provider.getSigner();
+
+    let rendererAddress = values.renderer;
+    if (!rendererAddress) {
+        if (!fs.existsSync(RENDERER_ARTIFACT)) throw new Error("Run `npx hardhat compile` to deploy a new renderer");
+        const { abi, bytecode } = JSON.parse(fs.readFileSync(RENDERER_ARTIFACT, 'utf8'));
+        const factory = new ethers.ContractFactory(abi, bytecode, signer);
+        const deployed = await factory.deploy(data.name, data.description, data.width, data.height);
+        await deployed.waitForDeployment();
+        rendererAddress = await deployed.getAddress();
+        console.log(`OnChainRenderer deployed to: ${rendererAddress}`);
+    }
+
+    const renderer = new ethers.Contract(rendererAddress, RENDERER_ABI, signer);
+    await uploadOnChain({
+        renderer,
+        data,
+        chunkSize: values['chunk-size'] ? Number(values['chunk-size']) : DEFAULT_CHUNK_SIZE
+    });
+    console.log("Upload complete");
+
+    if (values.lock) {
+        await send(renderer.lock());
+        console.log("Renderer locked");
+    }
+
+    if (values.launchpad) {
+        const launchpad = new ethers.Contract(values.launchpad, ['function setRenderer(address renderer)'], signer);
+        await send(launchpad.setRenderer(rendererAddress));
+        console.log(`Launchpad ${values.launchpad} now renders metadata on-chain`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { planTraitChunks, validateOnChainData, uploadOnChain };
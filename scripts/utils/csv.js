@@ -0,0 +1,70 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting) shared by the off-chain scripts.
+ */
+
+const escapeCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise an array of row arrays into CSV text.
+ */
+const toCSV = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\n') + '\n';
+
+/**
+ * Parse CSV text into an array of row arrays. Handles quoted cells with
+ * embedded commas, quotes and newlines; blank lines are skipped.
+ */
+const parseCSVRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some((value) => value.trim() !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the (trimmed,
+ * lower-cased) header names.
+ */
+const parseCSV = (text) => {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header) return [];
+
+    const keys = header.map((key) => key.trim().toLowerCase());
+    return rows.map((row) => Object.fromEntries(keys.map((key, i) => [key, (row[i] || '').trim()])));
+};
+
+module.exports = { toCSV, parseCSVRows, parseCSV };
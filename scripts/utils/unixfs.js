@@ -0,0 +1,116 @@
+/**
+ * Local UnixFS DAG building and CAR export, so CIDs can be known before
+ * anything is uploaded. The IPFS libraries are ESM-only, hence the dynamic
+ * imports from this CommonJS module.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// CIDv1 with raw leaves: the same settings uploadIPFS.js asks Pinata to use
+// (`cidVersion: 1`), so locally computed CIDs match what the provider returns.
+const IMPORT_OPTIONS = { cidVersion: 1, rawLeaves: true, wrapWithDirectory: false };
+
+const loadImporter = async () => (await import('ipfs-unixfs-importer')).importer;
+
+/**
+ * Collects blocks in memory for the importer (it only needs `put`).
+ */
+const createBlockCollector = () => {
+    const blocks = new Map();
+    return {
+        blocks,
+        put: async (cid, bytes) => {
+            blocks.set(cid.toString(), { cid, bytes });
+            return cid;
+        }
+    };
+};
+
+/**
+ * Build the DAG of a folder called `name` holding `files` ({ name, content }).
+ * Returns the folder's root CID and every block of the DAG.
+ */
+const buildDirectoryDAG = async (name, files) => {
+    const importer = await loadImporter();
+    const store = createBlockCollector();
+    const source = files.map((file) => ({ path: `${name}/${file.name}`, content: file.content }));
+
+    let root;
+    for await (const entry of importer(source, store, IMPORT_OPTIONS)) {
+        if (entry.path === name) root = entry.cid;
+    }
+    if (!root) throw new Error(`Importer produced no root for ${name}`);
+
+    return { cid: root, blocks: [...store.blocks.values()] };
+};
+
+/**
+ * Build the DAG of a single file and return its CID and blocks.
+ */
+const buildFileDAG = async (content) => {
+    const importer = await loadImporter();
+    const store = createBlockCollector();
+
+    let root;
+    for await (const entry of importer([{ content }], store, IMPORT_OPTIONS)) {
+        root = entry.cid;
+    }
+    return { cid: root, blocks: [...store.blocks.values()] };
+};
+
+/**
+ * Read the files of a flat directory, sorted by name.
+ */
+const readDirectoryFiles = (dirPath) => {
+    if (!fs.existsSync(dirPath)) {
+        throw new Error(`Directory not found: ${dirPath}`);
+    }
+
+    return fs.readdirSync(dirPath)
+        .filter((file) => fs.statSync(path.join(dirPath, file)).isFile())
+        .sort()
+        .map((file) => ({ name: file, content: fs.readFileSync(path.join(dirPath, file)) }));
+};
+
+/**
+ * CID of a directory on disk, as a string.
+ */
+const computeDirectoryCID = async (dirPath, name = path.basename(dirPath)) =>
+    (await buildDirectoryDAG(name, readDirectoryFiles(dirPath))).cid.toString();
+
+/**
+ * Write a CARv1 file containing all blocks with `root` as its only root.
+ */
+const writeCar = async (root, blocks, carPath) => {
+    const { CarWriter } = await import('@ipld/car');
+    const { writer, out } = CarWriter.create([root]);
+
+    const file = fs.createWriteStream(carPath);
+    const done = (async () => {
+        for await (const chunk of out) file.write(chunk);
+        await new Promise((resolve, reject) => file.end((error) => (error ? reject(error) : resolve())));
+    })();
+
+    for (const block of blocks) await writer.put(block);
+    await writer.close();
+    await done;
+};
+
+/**
+ * Throw when a pinning provider returned a different CID than we computed.
+ */
+const verifyCID = (label, expected, actual) => {
+    if (expected !== actual) {
+        throw new Error(`${label} CID mismatch: computed ${expected} locally but the provider returned ${actual}`);
+    }
+};
+
+module.exports = {
+    IMPORT_OPTIONS,
+    buildDirectoryDAG,
+    buildFileDAG,
+    readDirectoryFiles,
+    computeDirectoryCID,
+    writeCar,
+    verifyCID
+};
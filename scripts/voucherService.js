@@ -0,0 +1,149 @@
+require('dotenv').config();
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { loadAllowlist } = require('./merkleTree');
+const collectionConfig = require('./collectionConfig');
+
+const DEFAULT_INPUT = path.join(__dirname, 'allowlist.csv');
+const DEFAULT_PORT = 3002;
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const DEFAULT_TTL = 3600; // seconds a voucher stays valid
+
+// Must match VoucherMinter.VOUCHER_TYPEHASH and its EIP712 name and version
+const VOUCHER_TYPES = {
+    MintVoucher: [
+        { name: 'minter', type: 'address' },
+        { name: 'quantity', type: 'uint256' },
+        { name: 'price', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' }
+    ]
+};
+
+const voucherDomain = (chainId, verifyingContract) => ({
+    name: 'NFTLaunchpad Voucher',
+    version: '1',
+    chainId,
+    verifyingContract
+});
+
+const signVoucher = (signer, domain, voucher) => signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+
+/**
+ * HTTP service issuing vouchers to allowlisted wallets:
+ * GET /voucher/<address> returns { voucher, signature } with the wallet's
+ * allowance and price. Every voucher of a round uses the same nonce, so
+ * fetching it again (e.g. after it expired) never raises what a wallet can
+ * mint; pass a new nonce to start a new round. `clock` returns the current
+ * unix time the expiry is counted from.
+ */
+const createVoucherService = ({
+    signer,
+    domain,
+    entries,
+    nonce = 0,
+    ttl = DEFAULT_TTL,
+    clock = () => Math.floor(Date.now() / 1000)
+}) => {
+    const allowlist = new Map(entries.map((entry) => [entry.address.toLowerCase(), entry]));
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            // The frontend calls the service from the browser
+            res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+            res.end(JSON.stringify(body));
+        };
+
+        const match = /^\/voucher\/([^/?]+)$/.exec(req.url);
+        if (req.method !== 'GET' || !match) {
+            return send(404, { error: `No route for ${req.method} ${req.url}` });
+        }
+        if (!ethers.isAddress(match[1])) return send(400, { error: `Invalid address "${match[1]}"` });
+
+        const entry = allowlist.get(match[1].toLowerCase());
+        if (!entry) return send(404, { error: "Address is not on the allowlist" });
+
+        try {
+            const voucher = {
+                minter: ethers.getAddress(entry.address),
+                quantity: String(entry.allowance),
+                price: entry.price,
+                expiry: String((await clock()) + ttl),
+                nonce: String(nonce)
+            };
+            send(200, { voucher, signature: await signVoucher(signer, domain, voucher) });
+        } catch (error) {
+            send(500, { error: error.message });
+        }
+    });
+
+    return { server };
+};
+
+/**
+ * Start the service and resolve once it is listening. Pass port 0 to let the
+ * OS pick a free port.
+ */
+const startVoucherService = (options, port = DEFAULT_PORT) => new Promise((resolve, reject) => {
+    const service = createVoucherService(options);
+    service.server.once('error', reject);
+    service.server.listen(port, '127.0.0.1', () => {
+        service.url = `http://127.0.0.1:${service.server.address().port}`;
+        resolve(service);
+    });
+});
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            input: { type: 'string' },
+            minter: { type: 'string' },
+            allowance: { type: 'string' },
+            price: { type: 'string' },
+            nonce: { type: 'string' },
+            ttl: { type: 'string' },
+            port: { type: 'string' },
+            rpc: { type: 'string' }
+        }
+    });
+
+    const minter = values.minter || process.env.NEXT_PUBLIC_VOUCHER_MINTER_ADDRESS;
+    if (!minter || !ethers.isAddress(minter)) {
+        throw new Error("Pass the VoucherMinter with --minter (or set NEXT_PUBLIC_VOUCHER_MINTER_ADDRESS)");
+    }
+    if (!process.env.VOUCHER_SIGNER_KEY) {
+        throw new Error("Set VOUCHER_SIGNER_KEY to the private key of the VoucherMinter's signer");
+    }
+
+    const entries = loadAllowlist(path.resolve(values.input || DEFAULT_INPUT), {
+        allowance: values.allowance || 1,
+        price: values.price || collectionConfig.ALLOWLIST_PRICE
+    });
+
+    const provider = new ethers.JsonRpcProvider(values.rpc || process.env.RPC_URL || DEFAULT_RPC_URL);
+    const { chainId } = await provider.getNetwork();
+    const signer = new ethers.Wallet(process.env.VOUCHER_SIGNER_KEY);
+
+    const { url } = await startVoucherService({
+        signer,
+        domain: voucherDomain(chainId, minter),
+        entries,
+        nonce: values.nonce ? Number(values.nonce) : 0,
+        ttl: values.ttl ? Number(values.ttl) : DEFAULT_TTL
+    }, Number(values.port || process.env.VOUCHER_SERVICE_PORT || DEFAULT_PORT));
+
+    console.log(`Issuing vouchers for ${entries.length} addresses, signed by ${signer.address}`);
+    console.log(`Voucher service listening on ${url}/voucher/<address>`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { VOUCHER_TYPES, voucherDomain, signVoucher, createVoucherService, startVoucherService };
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("LaunchpadFactory", function () {
+    const PRICE = ethers.parseEther("0.05");
+    let implementation, factory, owner, creator, addr1;
+
+    const collectionConfig = (overrides = {}) => ({
+        name: "Clone NFT",
+        symbol: "CNFT",
+        maxSupply: 100,
+        allowlistPrice: PRICE,
+        publicPrice: PRICE * 2n,
+        unrevealedURI: "ipfs://unrevealed/",
+        royaltyRecipient: creator.address,
+        royaltyPercentage: 750,
+        ...overrides
+    });
+
+    const createCollection = async (signer, overrides) => {
+        const receipt = await (await factory.connect(signer).createCollection(collectionConfig(overrides))).wait();
+        const event = receipt.logs
+            .map((log) => factory.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === "CollectionCreated");
+        return ethers.getContractAt("NFTLaunchpad", event.args.collection);
+    };
+
+    beforeEach(async function () {
+        [owner, creator, addr1] = await ethers.getSigners();
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        implementation = await NFTLaunchpad.deploy("Implementation", "IMPL", 1, 0, 0, "", owner.address, 0);
+        await implementation.waitForDeployment();
+
+        const LaunchpadFactory = await ethers.getContractFactory("LaunchpadFactory");
+        factory = await LaunchpadFactory.deploy(implementation.target);
+        await factory.waitForDeployment();
+    });
+
+    it("Should create an initialized clone of the implementation", async function () {
+        const collection = await createCollection(creator);
+
+        // EIP-1167 minimal proxy: 45 bytes delegating to the implementation
+        const code = await ethers.provider.getCode(collection.target);
+        expect(ethers.dataLength(code)).to.equal(45);
+        expect(code.toLowerCase()).to.contain(implementation.target.slice(2).toLowerCase());
+
+        expect(await collection.name()).to.equal("Clone NFT");
+        expect(await collection.symbol()).to.equal("CNFT");
+        expect(await collection.maxSupply()).to.equal(100);
+        expect(await collection.allowlistPrice()).to.equal(PRICE);
+        expect(await collection.publicPrice()).to.equal(PRICE * 2n);
+        expect(await collection.maxMintsPerTransaction()).to.equal(10);
+        expect(await collection.uriSuffix()).to.equal(".json");
+
+        const [receiver, amount] = await collection.royaltyInfo(1, 10000);
+        expect(receiver).to.equal(creator.address);
+        expect(amount).to.equal(750);
+
+        // The implementation keeps its own settings
+        expect(await implementation.name()).to.equal("Implementation");
+    });
+
+    it("Should give the creator every role and the mint proceeds", async function () {
+        const collection = await createCollection(creator);
+
+        for (const role of ["DEFAULT_ADMIN_ROLE", "SALE_MANAGER_ROLE", "METADATA_MANAGER_ROLE", "TREASURER_ROLE", "PAUSER_ROLE"]) {
+            expect(await collection.hasRole(await collection[role](), creator.address)).to.equal(true);
+            expect(await collection.hasRole(await collection[role](), factory.target)).to.equal(false);
+        }
+        expect(await collection.owner()).to.equal(creator.address);
+
+        await collection.connect(creator).setPhase(2);
+        await collection.connect(addr1).publicMint(2, { value: PRICE * 4n });
+        expect(await collection.ownerOf(1)).to.equal(addr1.address);
+        expect(await collection.ownerOf(2)).to.equal(addr1.address);
+        expect(await collection.tokenURI(1)).to.equal("ipfs://unrevealed/");
+
+        await expect(collection.connect(creator).withdraw()).to.changeEtherBalance(creator, PRICE * 4n);
+    });
+
+    it("Should keep collections independent of each other", async function () {
+        const first = await createCollection(creator);
+        const second = await createCollection(addr1, { name: "Other NFT", symbol: "ONFT", maxSupply: 5 });
+
+        await first.connect(creator).setPhase(2);
+        await first.connect(addr1).publicMint(1, { value: PRICE * 2n });
+
+        expect(await first.totalSupply()).to.equal(1);
+        expect(await second.totalSupply()).to.equal(0);
+        expect(await second.name()).to.equal("Other NFT");
+        expect(await second.maxSupply()).to.equal(5);
+        await expect(
+            second.connect(creator).setPhase(2)
+        ).to.be.revertedWithCustomError(second, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not initialize a collection twice", async function () {
+        const collection = await createCollection(creator);
+
+        await expect(
+            collection.connect(addr1).initialize(addr1.address, collectionConfig())
+        ).to.be.revertedWithCustomError(collection, "AlreadyInitialized");
+        // Deployed with the constructor, so it cannot be taken over either
+        await expect(
+            implementation.connect(addr1).initialize(addr1.address, collectionConfig())
+        ).to.be.revertedWithCustomError(implementation, "AlreadyInitialized");
+    });
+
+    it("Should record collections by creator and emit CollectionCreated", async function () {
+        await expect(factory.connect(creator).createCollection(collectionConfig()))
+            .to.emit(factory, "CollectionCreated")
+            .withArgs(creator.address, anyValue, "Clone NFT", "CNFT");
+        const second = await createCollection(creator, { name: "Second" });
+        const third = await createCollection(addr1);
+
+        const created = await factory.collectionsOf(creator.address);
+        expect(created).to.have.length(2);
+        expect(created[1]).to.equal(second.target);
+        expect(await factory.collectionsOf(addr1.address)).to.deep.equal([third.target]);
+        expect(await factory.collectionsOf(owner.address)).to.deep.equal([]);
+
+        expect(await factory.collectionCount()).to.equal(3);
+        expect(await factory.getCollections()).to.deep.equal([created[0], second.target, third.target]);
+        expect(await factory.isCollection(third.target)).to.equal(true);
+        expect(await factory.isCollection(implementation.target)).to.equal(false);
+    });
+
+    it("Should reject a zero implementation", async function () {
+        const LaunchpadFactory = await ethers.getContractFactory("LaunchpadFactory");
+        await expect(
+            LaunchpadFactory.deploy(ethers.ZeroAddress)
+        ).to.be.revertedWithCustomError(LaunchpadFactory, "ZeroAddress");
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { MerkleTree } = require("merkletreejs");
 const keccak256 = require("keccak256");
 
@@ -7,6 +8,7 @@ describe("NFTLaunchpad", function () {
     let nftContract;
     let owner, addr1, addr2, addr3;
     let merkleTree, merkleRoot, merkleProof1, merkleProof2;
+    let tier1, tier2;
 
     const MAX_SUPPLY = 1000;
     const ALLOWLIST_PRICE = ethers.parseEther("0.5");
@@ -15,16 +17,27 @@ describe("NFTLaunchpad", function () {
     const BASE_URI = "ipfs://revealed/";
     const ROYALTY_PERCENTAGE = 500; // 5%
 
+    // Allowlist leaf: keccak256(abi.encodePacked(address, maxAllowance, price))
+    const allowlistLeaf = ({ address, allowance, price }) =>
+        ethers.solidityPackedKeccak256(["address", "uint256", "uint256"], [address, allowance, price]);
+
+    // Commit the next block for the starting index and finalize it once that block is mined
+    const drawStartingIndex = async () => {
+        await nftContract.commitStartingIndex();
+        await mine();
+        await nftContract.finalizeStartingIndex();
+    };
+
     beforeEach(async function () {
         [owner, addr1, addr2, addr3] = await ethers.getSigners();
 
-        // Create Merkle tree for allowlist
-        const allowlist = [addr1.address, addr2.address];
-        const leaves = allowlist.map((addr) => keccak256(addr));
-        merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+        // Create Merkle tree for allowlist: addr1 is in a discounted tier, addr2 pays full allowlist price
+        tier1 = { address: addr1.address, allowance: 10, price: ALLOWLIST_PRICE / 2n };
+        tier2 = { address: addr2.address, allowance: 2, price: ALLOWLIST_PRICE };
+        merkleTree = new MerkleTree([tier1, tier2].map(allowlistLeaf), keccak256, { sortPairs: true, hashLeaves: false });
         merkleRoot = merkleTree.getRoot();
-        merkleProof1 = merkleTree.getHexProof(keccak256(addr1.address));
-        merkleProof2 = merkleTree.getHexProof(keccak256(addr2.address));
+        merkleProof1 = merkleTree.getHexProof(allowlistLeaf(tier1));
+        merkleProof2 = merkleTree.getHexProof(allowlistLeaf(tier2));
 
         // Deploy contract
         const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
@@ -73,90 +86,102 @@ describe("NFTLaunchpad", function () {
     });
 
     describe("Allowlist Minting", function () {
+        const mint1 = (quantity, value = tier1.price * BigInt(quantity)) =>
+            nftContract.connect(addr1).allowlistMint(merkleProof1, tier1.allowance, tier1.price, quantity, { value });
+        const mint2 = (quantity, value = tier2.price * BigInt(quantity)) =>
+            nftContract.connect(addr2).allowlistMint(merkleProof2, tier2.allowance, tier2.price, quantity, { value });
+
         beforeEach(async function () {
             await nftContract.setPhase(1); // Set to ALLOWLIST phase
         });
 
         it("Should allow valid allowlist member to mint", async function () {
-            await nftContract.connect(addr1).allowlistMint(merkleProof1, 1, {
-                value: ALLOWLIST_PRICE,
-            });
+            await mint1(1);
 
             expect(await nftContract.balanceOf(addr1.address)).to.equal(1);
             expect(await nftContract.totalSupply()).to.equal(1);
         });
 
         it("Should mint multiple NFTs in one transaction", async function () {
-            await nftContract.connect(addr1).allowlistMint(merkleProof1, 3, {
-                value: ALLOWLIST_PRICE * 3n,
-            });
+            await mint1(3);
 
             expect(await nftContract.balanceOf(addr1.address)).to.equal(3);
             expect(await nftContract.totalSupply()).to.equal(3);
         });
 
+        it("Should charge each tier its own price", async function () {
+            await expect(mint1(2)).to.changeEtherBalance(nftContract, ALLOWLIST_PRICE);
+            await expect(mint2(2)).to.changeEtherBalance(nftContract, ALLOWLIST_PRICE * 2n);
+        });
+
+        it("Should refund overpayment", async function () {
+            await expect(mint1(2, ALLOWLIST_PRICE * 3n)).to.changeEtherBalances(
+                [nftContract, addr1],
+                [ALLOWLIST_PRICE, -ALLOWLIST_PRICE]
+            );
+        });
+
         it("Should reject invalid Merkle proof", async function () {
-            const invalidProof = merkleTree.getHexProof(keccak256(addr3.address));
+            const invalidProof = merkleTree.getHexProof(allowlistLeaf({ ...tier1, address: addr3.address }));
 
             await expect(
-                nftContract.connect(addr3).allowlistMint(invalidProof, 1, {
-                    value: ALLOWLIST_PRICE,
+                nftContract.connect(addr3).allowlistMint(invalidProof, tier1.allowance, tier1.price, 1, {
+                    value: tier1.price,
                 })
             ).to.be.revertedWithCustomError(nftContract, "InvalidMerkleProof");
         });
 
-        it("Should prevent double claiming", async function () {
-            await nftContract.connect(addr1).allowlistMint(merkleProof1, 1, {
-                value: ALLOWLIST_PRICE,
-            });
-
+        it("Should reject a proof used with a different tier", async function () {
             await expect(
-                nftContract.connect(addr1).allowlistMint(merkleProof1, 1, {
-                    value: ALLOWLIST_PRICE,
+                nftContract.connect(addr2).allowlistMint(merkleProof2, 10, tier2.price / 2n, 1, {
+                    value: tier2.price,
                 })
-            ).to.be.revertedWithCustomError(nftContract, "AllowlistAlreadyClaimed");
+            ).to.be.revertedWithCustomError(nftContract, "InvalidMerkleProof");
+        });
+
+        it("Should allow partial claims across transactions", async function () {
+            await mint1(4);
+            await mint1(6);
+
+            expect(await nftContract.allowlistMintedCount(addr1.address)).to.equal(10);
+            expect(await nftContract.allowlistClaimed(addr1.address)).to.be.true;
+        });
+
+        it("Should reject minting beyond the remaining allowance", async function () {
+            await mint2(1);
+            expect(await nftContract.allowlistClaimed(addr2.address)).to.be.false;
+
+            await expect(mint2(2)).to.be.revertedWithCustomError(nftContract, "ExceedsAllowlistAllowance");
+        });
+
+        it("Should prevent double claiming", async function () {
+            await mint2(2);
+
+            await expect(mint2(1)).to.be.revertedWithCustomError(nftContract, "AllowlistAlreadyClaimed");
         });
 
         it("Should reject insufficient payment", async function () {
-            await expect(
-                nftContract.connect(addr1).allowlistMint(merkleProof1, 1, {
-                    value: ALLOWLIST_PRICE / 2n,
-                })
-            ).to.be.revertedWithCustomError(nftContract, "InsufficientPayment");
+            await expect(mint2(1, ALLOWLIST_PRICE / 2n)).to.be.revertedWithCustomError(nftContract, "InsufficientPayment");
         });
 
         it("Should reject minting in wrong phase", async function () {
             await nftContract.setPhase(0); // Set to CLOSED
 
-            await expect(
-                nftContract.connect(addr1).allowlistMint(merkleProof1, 1, {
-                    value: ALLOWLIST_PRICE,
-                })
-            ).to.be.revertedWithCustomError(nftContract, "InvalidPhase");
+            await expect(mint1(1)).to.be.revertedWithCustomError(nftContract, "InvalidPhase");
         });
 
         it("Should enforce max mints per transaction", async function () {
             await nftContract.setMaxMintsPerTransaction(5);
 
-            await expect(
-                nftContract.connect(addr1).allowlistMint(merkleProof1, 10, {
-                    value: ALLOWLIST_PRICE * 10n,
-                })
-            ).to.be.revertedWithCustomError(nftContract, "ExceedsMaxMintsPerTx");
+            await expect(mint1(10)).to.be.revertedWithCustomError(nftContract, "ExceedsMaxMintsPerTx");
         });
 
         it("Should respect max supply", async function () {
             await nftContract.setMaxSupply(2);
 
-            await nftContract.connect(addr1).allowlistMint(merkleProof1, 2, {
-                value: ALLOWLIST_PRICE * 2n,
-            });
+            await mint1(2);
 
-            await expect(
-                nftContract.connect(addr2).allowlistMint(merkleProof2, 1, {
-                    value: ALLOWLIST_PRICE,
-                })
-            ).to.be.revertedWithCustomError(nftContract, "ExceedsMaxSupply");
+            await expect(mint2(1)).to.be.revertedWithCustomError(nftContract, "ExceedsMaxSupply");
         });
     });
 
@@ -186,6 +211,16 @@ describe("NFTLaunchpad", function () {
             expect(await nftContract.balanceOf(addr1.address)).to.equal(4);
         });
 
+        it("Should refund overpayment on public mint", async function () {
+            await expect(
+                nftContract.connect(addr1).publicMint(2, {
+                    value: PUBLIC_PRICE * 5n,
+                })
+            ).to.changeEtherBalances([nftContract, addr1], [PUBLIC_PRICE * 2n, -PUBLIC_PRICE * 2n]);
+
+            expect(await nftContract.mintRevenue()).to.equal(PUBLIC_PRICE * 2n);
+        });
+
         it("Should reject public mint in allowlist phase", async function () {
             await nftContract.setPhase(1); // Set to ALLOWLIST
 
@@ -219,6 +254,378 @@ describe("NFTLaunchpad", function () {
         });
     });
 
+    describe("Sale Stages", function () {
+        const HOUR = 3600;
+        const NO_STAGE = ethers.MaxUint256;
+        let now, allowlistStage, publicStage, stageTree, stageProof1, stageProof2;
+
+        const stage = (startTime, endTime, price, root = ethers.ZeroHash, maxPerWallet = 0, supplyCap = 0) => ({
+            startTime,
+            endTime,
+            maxPerWallet,
+            supplyCap,
+            price,
+            merkleRoot: root,
+        });
+
+        beforeEach(async function () {
+            // Stages use address-only leaves
+            stageTree = new MerkleTree([addr1.address, addr2.address].map((addr) => keccak256(addr)), keccak256, { sortPairs: true });
+            stageProof1 = stageTree.getHexProof(keccak256(addr1.address));
+            stageProof2 = stageTree.getHexProof(keccak256(addr2.address));
+
+            now = await time.latest();
+            allowlistStage = stage(now + HOUR, now + 2 * HOUR, ALLOWLIST_PRICE, stageTree.getHexRoot(), 2, 3);
+            publicStage = stage(now + 2 * HOUR, now + 4 * HOUR, PUBLIC_PRICE);
+            await nftContract.addSaleStage(allowlistStage);
+            await nftContract.addSaleStage(publicStage);
+        });
+
+        it("Should derive the active stage from the block timestamp", async function () {
+            expect(await nftContract.activeStageId()).to.equal(NO_STAGE);
+            expect(await nftContract.nextStageId()).to.equal(0);
+
+            await time.increaseTo(now + HOUR);
+            expect(await nftContract.activeStageId()).to.equal(0);
+            expect(await nftContract.nextStageId()).to.equal(1);
+
+            await time.increaseTo(now + 2 * HOUR);
+            expect(await nftContract.activeStageId()).to.equal(1);
+            expect(await nftContract.nextStageId()).to.equal(NO_STAGE);
+
+            await time.increaseTo(now + 4 * HOUR);
+            expect(await nftContract.activeStageId()).to.equal(NO_STAGE);
+        });
+
+        it("Should reject minting when no stage is active", async function () {
+            await expect(
+                nftContract.connect(addr1).stageMint(stageProof1, 1, { value: ALLOWLIST_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "NoActiveStage");
+        });
+
+        it("Should mint at the stage price with a valid proof", async function () {
+            await time.increaseTo(now + HOUR);
+
+            await expect(
+                nftContract.connect(addr1).stageMint(stageProof1, 2, { value: ALLOWLIST_PRICE * 2n })
+            ).to.emit(nftContract, "StageMint").withArgs(addr1.address, 0, 1, 2);
+
+            expect(await nftContract.balanceOf(addr1.address)).to.equal(2);
+            expect(await nftContract.stageMinted(0)).to.equal(2);
+            expect(await nftContract.stageMintedBy(0, addr1.address)).to.equal(2);
+        });
+
+        it("Should require a valid proof in stages with a Merkle root", async function () {
+            await time.increaseTo(now + HOUR);
+
+            await expect(
+                nftContract.connect(addr3).stageMint(stageProof1, 1, { value: ALLOWLIST_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "InvalidMerkleProof");
+        });
+
+        it("Should enforce the per-wallet limit across transactions", async function () {
+            await time.increaseTo(now + HOUR);
+            await nftContract.connect(addr1).stageMint(stageProof1, 1, { value: ALLOWLIST_PRICE });
+            await nftContract.connect(addr1).stageMint(stageProof1, 1, { value: ALLOWLIST_PRICE });
+
+            await expect(
+                nftContract.connect(addr1).stageMint(stageProof1, 1, { value: ALLOWLIST_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "ExceedsWalletLimit");
+        });
+
+        it("Should enforce the stage supply cap", async function () {
+            await time.increaseTo(now + HOUR);
+            await nftContract.connect(addr1).stageMint(stageProof1, 2, { value: ALLOWLIST_PRICE * 2n });
+
+            await expect(
+                nftContract.connect(addr2).stageMint(stageProof2, 2, { value: ALLOWLIST_PRICE * 2n })
+            ).to.be.revertedWithCustomError(nftContract, "ExceedsStageSupply");
+        });
+
+        it("Should let anyone mint in an open stage", async function () {
+            await time.increaseTo(now + 2 * HOUR);
+
+            await nftContract.connect(addr3).stageMint([], 3, { value: PUBLIC_PRICE * 3n });
+            expect(await nftContract.balanceOf(addr3.address)).to.equal(3);
+        });
+
+        it("Should reject insufficient payment for the stage price", async function () {
+            await time.increaseTo(now + 2 * HOUR);
+
+            await expect(
+                nftContract.connect(addr3).stageMint([], 1, { value: ALLOWLIST_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "InsufficientPayment");
+        });
+
+        it("Should reject overlapping or empty stages", async function () {
+            await expect(
+                nftContract.addSaleStage(stage(now + 3 * HOUR, now + 5 * HOUR, PUBLIC_PRICE))
+            ).to.be.revertedWithCustomError(nftContract, "InvalidStage");
+
+            await expect(
+                nftContract.addSaleStage(stage(now + 5 * HOUR, now + 5 * HOUR, PUBLIC_PRICE))
+            ).to.be.revertedWithCustomError(nftContract, "InvalidStage");
+
+            await expect(
+                nftContract.updateSaleStage(0, stage(now + HOUR, now + 3 * HOUR, ALLOWLIST_PRICE))
+            ).to.be.revertedWithCustomError(nftContract, "InvalidStage");
+        });
+
+        it("Should update a stage", async function () {
+            await expect(nftContract.updateSaleStage(1, stage(now + 3 * HOUR, now + 6 * HOUR, ALLOWLIST_PRICE)))
+                .to.emit(nftContract, "SaleStageSet");
+
+            const updated = await nftContract.getSaleStage(1);
+            expect(updated.price).to.equal(ALLOWLIST_PRICE);
+            expect(updated.endTime).to.equal(now + 6 * HOUR);
+        });
+
+        it("Should expose the schedule in contract details", async function () {
+            const LaunchpadLens = await ethers.getContractFactory("LaunchpadLens");
+            const lens = await LaunchpadLens.deploy();
+            const stages = await lens.getSaleStages(nftContract.target);
+            expect(stages).to.have.length(2);
+            expect(stages[0].merkleRoot).to.equal(stageTree.getHexRoot());
+
+            const details = await nftContract.getContractDetails();
+            expect(details._activeStageId).to.equal(NO_STAGE);
+            expect(details._nextStageId).to.equal(0);
+            expect(details._stageCount).to.equal(2);
+        });
+
+        it("Should only allow owner to manage stages", async function () {
+            await expect(
+                nftContract.connect(addr1).addSaleStage(stage(now + 5 * HOUR, now + 6 * HOUR, 0))
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+
+            await expect(
+                nftContract.connect(addr1).updateSaleStage(0, allowlistStage)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Dutch Auction", function () {
+        const START_PRICE = ethers.parseEther("1.0");
+        const FLOOR_PRICE = ethers.parseEther("0.2");
+        const PRICE_DROP = ethers.parseEther("0.1");
+        const INTERVAL = 600;
+        let start;
+
+        const auction = (overrides = {}) => ({
+            startTime: start,
+            dropInterval: INTERVAL,
+            rebate: false,
+            startPrice: START_PRICE,
+            floorPrice: FLOOR_PRICE,
+            priceDrop: PRICE_DROP,
+            ...overrides,
+        });
+
+        // Price of a mint sent `drops` intervals (and a bit) after the start
+        const mintAfter = async (signer, drops, quantity) => {
+            await time.setNextBlockTimestamp(start + drops * INTERVAL + 60);
+            const price = START_PRICE - PRICE_DROP * BigInt(drops);
+            await nftContract.connect(signer).publicMint(quantity, { value: price * BigInt(quantity) });
+            return price;
+        };
+
+        beforeEach(async function () {
+            start = (await time.latest()) + 3600;
+            await nftContract.setPhase(2);
+        });
+
+        it("Should use the fixed public price without an auction", async function () {
+            expect(await nftContract.getCurrentPrice()).to.equal(PUBLIC_PRICE);
+        });
+
+        it("Should drop the price by step per interval down to the floor", async function () {
+            await expect(nftContract.setDutchAuction(auction())).to.emit(nftContract, "DutchAuctionSet");
+            expect(await nftContract.getCurrentPrice()).to.equal(START_PRICE);
+
+            await time.increaseTo(start + 2 * INTERVAL + 1);
+            expect(await nftContract.getCurrentPrice()).to.equal(START_PRICE - 2n * PRICE_DROP);
+
+            await time.increaseTo(start + 100 * INTERVAL);
+            expect(await nftContract.getCurrentPrice()).to.equal(FLOOR_PRICE);
+        });
+
+        it("Should charge the auction price once started", async function () {
+            await nftContract.setDutchAuction(auction());
+
+            await expect(
+                nftContract.connect(addr1).publicMint(1, { value: START_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "SaleNotStarted");
+
+            await time.setNextBlockTimestamp(start + 3 * INTERVAL);
+            await expect(
+                nftContract.connect(addr1).publicMint(2, { value: (START_PRICE - 3n * PRICE_DROP) * 2n - 1n })
+            ).to.be.revertedWithCustomError(nftContract, "InsufficientPayment");
+
+            const price = await mintAfter(addr1, 3, 2);
+            expect(await nftContract.balanceOf(addr1.address)).to.equal(2);
+            expect(await nftContract.lastAuctionPrice()).to.equal(price);
+        });
+
+        it("Should refund the difference when the price dropped before inclusion", async function () {
+            await nftContract.setDutchAuction(auction());
+
+            await time.setNextBlockTimestamp(start + INTERVAL);
+            await expect(
+                nftContract.connect(addr1).publicMint(1, { value: START_PRICE })
+            ).to.changeEtherBalances([nftContract, addr1], [START_PRICE - PRICE_DROP, PRICE_DROP - START_PRICE]);
+            expect(await nftContract.mintPrice(1)).to.equal(START_PRICE - PRICE_DROP);
+        });
+
+        it("Should reject invalid configurations", async function () {
+            await expect(
+                nftContract.setDutchAuction(auction({ dropInterval: 0 }))
+            ).to.be.revertedWithCustomError(nftContract, "InvalidAuction");
+
+            await expect(
+                nftContract.setDutchAuction(auction({ floorPrice: START_PRICE + 1n }))
+            ).to.be.revertedWithCustomError(nftContract, "InvalidAuction");
+
+            await expect(
+                nftContract.connect(addr1).setDutchAuction(auction())
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should lock the configuration after the first sale", async function () {
+            await nftContract.setDutchAuction(auction());
+            await mintAfter(addr1, 0, 1);
+
+            await expect(
+                nftContract.setDutchAuction(auction({ startTime: 0 }))
+            ).to.be.revertedWithCustomError(nftContract, "InvalidAuction");
+        });
+
+        it("Should rebate early buyers down to the clearing price", async function () {
+            await nftContract.setDutchAuction(auction({ rebate: true }));
+            const earlyPrice = await mintAfter(addr1, 0, 2);
+            const clearingPrice = await mintAfter(addr2, 4, 1);
+
+            await expect(
+                nftContract.connect(addr1).claimAuctionRebate()
+            ).to.be.revertedWithCustomError(nftContract, "AuctionNotFinalized");
+
+            await expect(nftContract.finalizeDutchAuction())
+                .to.emit(nftContract, "DutchAuctionFinalized")
+                .withArgs(clearingPrice);
+            expect(await nftContract.getCurrentPrice()).to.equal(clearingPrice);
+
+            const rebate = (earlyPrice - clearingPrice) * 2n;
+            expect(await nftContract.pendingRebate(addr1.address)).to.equal(rebate);
+            await expect(nftContract.connect(addr1).claimAuctionRebate())
+                .to.emit(nftContract, "AuctionRebateClaimed")
+                .withArgs(addr1.address, rebate);
+
+            await expect(
+                nftContract.connect(addr1).claimAuctionRebate()
+            ).to.be.revertedWithCustomError(nftContract, "NothingToRebate");
+            await expect(
+                nftContract.connect(addr2).claimAuctionRebate()
+            ).to.be.revertedWithCustomError(nftContract, "NothingToRebate");
+        });
+
+        it("Should finalize automatically when the collection sells out", async function () {
+            await nftContract.setMaxSupply(3);
+            await nftContract.setDutchAuction(auction({ rebate: true }));
+            await mintAfter(addr1, 1, 2);
+            const clearingPrice = await mintAfter(addr2, 2, 1);
+
+            expect(await nftContract.auctionFinalized()).to.be.true;
+            expect(await nftContract.auctionClearingPrice()).to.equal(clearingPrice);
+            expect(await nftContract.pendingRebate(addr1.address)).to.equal(PRICE_DROP * 2n);
+        });
+
+        it("Should keep unclaimed rebates out of withdrawals", async function () {
+            await nftContract.setDutchAuction(auction({ rebate: true }));
+            const price = await mintAfter(addr1, 0, 2);
+
+            // Before finalization the clearing price may still fall to the floor
+            await expect(nftContract.withdraw())
+                .to.emit(nftContract, "Withdrawal")
+                .withArgs(FLOOR_PRICE * 2n);
+            expect(await ethers.provider.getBalance(nftContract.target)).to.equal((price - FLOOR_PRICE) * 2n);
+
+            const clearingPrice = await mintAfter(addr2, 4, 1);
+            await nftContract.finalizeDutchAuction();
+            const rebate = (price - clearingPrice) * 2n;
+            await expect(nftContract.withdraw())
+                .to.emit(nftContract, "Withdrawal")
+                .withArgs((price - FLOOR_PRICE) * 2n + clearingPrice - rebate);
+
+            await expect(nftContract.connect(addr1).claimAuctionRebate())
+                .to.changeEtherBalance(addr1, rebate);
+            expect(await ethers.provider.getBalance(nftContract.target)).to.equal(0);
+        });
+    });
+
+    describe("Airdrop", function () {
+        beforeEach(async function () {
+            await expect(nftContract.setTeamReserve(10))
+                .to.emit(nftContract, "TeamReserveSet")
+                .withArgs(10);
+        });
+
+        it("Should mint from the team reserve for free", async function () {
+            await expect(nftContract.airdrop([addr1.address, addr2.address], [3, 2]))
+                .to.emit(nftContract, "Airdrop")
+                .withArgs(addr2.address, 4, 2);
+
+            expect(await nftContract.balanceOf(addr1.address)).to.equal(3);
+            expect(await nftContract.balanceOf(addr2.address)).to.equal(2);
+            expect(await nftContract.teamMinted()).to.equal(5);
+            expect(await nftContract.mintPrice(4)).to.equal(0);
+        });
+
+        it("Should cap airdrops at the team reserve", async function () {
+            await nftContract.airdrop([addr1.address], [8]);
+
+            await expect(
+                nftContract.airdrop([addr2.address], [3])
+            ).to.be.revertedWithCustomError(nftContract, "ExceedsTeamReserve");
+            await expect(nftContract.setTeamReserve(7)).to.be.revertedWithCustomError(nftContract, "ExceedsTeamReserve");
+        });
+
+        it("Should exclude the unminted reserve from the sale supply", async function () {
+            await nftContract.setMaxSupply(15);
+            await nftContract.setPhase(2);
+            expect(await nftContract.saleSupplyRemaining()).to.equal(5);
+
+            await nftContract.connect(addr1).publicMint(5, { value: PUBLIC_PRICE * 5n });
+            await expect(
+                nftContract.connect(addr2).publicMint(1, { value: PUBLIC_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "ExceedsMaxSupply");
+
+            await nftContract.airdrop([addr3.address], [10]);
+            expect(await nftContract.totalSupply()).to.equal(15);
+        });
+
+        it("Should not reserve more than the unminted supply", async function () {
+            await nftContract.setMaxSupply(20);
+
+            await expect(nftContract.setTeamReserve(21)).to.be.revertedWithCustomError(nftContract, "ExceedsMaxSupply");
+            await expect(nftContract.setMaxSupply(10)).to.be.revertedWithCustomError(nftContract, "InvalidMaxSupply");
+        });
+
+        it("Should reject mismatched or empty recipient lists", async function () {
+            await expect(
+                nftContract.airdrop([addr1.address, addr2.address], [1])
+            ).to.be.revertedWithCustomError(nftContract, "InvalidAirdrop");
+            await expect(nftContract.airdrop([], [])).to.be.revertedWithCustomError(nftContract, "InvalidAirdrop");
+        });
+
+        it("Should only allow owner to airdrop", async function () {
+            await expect(
+                nftContract.connect(addr1).airdrop([addr1.address], [1])
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+            await expect(
+                nftContract.connect(addr1).setTeamReserve(1)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
     describe("Phase Management", function () {
         it("Should update phase correctly", async function () {
             await nftContract.setPhase(1);
@@ -248,7 +655,7 @@ describe("NFTLaunchpad", function () {
         it("Should only allow owner to change phase", async function () {
             await expect(
                 nftContract.connect(addr1).setPhase(1)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -270,10 +677,59 @@ describe("NFTLaunchpad", function () {
 
             // Set base URI and reveal
             await nftContract.setBaseURI(BASE_URI);
+            await drawStartingIndex();
             await nftContract.revealCollection();
 
+            const startingIndex = await nftContract.startingIndex();
+            const expectedId = (startingIndex % BigInt(MAX_SUPPLY)) + 1n;
+
             const tokenURI = await nftContract.tokenURI(1);
-            expect(tokenURI).to.equal(`${BASE_URI}/1.json`);
+            expect(tokenURI).to.equal(`${BASE_URI}${expectedId}.json`);
+        });
+
+        it("Should add a separator only when the base URI lacks one", async function () {
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr1).publicMint(1, { value: PUBLIC_PRICE });
+            await drawStartingIndex();
+            await nftContract.revealCollection();
+            const expectedId = await nftContract.metadataId(1);
+
+            await nftContract.setBaseURI("ipfs://revealed");
+            expect(await nftContract.tokenURI(1)).to.equal(`ipfs://revealed/${expectedId}.json`);
+
+            await nftContract.setURISuffix("");
+            expect(await nftContract.tokenURI(1)).to.equal(`ipfs://revealed/${expectedId}`);
+        });
+
+        it("Should return an empty URI when revealed without a base URI", async function () {
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr1).publicMint(1, { value: PUBLIC_PRICE });
+            await drawStartingIndex();
+            await nftContract.revealCollection();
+
+            expect(await nftContract.tokenURI(1)).to.equal("");
+        });
+
+        it("Should emit EIP-4906 updates when the metadata changes", async function () {
+            const maxUint = ethers.MaxUint256;
+
+            await expect(nftContract.setBaseURI(BASE_URI))
+                .to.emit(nftContract, "BatchMetadataUpdate")
+                .withArgs(1, maxUint);
+            await expect(nftContract.setUnrevealedURI(UNREVEALED_URI))
+                .to.emit(nftContract, "BatchMetadataUpdate")
+                .withArgs(1, maxUint);
+            await expect(nftContract.setURISuffix(""))
+                .to.emit(nftContract, "BatchMetadataUpdate")
+                .withArgs(1, maxUint);
+            await drawStartingIndex();
+            await expect(nftContract.revealCollection())
+                .to.emit(nftContract, "BatchMetadataUpdate")
+                .withArgs(1, maxUint);
+        });
+
+        it("Should support the EIP-4906 interface", async function () {
+            expect(await nftContract.supportsInterface("0x49064906")).to.equal(true);
         });
 
         it("Should emit URIUpdated event", async function () {
@@ -283,14 +739,257 @@ describe("NFTLaunchpad", function () {
         });
 
         it("Should emit Revealed event", async function () {
+            await drawStartingIndex();
             await expect(nftContract.revealCollection())
                 .to.emit(nftContract, "Revealed");
         });
 
+        it("Should reject a second reveal", async function () {
+            await drawStartingIndex();
+            await nftContract.revealCollection();
+
+            await expect(
+                nftContract.revealCollection()
+            ).to.be.revertedWithCustomError(nftContract, "AlreadyRevealed");
+        });
+
         it("Should only allow owner to set URI", async function () {
             await expect(
                 nftContract.connect(addr1).setBaseURI(BASE_URI)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Staged Reveal", function () {
+        beforeEach(async function () {
+            await nftContract.setPhase(2);
+            await nftContract.setBaseURI(BASE_URI);
+            await nftContract.connect(addr1).publicMint(3, { value: PUBLIC_PRICE * 3n });
+            await nftContract.connect(addr2).publicMint(2, { value: PUBLIC_PRICE * 2n });
+            await drawStartingIndex();
+        });
+
+        it("Should reveal a range of tokens", async function () {
+            await expect(nftContract.revealThrough(3))
+                .to.emit(nftContract, "BatchMetadataUpdate")
+                .withArgs(1, 3);
+
+            const expectedId = await nftContract.metadataId(3);
+            expect(await nftContract.tokenURI(3)).to.equal(`${BASE_URI}${expectedId}.json`);
+            expect(await nftContract.tokenURI(4)).to.equal(UNREVEALED_URI);
+            expect(await nftContract.isRevealed(3)).to.equal(true);
+            expect(await nftContract.isRevealed(4)).to.equal(false);
+            expect(await nftContract.revealed()).to.equal(false);
+        });
+
+        it("Should keep the starting index across staged and full reveals", async function () {
+            const startingIndex = await nftContract.startingIndex();
+
+            await expect(nftContract.revealThrough(3)).to.not.emit(nftContract, "StartingIndexSet");
+            await expect(nftContract.revealThrough(5)).to.not.emit(nftContract, "StartingIndexSet");
+            await expect(nftContract.revealCollection()).to.not.emit(nftContract, "StartingIndexSet");
+            expect(await nftContract.startingIndex()).to.equal(startingIndex);
+        });
+
+        it("Should emit MetadataUpdate when revealing a single token", async function () {
+            await nftContract.revealThrough(3);
+
+            await expect(nftContract.revealThrough(4))
+                .to.emit(nftContract, "MetadataUpdate")
+                .withArgs(4);
+        });
+
+        it("Should reject ranges that are already revealed or not minted", async function () {
+            await nftContract.revealThrough(3);
+
+            await expect(
+                nftContract.revealThrough(3)
+            ).to.be.revertedWithCustomError(nftContract, "InvalidRevealRange");
+            await expect(
+                nftContract.revealThrough(6)
+            ).to.be.revertedWithCustomError(nftContract, "InvalidRevealRange");
+        });
+
+        it("Should lock max supply before the first staged reveal", async function () {
+            await expect(
+                nftContract.setMaxSupply(2000)
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexAlreadyCommitted");
+        });
+
+        it("Should reject staged reveals after the full reveal", async function () {
+            await nftContract.revealCollection();
+
+            await expect(
+                nftContract.revealThrough(5)
+            ).to.be.revertedWithCustomError(nftContract, "AlreadyRevealed");
+        });
+
+        it("Should only allow owner to reveal a range", async function () {
+            await expect(
+                nftContract.connect(addr1).revealThrough(3)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Metadata Freeze", function () {
+        beforeEach(async function () {
+            await nftContract.setBaseURI(BASE_URI);
+            await expect(nftContract.freezeMetadata()).to.emit(nftContract, "MetadataFrozen");
+        });
+
+        it("Should reject metadata changes once frozen", async function () {
+            expect(await nftContract.metadataFrozen()).to.equal(true);
+
+            await expect(
+                nftContract.setBaseURI("ipfs://other/")
+            ).to.be.revertedWithCustomError(nftContract, "MetadataIsFrozen");
+            await expect(
+                nftContract.setUnrevealedURI("ipfs://other/")
+            ).to.be.revertedWithCustomError(nftContract, "MetadataIsFrozen");
+            await expect(
+                nftContract.setURISuffix("")
+            ).to.be.revertedWithCustomError(nftContract, "MetadataIsFrozen");
+            await expect(
+                nftContract.setRenderer(addr1.address)
+            ).to.be.revertedWithCustomError(nftContract, "MetadataIsFrozen");
+        });
+
+        it("Should still allow the reveal", async function () {
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr1).publicMint(1, { value: PUBLIC_PRICE });
+            await drawStartingIndex();
+            await nftContract.revealCollection();
+
+            const expectedId = await nftContract.metadataId(1);
+            expect(await nftContract.tokenURI(1)).to.equal(`${BASE_URI}${expectedId}.json`);
+        });
+
+        it("Should only allow owner to freeze metadata", async function () {
+            await expect(
+                nftContract.connect(addr1).freezeMetadata()
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Provenance", function () {
+        const PROVENANCE = ethers.id("provenance");
+
+        it("Should set provenance hash before the sale", async function () {
+            await expect(nftContract.setProvenanceHash(PROVENANCE))
+                .to.emit(nftContract, "ProvenanceHashSet")
+                .withArgs(PROVENANCE);
+
+            expect(await nftContract.provenanceHash()).to.equal(PROVENANCE);
+        });
+
+        it("Should lock provenance hash once minting has started", async function () {
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr1).publicMint(1, { value: PUBLIC_PRICE });
+
+            await expect(
+                nftContract.setProvenanceHash(PROVENANCE)
+            ).to.be.revertedWithCustomError(nftContract, "ProvenanceLocked");
+        });
+
+        it("Should only allow owner to set provenance hash", async function () {
+            await expect(
+                nftContract.connect(addr1).setProvenanceHash(PROVENANCE)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should draw the starting index from the hash of a committed future block", async function () {
+            const committedBlock = (await ethers.provider.getBlockNumber()) + 2;
+            await expect(nftContract.commitStartingIndex())
+                .to.emit(nftContract, "StartingIndexCommitted")
+                .withArgs(committedBlock);
+            expect(await nftContract.startingIndexBlock()).to.equal(committedBlock);
+
+            // The committed block is the one the next transaction lands in, so its hash is not known yet
+            await expect(
+                nftContract.connect(addr3).finalizeStartingIndex()
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexPending");
+
+            await mine();
+            const tx = await nftContract.connect(addr3).finalizeStartingIndex();
+            const startingIndex = await nftContract.startingIndex();
+            const { hash } = await ethers.provider.getBlock(committedBlock);
+            const expected = BigInt(hash) % BigInt(MAX_SUPPLY);
+
+            await expect(tx).to.emit(nftContract, "StartingIndexSet").withArgs(startingIndex);
+            expect(startingIndex).to.equal(expected === 0n ? 1n : expected);
+            expect(startingIndex).to.be.greaterThan(0);
+            expect(startingIndex).to.be.lessThan(MAX_SUPPLY);
+        });
+
+        it("Should commit and finalize the starting index only once", async function () {
+            await expect(
+                nftContract.finalizeStartingIndex()
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexPending");
+
+            await drawStartingIndex();
+
+            await expect(
+                nftContract.commitStartingIndex()
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexAlreadyCommitted");
+            await expect(
+                nftContract.finalizeStartingIndex()
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexPending");
+        });
+
+        it("Should commit a new block once the committed hash has expired", async function () {
+            await nftContract.commitStartingIndex();
+            await mine(300);
+
+            // Only the last 256 block hashes are available
+            const tx = await nftContract.finalizeStartingIndex();
+            const committedBlock = tx.blockNumber + 1;
+            await expect(tx).to.emit(nftContract, "StartingIndexCommitted").withArgs(committedBlock);
+            expect(await nftContract.startingIndexBlock()).to.equal(committedBlock);
+            expect(await nftContract.startingIndex()).to.equal(0);
+
+            await mine();
+            await expect(nftContract.finalizeStartingIndex()).to.emit(nftContract, "StartingIndexSet");
+            expect(await nftContract.startingIndex()).to.be.greaterThan(0);
+        });
+
+        it("Should not reveal before the starting index is drawn", async function () {
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr1).publicMint(2, { value: PUBLIC_PRICE * 2n });
+
+            await expect(
+                nftContract.revealCollection()
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexNotSet");
+
+            // Committed but not finalized yet
+            await nftContract.commitStartingIndex();
+            await expect(
+                nftContract.revealThrough(1)
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexNotSet");
+        });
+
+        it("Should only allow owner to commit the starting index", async function () {
+            await expect(
+                nftContract.connect(addr1).commitStartingIndex()
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should shift and wrap the metadata mapping by the starting index", async function () {
+            await drawStartingIndex();
+            await nftContract.revealCollection();
+            const startingIndex = await nftContract.startingIndex();
+            const maxSupply = BigInt(MAX_SUPPLY);
+
+            expect(await nftContract.metadataId(1)).to.equal(startingIndex + 1n);
+            expect(await nftContract.metadataId(maxSupply)).to.equal(startingIndex);
+            expect(await nftContract.metadataId(maxSupply - startingIndex + 1n)).to.equal(1);
+        });
+
+        it("Should freeze max supply once the starting index block is committed", async function () {
+            await nftContract.commitStartingIndex();
+
+            await expect(
+                nftContract.setMaxSupply(2000)
+            ).to.be.revertedWithCustomError(nftContract, "StartingIndexAlreadyCommitted");
         });
     });
 
@@ -317,7 +1016,7 @@ describe("NFTLaunchpad", function () {
         it("Should only allow owner to pause", async function () {
             await expect(
                 nftContract.connect(addr1).setPaused(true)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -351,7 +1050,17 @@ describe("NFTLaunchpad", function () {
         it("Should only allow owner to withdraw", async function () {
             await expect(
                 nftContract.connect(addr1).withdraw()
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should not withdraw to the zero address once the admin role is renounced", async function () {
+            await nftContract.renounceRole(await nftContract.DEFAULT_ADMIN_ROLE(), owner.address);
+            expect(await nftContract.owner()).to.equal(ethers.ZeroAddress);
+
+            await expect(nftContract.withdraw()).to.be.revertedWithCustomError(nftContract, "ZeroAddress");
+
+            await nftContract.setPayoutRecipient(addr2.address);
+            await expect(nftContract.withdraw()).to.changeEtherBalance(addr2, PUBLIC_PRICE * 2n);
         });
 
         it("Should reject withdrawal when contract is empty", async function () {
@@ -363,6 +1072,101 @@ describe("NFTLaunchpad", function () {
         });
     });
 
+    describe("Cancelled Sale", function () {
+        const REFUND_PERIOD = 7 * 24 * 3600;
+
+        beforeEach(async function () {
+            await nftContract.setPhase(1);
+            await nftContract.connect(addr1).allowlistMint(merkleProof1, tier1.allowance, tier1.price, 2, {
+                value: tier1.price * 2n,
+            });
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr2).publicMint(3, { value: PUBLIC_PRICE * 3n });
+        });
+
+        it("Should record the price paid per token", async function () {
+            expect(await nftContract.mintPrice(1)).to.equal(tier1.price);
+            expect(await nftContract.mintPrice(2)).to.equal(tier1.price);
+            expect(await nftContract.mintPrice(5)).to.equal(PUBLIC_PRICE);
+        });
+
+        it("Should stop minting for good", async function () {
+            await expect(nftContract.cancelSale(REFUND_PERIOD)).to.emit(nftContract, "SaleCancelled");
+
+            await expect(
+                nftContract.connect(addr1).publicMint(1, { value: PUBLIC_PRICE })
+            ).to.be.revertedWithCustomError(nftContract, "EnforcedPause");
+            await expect(nftContract.setPaused(false)).to.be.revertedWithCustomError(nftContract, "SaleIsCancelled");
+            await expect(nftContract.cancelSale(REFUND_PERIOD)).to.be.revertedWithCustomError(nftContract, "SaleIsCancelled");
+        });
+
+        it("Should refund the mint price of burned tokens", async function () {
+            await nftContract.cancelSale(REFUND_PERIOD);
+
+            await expect(nftContract.connect(addr2).claimRefund([3, 5]))
+                .to.emit(nftContract, "RefundClaimed")
+                .withArgs(addr2.address, [3, 5], PUBLIC_PRICE * 2n);
+            await expect(nftContract.connect(addr1).claimRefund([1, 2]))
+                .to.changeEtherBalance(addr1, tier1.price * 2n);
+
+            expect(await nftContract.balanceOf(addr2.address)).to.equal(1);
+            expect(await nftContract.totalSupply()).to.equal(1);
+            await expect(nftContract.ownerOf(3)).to.be.revertedWithCustomError(nftContract, "OwnerQueryForNonexistentToken");
+        });
+
+        it("Should only refund tokens the caller owns", async function () {
+            await nftContract.cancelSale(REFUND_PERIOD);
+
+            await expect(
+                nftContract.connect(addr1).claimRefund([3])
+            ).to.be.revertedWithCustomError(nftContract, "NotTokenOwner");
+        });
+
+        it("Should only refund within the window", async function () {
+            await expect(
+                nftContract.connect(addr2).claimRefund([3])
+            ).to.be.revertedWithCustomError(nftContract, "SaleNotCancelled");
+
+            await nftContract.cancelSale(REFUND_PERIOD);
+            await time.increase(REFUND_PERIOD + 1);
+
+            await expect(
+                nftContract.connect(addr2).claimRefund([3])
+            ).to.be.revertedWithCustomError(nftContract, "RefundWindowClosed");
+        });
+
+        it("Should hold withdrawals until the window closes", async function () {
+            await nftContract.cancelSale(REFUND_PERIOD);
+            await nftContract.connect(addr2).claimRefund([3, 4, 5]);
+
+            await expect(nftContract.withdraw()).to.be.revertedWithCustomError(nftContract, "RefundWindowOpen");
+
+            await time.increase(REFUND_PERIOD + 1);
+            await expect(nftContract.withdraw())
+                .to.emit(nftContract, "Withdrawal")
+                .withArgs(tier1.price * 2n);
+        });
+
+        it("Should require the refunds to be funded", async function () {
+            await nftContract.withdraw();
+            const revenue = await nftContract.mintRevenue();
+
+            await expect(
+                nftContract.cancelSale(REFUND_PERIOD, { value: revenue - 1n })
+            ).to.be.revertedWithCustomError(nftContract, "InsufficientPayment");
+            await nftContract.cancelSale(REFUND_PERIOD, { value: revenue });
+
+            await expect(nftContract.connect(addr2).claimRefund([3, 4, 5]))
+                .to.changeEtherBalance(addr2, PUBLIC_PRICE * 3n);
+        });
+
+        it("Should only allow owner to cancel", async function () {
+            await expect(
+                nftContract.connect(addr1).cancelSale(REFUND_PERIOD)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
     describe("Price Management", function () {
         it("Should update allowlist price", async function () {
             const newPrice = ethers.parseEther("0.75");
@@ -381,15 +1185,23 @@ describe("NFTLaunchpad", function () {
 
             await expect(
                 nftContract.connect(addr1).setAllowlistPrice(newPrice)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
 
             await expect(
                 nftContract.connect(addr1).setPublicPrice(newPrice)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
         });
     });
 
     describe("Royalty", function () {
+        let lens;
+
+        beforeEach(async function () {
+            const LaunchpadLens = await ethers.getContractFactory("LaunchpadLens");
+            lens = await LaunchpadLens.deploy();
+            await lens.waitForDeployment();
+        });
+
         it("Should set royalty correctly", async function () {
             await nftContract.setRoyalty(addr1.address, 1000); // 10%
             expect(await nftContract.royaltyRecipient()).to.equal(addr1.address);
@@ -405,7 +1217,118 @@ describe("NFTLaunchpad", function () {
         it("Should only allow owner to set royalty", async function () {
             await expect(
                 nftContract.connect(addr1).setRoyalty(addr1.address, 500)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should override the royalty of a single token", async function () {
+            await expect(nftContract.setTokenRoyalty(7, addr2.address, 1000))
+                .to.emit(nftContract, "TokenRoyaltySet")
+                .withArgs(7, addr2.address, 1000);
+
+            const salePrice = ethers.parseEther("1");
+            expect(await nftContract.royaltyInfo(7, salePrice))
+                .to.deep.equal([addr2.address, salePrice / 10n]);
+            expect(await nftContract.royaltyInfo(8, salePrice))
+                .to.deep.equal([owner.address, salePrice / 20n]);
+        });
+
+        it("Should list the royalty config of each token", async function () {
+            await nftContract.setTokenRoyalty(2, addr2.address, 1000);
+
+            const configs = await lens.royaltyConfigs(nftContract.target, [1, 2]);
+            expect(configs[0]).to.deep.equal([owner.address, ROYALTY_PERCENTAGE, false]);
+            expect(configs[1]).to.deep.equal([addr2.address, 1000, true]);
+        });
+
+        it("Should keep overrides when the default royalty changes", async function () {
+            await nftContract.setTokenRoyalty(2, addr2.address, 1000);
+            await nftContract.setRoyalty(addr1.address, 250);
+
+            expect(await lens.royaltyConfig(nftContract.target, 1)).to.deep.equal([addr1.address, 250, false]);
+            expect(await lens.royaltyConfig(nftContract.target, 2)).to.deep.equal([addr2.address, 1000, true]);
+        });
+
+        it("Should reset a token to the default royalty", async function () {
+            await nftContract.setTokenRoyalty(2, addr2.address, 1000);
+
+            await expect(nftContract.resetTokenRoyalty(2))
+                .to.emit(nftContract, "TokenRoyaltyReset")
+                .withArgs(2);
+            expect(await lens.royaltyConfig(nftContract.target, 2)).to.deep.equal([owner.address, ROYALTY_PERCENTAGE, false]);
+        });
+
+        it("Should reject invalid token royalties", async function () {
+            await expect(
+                nftContract.setTokenRoyalty(1, ethers.ZeroAddress, 500)
+            ).to.be.revertedWithCustomError(nftContract, "ZeroAddress");
+            await expect(
+                nftContract.setTokenRoyalty(1, addr2.address, 10001)
+            ).to.be.revertedWithCustomError(nftContract, "ERC2981InvalidTokenRoyalty");
+            await expect(
+                nftContract.connect(addr1).setTokenRoyalty(1, addr1.address, 500)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Operator Blocklist", function () {
+        beforeEach(async function () {
+            await nftContract.setPhase(2);
+            await nftContract.connect(addr1).publicMint(2, { value: PUBLIC_PRICE * 2n });
+        });
+
+        it("Should reject approvals of a blocked operator", async function () {
+            await expect(nftContract.setOperatorBlocked(addr3.address, true))
+                .to.emit(nftContract, "OperatorBlockUpdated")
+                .withArgs(addr3.address, true);
+
+            await expect(
+                nftContract.connect(addr1).approve(addr3.address, 1)
+            ).to.be.revertedWithCustomError(nftContract, "OperatorBlocked")
+                .withArgs(addr3.address);
+            await expect(
+                nftContract.connect(addr1).setApprovalForAll(addr3.address, true)
+            ).to.be.revertedWithCustomError(nftContract, "OperatorBlocked")
+                .withArgs(addr3.address);
+        });
+
+        it("Should revert transfers by an operator blocked after approval", async function () {
+            await nftContract.connect(addr1).setApprovalForAll(addr3.address, true);
+            await nftContract.connect(addr1).approve(addr2.address, 2);
+            await nftContract.setOperatorBlocked(addr3.address, true);
+            await nftContract.setOperatorBlocked(addr2.address, true);
+
+            await expect(
+                nftContract.connect(addr3).transferFrom(addr1.address, addr3.address, 1)
+            ).to.be.revertedWithCustomError(nftContract, "OperatorBlocked")
+                .withArgs(addr3.address);
+            await expect(
+                nftContract.connect(addr2)["safeTransferFrom(address,address,uint256)"](addr1.address, addr2.address, 2)
+            ).to.be.revertedWithCustomError(nftContract, "OperatorBlocked")
+                .withArgs(addr2.address);
+        });
+
+        it("Should let holders transfer and revoke blocked operators", async function () {
+            await nftContract.connect(addr1).setApprovalForAll(addr3.address, true);
+            await nftContract.setOperatorBlocked(addr3.address, true);
+
+            await nftContract.connect(addr1).setApprovalForAll(addr3.address, false);
+            await nftContract.connect(addr1).transferFrom(addr1.address, addr3.address, 1);
+            expect(await nftContract.ownerOf(1)).to.equal(addr3.address);
+        });
+
+        it("Should allow operators again once unblocked", async function () {
+            await nftContract.setOperatorBlocked(addr3.address, true);
+            await nftContract.setOperatorBlocked(addr3.address, false);
+
+            await nftContract.connect(addr1).setApprovalForAll(addr3.address, true);
+            await nftContract.connect(addr3).transferFrom(addr1.address, addr2.address, 1);
+            expect(await nftContract.ownerOf(1)).to.equal(addr2.address);
+        });
+
+        it("Should only allow owner to block operators", async function () {
+            await expect(
+                nftContract.connect(addr1).setOperatorBlocked(addr3.address, true)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -424,16 +1347,168 @@ describe("NFTLaunchpad", function () {
         });
 
         it("Should verify correct allowlist membership", async function () {
-            const isAllowlisted = await nftContract.isAllowlisted(addr1.address, merkleProof1);
+            const isAllowlisted = await nftContract.isAllowlisted(addr1.address, tier1.allowance, tier1.price, merkleProof1);
             expect(isAllowlisted).to.be.true;
         });
 
+        it("Should match the leaf encoding of scripts/merkleTree.js", async function () {
+            const { buildTree } = require("../scripts/merkleTree");
+            const entries = [tier1, tier2].map((tier) => ({ ...tier, price: tier.price.toString() }));
+
+            expect(buildTree(entries).getHexRoot()).to.equal(merkleTree.getHexRoot());
+        });
+
+        it("Should accept the proofs written for the frontend, keyed by lower-case address", async function () {
+            const { buildProofs } = require("../scripts/merkleTree");
+            const entries = [tier1, tier2].map((tier) => ({
+                ...tier,
+                address: tier.address.toLowerCase(),
+                price: tier.price.toString()
+            }));
+            const { root, proofs } = buildProofs(entries);
+            expect(root).to.equal(merkleTree.getHexRoot());
+
+            const entry = proofs[addr1.address.toLowerCase()];
+            expect(entry.address).to.equal(addr1.address);
+            expect(await nftContract.isAllowlisted(entry.address, entry.allowance, entry.price, entry.proof)).to.be.true;
+            expect(proofs[addr3.address.toLowerCase()]).to.be.undefined;
+        });
+
         it("Should reject invalid allowlist membership", async function () {
-            const isAllowlisted = await nftContract.isAllowlisted(addr3.address, merkleProof1);
+            const isAllowlisted = await nftContract.isAllowlisted(addr3.address, tier1.allowance, tier1.price, merkleProof1);
             expect(isAllowlisted).to.be.false;
         });
     });
 
+    describe("Roles", function () {
+        let SALE_MANAGER, METADATA_MANAGER, TREASURER, PAUSER, ADMIN;
+
+        beforeEach(async function () {
+            [SALE_MANAGER, METADATA_MANAGER, TREASURER, PAUSER, ADMIN] = await Promise.all([
+                nftContract.SALE_MANAGER_ROLE(),
+                nftContract.METADATA_MANAGER_ROLE(),
+                nftContract.TREASURER_ROLE(),
+                nftContract.PAUSER_ROLE(),
+                nftContract.DEFAULT_ADMIN_ROLE()
+            ]);
+        });
+
+        it("Should give the deployer every role", async function () {
+            for (const role of [SALE_MANAGER, METADATA_MANAGER, TREASURER, PAUSER, ADMIN]) {
+                expect(await nftContract.hasRole(role, owner.address)).to.equal(true);
+            }
+            expect(await nftContract.owner()).to.equal(owner.address);
+        });
+
+        it("Should limit each role to its own functions", async function () {
+            await nftContract.grantRole(SALE_MANAGER, addr1.address);
+            await nftContract.grantRole(TREASURER, addr2.address);
+
+            await nftContract.connect(addr1).setPhase(2);
+            await nftContract.connect(addr1).setPublicPrice(PUBLIC_PRICE);
+            await nftContract.connect(addr1).setMerkleRoot(merkleRoot);
+            await expect(
+                nftContract.connect(addr1).withdraw()
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount")
+                .withArgs(addr1.address, TREASURER);
+
+            await nftContract.connect(addr3).publicMint(1, { value: PUBLIC_PRICE });
+            await expect(nftContract.connect(addr2).withdraw()).to.changeEtherBalance(owner, PUBLIC_PRICE);
+            await expect(
+                nftContract.connect(addr2).setPhase(0)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount")
+                .withArgs(addr2.address, SALE_MANAGER);
+        });
+
+        it("Should give metadata and pause functions to their managers", async function () {
+            await nftContract.grantRole(METADATA_MANAGER, addr1.address);
+            await nftContract.grantRole(PAUSER, addr2.address);
+
+            await nftContract.connect(addr1).setBaseURI(BASE_URI);
+            await nftContract.connect(addr1).commitStartingIndex();
+            await mine();
+            await nftContract.connect(addr2).finalizeStartingIndex();
+            await nftContract.connect(addr1).revealCollection();
+            await nftContract.connect(addr2).setPaused(true);
+            expect(await nftContract.paused()).to.equal(true);
+
+            await expect(
+                nftContract.connect(addr2).setBaseURI(BASE_URI)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+            await expect(
+                nftContract.connect(addr1).setPaused(false)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should emit events when roles are granted and revoked", async function () {
+            await expect(nftContract.grantRole(PAUSER, addr1.address))
+                .to.emit(nftContract, "RoleGranted")
+                .withArgs(PAUSER, addr1.address, owner.address);
+            await expect(nftContract.revokeRole(PAUSER, addr1.address))
+                .to.emit(nftContract, "RoleRevoked")
+                .withArgs(PAUSER, addr1.address, owner.address);
+
+            expect(await nftContract.hasRole(PAUSER, addr1.address)).to.equal(false);
+        });
+
+        it("Should only allow the admin to grant roles", async function () {
+            await nftContract.grantRole(SALE_MANAGER, addr1.address);
+
+            await expect(
+                nftContract.connect(addr1).grantRole(SALE_MANAGER, addr2.address)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount")
+                .withArgs(addr1.address, ADMIN);
+        });
+
+        it("Should transfer the admin role in two steps", async function () {
+            await expect(nftContract.beginAdminTransfer(addr1.address))
+                .to.emit(nftContract, "AdminTransferStarted")
+                .withArgs(owner.address, addr1.address);
+            expect(await nftContract.owner()).to.equal(owner.address);
+
+            await expect(
+                nftContract.connect(addr2).acceptAdminTransfer()
+            ).to.be.revertedWithCustomError(nftContract, "NotPendingAdmin");
+
+            await nftContract.connect(addr1).acceptAdminTransfer();
+            expect(await nftContract.owner()).to.equal(addr1.address);
+            expect(await nftContract.pendingAdmin()).to.equal(ethers.ZeroAddress);
+            expect(await nftContract.hasRole(ADMIN, owner.address)).to.equal(false);
+            expect(await nftContract.hasRole(ADMIN, addr1.address)).to.equal(true);
+
+            // Operational roles stay with their holders until the new admin revokes them
+            for (const role of [SALE_MANAGER, METADATA_MANAGER, TREASURER, PAUSER]) {
+                expect(await nftContract.hasRole(role, owner.address)).to.equal(true);
+                await nftContract.connect(addr1).revokeRole(role, owner.address);
+                expect(await nftContract.hasRole(role, owner.address)).to.equal(false);
+            }
+            await expect(
+                nftContract.grantRole(TREASURER, owner.address)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should cancel a pending admin transfer", async function () {
+            await nftContract.beginAdminTransfer(addr1.address);
+            await nftContract.beginAdminTransfer(ethers.ZeroAddress);
+
+            await expect(
+                nftContract.connect(addr1).acceptAdminTransfer()
+            ).to.be.revertedWithCustomError(nftContract, "NotPendingAdmin");
+        });
+
+        it("Should not grant the admin role directly", async function () {
+            await expect(
+                nftContract.grantRole(ADMIN, addr1.address)
+            ).to.be.revertedWithCustomError(nftContract, "AdminRoleTaken");
+        });
+
+        it("Should reject admin transfers started by others", async function () {
+            await expect(
+                nftContract.connect(addr1).beginAdminTransfer(addr1.address)
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+        });
+    });
+
     describe("Contract Details", function () {
         it("Should return correct contract details", async function () {
             await nftContract.setPhase(2);
@@ -459,7 +1534,7 @@ describe("NFTLaunchpad", function () {
         it("Should only allow owner to update max mints", async function () {
             await expect(
                 nftContract.connect(addr1).setMaxMintsPerTransaction(20)
-            ).to.be.revertedWithCustomError(nftContract, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
         });
     });
 });
\ No newline at end of file
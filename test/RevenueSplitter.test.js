@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("RevenueSplitter", function () {
+    let splitter, owner, artist, dev, community, buyer;
+
+    const ARTIST_SHARES = 5000;
+    const DEV_SHARES = 3000;
+    const COMMUNITY_SHARES = 2000;
+
+    beforeEach(async function () {
+        [owner, artist, dev, community, buyer] = await ethers.getSigners();
+
+        const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+        splitter = await RevenueSplitter.deploy(
+            [artist.address, dev.address, community.address],
+            [ARTIST_SHARES, DEV_SHARES, COMMUNITY_SHARES]
+        );
+        await splitter.waitForDeployment();
+    });
+
+    describe("Deployment", function () {
+        it("Should register payees and shares", async function () {
+            expect(await splitter.payees()).to.deep.equal([artist.address, dev.address, community.address]);
+            expect(await splitter.shares(dev.address)).to.equal(DEV_SHARES);
+        });
+
+        it("Should require shares to add up to 100%", async function () {
+            const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+
+            await expect(
+                RevenueSplitter.deploy([artist.address, dev.address], [5000, 4000])
+            ).to.be.revertedWithCustomError(splitter, "InvalidPayees");
+        });
+
+        it("Should reject duplicate and zero payees", async function () {
+            const RevenueSplitter = await ethers.getContractFactory("RevenueSplitter");
+
+            await expect(
+                RevenueSplitter.deploy([artist.address, artist.address], [5000, 5000])
+            ).to.be.revertedWithCustomError(splitter, "DuplicatePayee");
+            await expect(
+                RevenueSplitter.deploy([artist.address, ethers.ZeroAddress], [5000, 5000])
+            ).to.be.revertedWithCustomError(splitter, "ZeroAddress");
+        });
+    });
+
+    describe("ETH", function () {
+        const AMOUNT = ethers.parseEther("10");
+
+        beforeEach(async function () {
+            await expect(buyer.sendTransaction({ to: splitter.target, value: AMOUNT }))
+                .to.emit(splitter, "PaymentReceived")
+                .withArgs(buyer.address, AMOUNT);
+        });
+
+        it("Should release each payee's share", async function () {
+            await expect(splitter.release(artist.address))
+                .to.emit(splitter, "PaymentReleased")
+                .withArgs(artist.address, ethers.parseEther("5"));
+            await expect(splitter.release(community.address))
+                .to.changeEtherBalance(community, ethers.parseEther("2"));
+
+            expect(await splitter.releasable(dev.address)).to.equal(ethers.parseEther("3"));
+            expect(await splitter.totalReleased()).to.equal(ethers.parseEther("7"));
+        });
+
+        it("Should account for payments received after a release", async function () {
+            await splitter.release(artist.address);
+            await expect(splitter.release(artist.address)).to.be.revertedWithCustomError(splitter, "NothingToRelease");
+
+            await buyer.sendTransaction({ to: splitter.target, value: AMOUNT });
+
+            expect(await splitter.releasable(artist.address)).to.equal(ethers.parseEther("5"));
+            expect(await splitter.releasable(dev.address)).to.equal(ethers.parseEther("6"));
+        });
+
+        it("Should reject accounts without shares", async function () {
+            await expect(splitter.release(buyer.address)).to.be.revertedWithCustomError(splitter, "NotPayee");
+        });
+    });
+
+    describe("ERC-20", function () {
+        it("Should release token payments by share", async function () {
+            const TestToken = await ethers.getContractFactory("TestToken");
+            const token = await TestToken.deploy();
+            await token.mint(splitter.target, 1000);
+
+            await expect(splitter["release(address,address)"](token.target, dev.address))
+                .to.emit(splitter, "ERC20PaymentReleased")
+                .withArgs(token.target, dev.address, 300);
+
+            expect(await token.balanceOf(dev.address)).to.equal(300);
+            expect(await splitter["releasable(address,address)"](token.target, artist.address)).to.equal(500);
+        });
+    });
+
+    describe("NFTLaunchpad integration", function () {
+        let nftContract;
+        const PRICE = ethers.parseEther("1");
+
+        beforeEach(async function () {
+            const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+            nftContract = await NFTLaunchpad.deploy(
+                "Test NFT", "TNFT", 100, PRICE, PRICE, "ipfs://unrevealed/", splitter.target, 500
+            );
+            await nftContract.waitForDeployment();
+        });
+
+        it("Should split primary sale proceeds", async function () {
+            await expect(nftContract.setPayoutRecipient(splitter.target))
+                .to.emit(nftContract, "PayoutRecipientUpdated")
+                .withArgs(splitter.target);
+
+            await nftContract.setPhase(2);
+            await nftContract.connect(buyer).publicMint(2, { value: PRICE * 2n });
+
+            await expect(nftContract.withdraw()).to.changeEtherBalance(splitter, PRICE * 2n);
+            expect(await splitter.releasable(artist.address)).to.equal(PRICE);
+        });
+
+        it("Should receive royalties", async function () {
+            const salePrice = ethers.parseEther("2");
+            const [receiver, royalty] = await nftContract.royaltyInfo(1, salePrice);
+            expect(receiver).to.equal(splitter.target);
+
+            // A marketplace paying the royalty on a secondary sale
+            await buyer.sendTransaction({ to: receiver, value: royalty });
+            expect(await splitter.releasable(community.address)).to.equal(royalty / 5n);
+        });
+    });
+});
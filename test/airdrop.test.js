@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadRecipients, planBatches, runAirdrop } = require("../scripts/airdrop");
+
+describe("airdrop", function () {
+    let nftContract, owner, addr1, addr2, addr3, workDir, csvPath, progressFile;
+
+    const writeCSV = (rows) =>
+        fs.writeFileSync(csvPath, ["address,quantity", ...rows.map((row) => row.join(","))].join("\n"));
+
+    beforeEach(async function () {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-airdrop-"));
+        csvPath = path.join(workDir, "airdrop.csv");
+        progressFile = path.join(workDir, "progress.json");
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", 100, 0, 0, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+        await nftContract.setTeamReserve(20);
+    });
+
+    afterEach(function () {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should validate recipients", function () {
+        writeCSV([[addr1.address, 2], ["0x1234", 1]]);
+        expect(() => loadRecipients(csvPath)).to.throw('Line 3: invalid address "0x1234"');
+
+        writeCSV([[addr1.address, 0]]);
+        expect(() => loadRecipients(csvPath)).to.throw("Line 2: invalid quantity");
+
+        writeCSV([[addr1.address, 1], [addr2.address, 1], [addr1.address.toLowerCase(), 2]]);
+        expect(() => loadRecipients(csvPath)).to.throw(`Line 4: ${addr1.address} is already on line 2`);
+    });
+
+    it("Should batch by token count", function () {
+        const recipients = [3, 2, 4, 1, 7].map((quantity, i) => ({ line: i + 2, address: addr1.address, quantity }));
+
+        expect(planBatches(recipients, 5).map((batch) => batch.map((r) => r.quantity))).to.deep.equal([
+            [3, 2], [4, 1], [7],
+        ]);
+    });
+
+    it("Should airdrop every recipient", async function () {
+        writeCSV([[addr1.address, 2], [addr2.address.toLowerCase(), 3], [addr3.address, 1]]);
+
+        const progress = await runAirdrop({
+            contract: nftContract,
+            recipients: loadRecipients(csvPath),
+            progressFile,
+            maxTokensPerBatch: 5,
+            log: () => {},
+        });
+
+        expect(progress.transactions).to.have.length(2);
+        expect(await nftContract.balanceOf(addr2.address)).to.equal(3);
+        expect(await nftContract.teamMinted()).to.equal(6);
+    });
+
+    it("Should split batches that exceed the gas limit", async function () {
+        writeCSV([[addr1.address, 1], [addr2.address, 1], [addr3.address, 1]]);
+        const recipients = loadRecipients(csvPath);
+        const single = await nftContract.airdrop.estimateGas([addr1.address], [1]);
+
+        const progress = await runAirdrop({
+            contract: nftContract,
+            recipients,
+            progressFile,
+            gasLimit: single + 10000n,
+            log: () => {},
+        });
+
+        expect(progress.transactions).to.have.length(3);
+        expect(await nftContract.totalSupply()).to.equal(3);
+    });
+
+    it("Should resume after a failed batch", async function () {
+        await nftContract.setTeamReserve(5);
+        writeCSV([[addr1.address, 2], [addr2.address, 2], [addr3.address, 3]]);
+        const recipients = loadRecipients(csvPath);
+        const options = { contract: nftContract, recipients, progressFile, maxTokensPerBatch: 2, log: () => {} };
+
+        let failure;
+        await runAirdrop(options).catch((error) => (failure = error));
+        expect(failure.message).to.contain("Batch lines 4-4 failed");
+
+        // The failing batch was rejected by the gas estimate, so nothing was sent
+        const saved = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+        expect(saved.completed).to.deep.equal([addr1.address, addr2.address]);
+        expect(saved.pending).to.equal(null);
+
+        // Recipients are matched by address, so rows may move between runs
+        writeCSV([[owner.address, 1], [addr3.address, 3], [addr1.address, 2], [addr2.address, 2]]);
+        await nftContract.setTeamReserve(8);
+        await runAirdrop({ ...options, recipients: loadRecipients(csvPath) });
+
+        expect(await nftContract.balanceOf(addr1.address)).to.equal(2);
+        expect(await nftContract.balanceOf(addr3.address)).to.equal(3);
+        expect(await nftContract.balanceOf(owner.address)).to.equal(1);
+        expect(await nftContract.teamMinted()).to.equal(8);
+    });
+
+    it("Should settle a sent batch whose confirmation failed", async function () {
+        writeCSV([[addr1.address, 2], [addr2.address, 2], [addr3.address, 3]]);
+        const recipients = loadRecipients(csvPath);
+        const options = { recipients, progressFile, maxTokensPerBatch: 2, log: () => {} };
+
+        // The transaction is mined, but waiting for it fails, e.g. on a dropped RPC connection
+        let sent;
+        const airdrop = async (...args) => {
+            sent = await nftContract.airdrop(...args);
+            return { hash: sent.hash, wait: () => Promise.reject(new Error("connection lost")) };
+        };
+        airdrop.estimateGas = (...args) => nftContract.airdrop.estimateGas(...args);
+        const flaky = { getAddress: () => nftContract.getAddress(), runner: nftContract.runner, airdrop };
+
+        let failure;
+        await runAirdrop({ ...options, contract: flaky }).catch((error) => (failure = error));
+        expect(failure.message).to.contain("Batch lines 2-2 failed: connection lost");
+
+        const saved = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+        expect(saved.completed).to.deep.equal([]);
+        expect(saved.pending).to.deep.equal({ hash: sent.hash, addresses: [addr1.address] });
+
+        const logs = [];
+        const progress = await runAirdrop({ ...options, contract: nftContract, log: (line) => logs.push(line) });
+
+        expect(logs).to.include(`Pending batch ${sent.hash} was confirmed`);
+        expect(progress.transactions[0]).to.deep.equal({ hash: sent.hash, addresses: [addr1.address] });
+        expect(await nftContract.balanceOf(addr1.address)).to.equal(2);
+        expect(await nftContract.teamMinted()).to.equal(7);
+    });
+
+    it("Should refuse progress from another contract", async function () {
+        fs.writeFileSync(progressFile, JSON.stringify({ contract: addr1.address, completed: [] }));
+
+        let failure;
+        await runAirdrop({ contract: nftContract, recipients: [], progressFile }).catch((error) => (failure = error));
+        expect(failure.message).to.contain(`belongs to ${addr1.address}`);
+    });
+});
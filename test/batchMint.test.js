@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Run with `npm run gas-report` to compare mint costs by quantity
+describe("Batch minting", function () {
+    const PRICE = ethers.parseEther("0.01");
+    let nftContract, owner, addr1, addr2, addr3;
+
+    const mint = (signer, quantity) =>
+        nftContract.connect(signer).publicMint(quantity, { value: PRICE * BigInt(quantity) });
+
+    beforeEach(async function () {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", 1000, PRICE, PRICE, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+        await nftContract.setPhase(2);
+    });
+
+    it("Should resolve owners across batches", async function () {
+        await mint(addr1, 3);
+        await mint(addr2, 10);
+        await mint(addr1, 1);
+
+        for (let tokenId = 1; tokenId <= 3; tokenId++) {
+            expect(await nftContract.ownerOf(tokenId)).to.equal(addr1.address);
+        }
+        for (let tokenId = 4; tokenId <= 13; tokenId++) {
+            expect(await nftContract.ownerOf(tokenId)).to.equal(addr2.address);
+        }
+        expect(await nftContract.ownerOf(14)).to.equal(addr1.address);
+        expect(await nftContract.balanceOf(addr1.address)).to.equal(4);
+        expect(await nftContract.balanceOf(addr2.address)).to.equal(10);
+        expect(await nftContract.totalSupply()).to.equal(14);
+    });
+
+    it("Should transfer a token from the middle of a batch", async function () {
+        await mint(addr1, 10);
+
+        await nftContract.connect(addr1).transferFrom(addr1.address, addr2.address, 5);
+
+        expect(await nftContract.ownerOf(4)).to.equal(addr1.address);
+        expect(await nftContract.ownerOf(5)).to.equal(addr2.address);
+        expect(await nftContract.ownerOf(6)).to.equal(addr1.address);
+        expect(await nftContract.ownerOf(10)).to.equal(addr1.address);
+        expect(await nftContract.balanceOf(addr1.address)).to.equal(9);
+        expect(await nftContract.balanceOf(addr2.address)).to.equal(1);
+
+        await nftContract.connect(addr2).transferFrom(addr2.address, addr3.address, 5);
+        await nftContract.connect(addr1).transferFrom(addr1.address, addr3.address, 10);
+        expect(await nftContract.ownerOf(5)).to.equal(addr3.address);
+        expect(await nftContract.ownerOf(9)).to.equal(addr1.address);
+        expect(await nftContract.balanceOf(addr3.address)).to.equal(2);
+    });
+
+    it("Should emit a Transfer event per token", async function () {
+        const tx = mint(addr1, 3);
+
+        for (let tokenId = 1; tokenId <= 3; tokenId++) {
+            await expect(tx)
+                .to.emit(nftContract, "Transfer")
+                .withArgs(ethers.ZeroAddress, addr1.address, tokenId);
+        }
+    });
+
+    it("Should keep a 10-token mint close to the cost of a single mint", async function () {
+        // Warm up the collection-wide counters so both mints pay the same fixed costs
+        await mint(owner, 1);
+
+        const single = (await (await mint(addr1, 1)).wait()).gasUsed;
+        const batch = (await (await mint(addr2, 10)).wait()).gasUsed;
+
+        expect(batch).to.be.lessThan(single * 2n);
+    });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    createRandom,
+    loadLayers,
+    pickWeighted,
+    countCombinations,
+    generateUniqueSelection,
+    generateSVG,
+    buildAttributes,
+} = require("../scripts/generateMetadata");
+
+describe("generateMetadata", function () {
+    const ROOT = path.join(__dirname, "..");
+    let collection;
+
+    // Generate tokens the way the script does, in token order
+    const generate = (layers, seed, count) => {
+        const random = createRandom(seed);
+        const usedDNA = new Set();
+        return Array.from({ length: count }, () => generateUniqueSelection(layers, usedDNA, random));
+    };
+
+    const sequence = (seed, length) => Array.from({ length }, createRandom(seed));
+
+    before(function () {
+        collection = loadLayers(path.join(ROOT, "layers/config.json"));
+    });
+
+    it("Should produce the same random sequence for the same seed", function () {
+        expect(sequence("launchpad", 50)).to.deep.equal(sequence("launchpad", 50));
+        expect(sequence("launchpad", 50)).to.not.deep.equal(sequence("launchpad2", 50));
+
+        for (const value of sequence(42, 1000)) {
+            expect(value).to.be.at.least(0).and.lessThan(1);
+        }
+    });
+
+    it("Should generate the same collection for the same seed", function () {
+        const dnas = (seed) => generate(collection.layers, seed, 100).map(({ dna }) => dna);
+
+        expect(dnas("repeat")).to.deep.equal(dnas("repeat"));
+        expect(dnas("repeat")).to.not.deep.equal(dnas("other"));
+    });
+
+    it("Should reproduce the sample files from their seed", function () {
+        // assets/ and metadata/ were generated with --count 10 --seed launchpad
+        generate(collection.layers, "launchpad", 10).forEach(({ selection, dna }, i) => {
+            const id = i + 1;
+            const metadata = JSON.parse(fs.readFileSync(path.join(ROOT, "metadata", `${id}.json`), "utf8"));
+
+            expect(metadata.dna).to.equal(dna);
+            expect(metadata.attributes).to.deep.equal(buildAttributes(collection.layers, selection));
+            expect(generateSVG(collection, selection)).to.equal(
+                fs.readFileSync(path.join(ROOT, "assets", `${id}.svg`), "utf8")
+            );
+        });
+    });
+
+    it("Should never repeat a trait combination", function () {
+        const tokens = generate(collection.layers, "unique", 500);
+        const combinations = tokens.map(({ selection }) => selection.map((trait) => trait.name).join("|"));
+
+        expect(new Set(tokens.map(({ dna }) => dna)).size).to.equal(500);
+        expect(new Set(combinations).size).to.equal(500);
+    });
+
+    it("Should use up every combination and then give up", function () {
+        const trait = (name, weight) => ({ name, weight, svg: "" });
+        const layers = [
+            { name: "Color", traits: [trait("Red", 1), trait("Blue", 1)] },
+            { name: "Shape", traits: [trait("Circle", 1), trait("Square", 99)] },
+        ];
+        expect(countCombinations(layers)).to.equal(4);
+
+        const random = createRandom("exhaust");
+        const usedDNA = new Set();
+        for (let i = 0; i < 4; i++) {
+            generateUniqueSelection(layers, usedDNA, random);
+        }
+        expect(usedDNA.size).to.equal(4);
+        expect(() => generateUniqueSelection(layers, usedDNA, random)).to.throw("Could not find a unique trait combination");
+    });
+
+    it("Should pick traits in proportion to their weights", function () {
+        const traits = [{ name: "Common", weight: 60 }, { name: "Uncommon", weight: 30 }, { name: "Rare", weight: 10 }];
+        const random = createRandom("weights");
+        const rolls = 20000;
+        const counts = { Common: 0, Uncommon: 0, Rare: 0 };
+        for (let i = 0; i < rolls; i++) {
+            counts[pickWeighted(traits, random).name]++;
+        }
+
+        for (const { name, weight } of traits) {
+            expect(counts[name] / rolls).to.be.closeTo(weight / 100, 0.015);
+        }
+    });
+
+    it("Should reject traits without a positive weight", function () {
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-layers-"));
+        const configPath = path.join(workDir, "config.json");
+        fs.writeFileSync(configPath, JSON.stringify({
+            layers: [{ name: "Background", traits: [{ name: "Plain", weight: 1 }, { name: "Never", weight: 0 }] }],
+        }));
+
+        expect(() => loadLayers(configPath)).to.throw('Trait "Background/Never" needs a positive weight');
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,269 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildTree, hashLeaf } = require("../scripts/merkleTree");
+const { loadRecipients } = require("../scripts/airdrop");
+const {
+    openDatabase,
+    lastIndexedBlock,
+    createIndexer,
+    mintsByPhase,
+    revenueOverTime,
+    uniqueMinters,
+    holderSnapshot,
+    topHolders,
+    snapshotToCSV,
+    indexerStatus,
+    startIndexerApi,
+} = require("../scripts/indexer");
+
+describe("indexer", function () {
+    const PRICE = ethers.parseEther("0.05");
+    const PUBLIC_PRICE = PRICE * 2n;
+    let nftContract, owner, addr1, addr2, addr3, workDir, db;
+
+    const index = (options = {}) => createIndexer({
+        db,
+        provider: ethers.provider,
+        address: nftContract.target,
+        confirmations: 0,
+        log: () => {},
+        ...options,
+    });
+
+    const publicMint = (signer, quantity) => nftContract.connect(signer).publicMint(quantity, { value: PUBLIC_PRICE * BigInt(quantity) });
+
+    // addr1 mints 1-2 on the allowlist and 6 in public, addr2 mints 3-5 and sends 3 to addr1, addr3 gets 7 airdropped
+    const runSale = async () => {
+        const entry = { address: addr1.address, allowance: 2, price: PRICE.toString() };
+        const tree = buildTree([entry]);
+        await nftContract.setTeamReserve(5);
+        await nftContract.setMerkleRoot(tree.getHexRoot());
+        await nftContract.setPhase(1);
+        await nftContract.connect(addr1).allowlistMint(tree.getHexProof(hashLeaf(entry)), 2, PRICE, 2, { value: PRICE * 2n });
+
+        await nftContract.setPhase(2);
+        await publicMint(addr2, 3);
+        await publicMint(addr1, 1);
+        await nftContract.airdrop([addr3.address], [1]);
+        await nftContract.connect(addr2).transferFrom(addr2.address, addr1.address, 3);
+        await nftContract.withdraw();
+    };
+
+    beforeEach(async function () {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", 100, PRICE, PUBLIC_PRICE, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-indexer-"));
+        db = openDatabase(path.join(workDir, "indexer.sqlite"), { address: nftContract.target });
+    });
+
+    afterEach(function () {
+        if (db.open) db.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should index mints per phase, minters, holders and sale events", async function () {
+        await runSale();
+        expect(await index().sync()).to.equal(await ethers.provider.getBlockNumber());
+
+        expect(mintsByPhase(db)).to.deep.equal([
+            { phase: "allowlist", stageId: null, transactions: 1, tokens: 2, revenue: (PRICE * 2n).toString() },
+            { phase: "public", stageId: null, transactions: 2, tokens: 4, revenue: (PUBLIC_PRICE * 4n).toString() },
+            { phase: "airdrop", stageId: null, transactions: 1, tokens: 1, revenue: "0" },
+        ]);
+        expect(uniqueMinters(db)).to.deep.equal({ total: 2, byPhase: { allowlist: 1, public: 2 } });
+        expect(topHolders(db, 2)).to.deep.equal([
+            { address: addr1.address, tokens: 4 },
+            { address: addr2.address, tokens: 2 },
+        ]);
+        expect(holderSnapshot(db)[0].tokenIds).to.deep.equal([1, 2, 3, 6]);
+        expect(indexerStatus(db)).to.deep.include({
+            contract: nftContract.target,
+            phase: "public",
+            revealed: false,
+            revealedThrough: 0,
+            withdrawn: (PRICE * 2n + PUBLIC_PRICE * 4n).toString(),
+        });
+    });
+
+    it("Should report staged reveals", async function () {
+        await runSale();
+        await nftContract.setBaseURI("ipfs://revealed/");
+        await nftContract.commitStartingIndex();
+        await mine();
+        await nftContract.finalizeStartingIndex();
+        await nftContract.revealThrough(1);
+        await nftContract.revealThrough(5);
+        await index().sync();
+
+        expect(indexerStatus(db)).to.deep.include({ revealed: false, revealedThrough: 5 });
+
+        await nftContract.revealCollection();
+        await index().sync();
+        expect(indexerStatus(db)).to.deep.include({ revealed: true, revealedThrough: 5 });
+    });
+
+    it("Should only index confirmed blocks and resume from the last one", async function () {
+        await runSale();
+        const head = await ethers.provider.getBlockNumber();
+
+        // The transfer and the withdrawal are the last two blocks
+        expect(await index({ confirmations: 2 }).sync()).to.equal(head - 2);
+        expect(holderSnapshot(db).find(({ address }) => address === addr1.address).tokenIds).to.deep.equal([1, 2, 6]);
+        expect(indexerStatus(db).withdrawn).to.equal("0");
+
+        db.close();
+        db = openDatabase(path.join(workDir, "indexer.sqlite"), { address: nftContract.target, fromBlock: head });
+        expect(lastIndexedBlock(db)).to.equal(head - 2);
+
+        expect(await index().sync()).to.equal(head);
+        expect(holderSnapshot(db).find(({ address }) => address === addr1.address).tokenIds).to.deep.equal([1, 2, 3, 6]);
+        expect(mintsByPhase(db).map(({ tokens }) => tokens)).to.deep.equal([2, 4, 1]);
+    });
+
+    it("Should read mint prices without historical state, also after refund burns", async function () {
+        await nftContract.setPhase(2);
+        await publicMint(addr1, 2);
+        await publicMint(addr2, 1);
+        await nftContract.cancelSale(3600);
+        await nftContract.connect(addr1).claimRefund([1]);
+        await nftContract.connect(addr2).claimRefund([3]);
+
+        // A node without archive state, which fails calls at past blocks
+        const provider = new Proxy(ethers.provider, {
+            get(target, key) {
+                if (key !== "call") return typeof target[key] === "function" ? target[key].bind(target) : target[key];
+                return async (transaction) => {
+                    if (transaction.blockTag !== undefined && transaction.blockTag !== "latest") throw new Error("missing trie node");
+                    return target.call(transaction);
+                };
+            },
+        });
+        const messages = [];
+        await index({ provider, log: (message) => messages.push(message) }).sync();
+
+        expect(mintsByPhase(db)).to.deep.equal([
+            { phase: "public", stageId: null, transactions: 2, tokens: 3, revenue: (PUBLIC_PRICE * 3n).toString() },
+        ]);
+        // Token 3 was the whole batch, so its price comes from the transaction
+        expect(messages.some((message) => message.startsWith("Tokens #3-3 were all burned"))).to.equal(true);
+    });
+
+    it("Should refuse a database created for another collection", function () {
+        db.close();
+        expect(() => openDatabase(path.join(workDir, "indexer.sqlite"), { address: addr1.address }))
+            .to.throw(`indexes ${nftContract.target}, not ${addr1.address}`);
+    });
+
+    it("Should drop and re-index blocks replaced by a reorg", async function () {
+        await nftContract.setPhase(2);
+        const beforeReorg = await takeSnapshot();
+        await publicMint(addr1, 2);
+        await mine(2);
+
+        const messages = [];
+        const indexer = index({ log: (message) => messages.push(message) });
+        await indexer.sync();
+        expect(uniqueMinters(db).total).to.equal(1);
+
+        // Replace the mint block and the blocks after it with another fork
+        await beforeReorg.restore();
+        await publicMint(addr2, 1);
+        await mine(3);
+        await indexer.sync();
+
+        expect(messages.some((message) => message.startsWith("Reorg detected"))).to.equal(true);
+        expect(mintsByPhase(db)).to.deep.equal([
+            { phase: "public", stageId: null, transactions: 1, tokens: 1, revenue: PUBLIC_PRICE.toString() },
+        ]);
+        expect(topHolders(db)).to.deep.equal([{ address: addr2.address, tokens: 1 }]);
+        expect(lastIndexedBlock(db)).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should report revenue per day or hour", async function () {
+        await nftContract.setPhase(2);
+        await time.setNextBlockTimestamp(Math.ceil((await time.latest()) / 86400) * 86400 + 60);
+        await publicMint(addr1, 1);
+        await time.increase(3600);
+        await publicMint(addr2, 2);
+        await time.increase(86400);
+        await publicMint(addr1, 3);
+        await index().sync();
+
+        expect(revenueOverTime(db).map(({ tokens, revenue }) => [tokens, revenue])).to.deep.equal([
+            [3, (PUBLIC_PRICE * 3n).toString()],
+            [3, (PUBLIC_PRICE * 3n).toString()],
+        ]);
+        const hourly = revenueOverTime(db, "hour");
+        expect(hourly.map(({ tokens }) => tokens)).to.deep.equal([1, 2, 3]);
+        expect(new Date(hourly[0].start).getTime() % 3600000).to.equal(0);
+        expect(() => revenueOverTime(db, "week")).to.throw('Unknown interval "week"');
+    });
+
+    it("Should take holder snapshots at past blocks as airdrop CSV", async function () {
+        await runSale();
+        await index().sync();
+        const [transfer] = db.prepare("SELECT block_number FROM transfers WHERE from_address = ?").pluck().all(addr2.address);
+
+        // Holders with as many tokens are ordered by address
+        const before = holderSnapshot(db, transfer - 1);
+        expect(before.map(({ address, tokens }) => [address, tokens])).to.deep.equal([
+            [addr2.address, 3],
+            [addr1.address, 3],
+            [addr3.address, 1],
+        ]);
+
+        const csvPath = path.join(workDir, "holders.csv");
+        fs.writeFileSync(csvPath, snapshotToCSV(holderSnapshot(db)));
+        expect(loadRecipients(csvPath).map(({ address, quantity }) => [address, quantity])).to.deep.equal([
+            [addr1.address, 4],
+            [addr2.address, 2],
+            [addr3.address, 1],
+        ]);
+    });
+
+    describe("API", function () {
+        let api;
+
+        beforeEach(async function () {
+            await runSale();
+            await index().sync();
+            api = await startIndexerApi(db, 0);
+        });
+
+        afterEach(function () {
+            api.server.close();
+        });
+
+        it("Should serve the analytics as JSON", async function () {
+            const get = async (route) => (await fetch(`${api.url}${route}`)).json();
+
+            expect((await get("/api/status")).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(await get("/api/mints")).to.deep.equal(mintsByPhase(db));
+            expect(await get("/api/revenue?interval=hour")).to.deep.equal(revenueOverTime(db, "hour"));
+            expect(await get("/api/minters")).to.deep.equal({ total: 2, byPhase: { allowlist: 1, public: 2 } });
+            expect(await get("/api/holders?limit=1")).to.deep.equal([{ address: addr1.address, tokens: 4 }]);
+            expect((await get("/api/snapshot")).holders).to.deep.equal(holderSnapshot(db));
+        });
+
+        it("Should export snapshots as CSV and reject bad requests", async function () {
+            const response = await fetch(`${api.url}/api/snapshot?block=${lastIndexedBlock(db)}&format=csv`);
+            expect(response.headers.get("content-type")).to.equal("text/csv");
+            expect(await response.text()).to.equal(snapshotToCSV(holderSnapshot(db)));
+
+            expect((await fetch(`${api.url}/api/snapshot?block=${lastIndexedBlock(db) + 1}`)).status).to.equal(400);
+            expect((await fetch(`${api.url}/api/revenue?interval=week`)).status).to.equal(400);
+            expect((await fetch(`${api.url}/api/holders?limit=0`)).status).to.equal(400);
+            expect((await fetch(`${api.url}/api/unknown`)).status).to.equal(404);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    mergeAllowlists,
+    loadAllowlist,
+    generateMerkleRoot,
+    pushMerkleRoot,
+    verifyProofs
+} = require("../scripts/merkleTree");
+
+describe("merkleTree", function () {
+    const DEFAULTS = { allowance: 1, price: "0.05" };
+    let nftContract, owner, addr1, addr2, addr3, workDir;
+
+    const writeFile = (name, content) => {
+        const filePath = path.join(workDir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(async function () {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-merkle-"));
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", 100, 0, 0, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+    });
+
+    afterEach(function () {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should checksum addresses and report invalid rows", function () {
+        // Mixed case with one letter flipped fails the EIP-55 checksum
+        const badChecksum = addr2.address.replace(/[A-F]/, (letter) => letter.toLowerCase());
+        const csv = writeFile("allowlist.csv", [
+            "address,allowance,price",
+            `${addr1.address.toLowerCase()},3,0.03`,
+            "0x1234,1,0.05",
+            `${addr3.address},0,0.05`,
+            `${addr3.address},2,cheap`,
+            `${badChecksum},,`
+        ].join("\n"));
+
+        const { entries, invalid } = mergeAllowlists([csv], DEFAULTS);
+        expect(entries).to.deep.equal([
+            { address: addr1.address, allowance: 3, price: ethers.parseEther("0.03").toString() }
+        ]);
+        expect(invalid.map((row) => row.location)).to.deep.equal([
+            "allowlist.csv:3", "allowlist.csv:4", "allowlist.csv:5", "allowlist.csv:6"
+        ]);
+        expect(invalid[0].reason).to.equal('invalid address "0x1234"');
+        expect(invalid[1].reason).to.equal('invalid allowance "0"');
+        expect(invalid[2].reason).to.equal('invalid price "cheap"');
+
+        expect(() => loadAllowlist(csv, DEFAULTS)).to.throw("allowlist.csv:3: invalid address");
+    });
+
+    it("Should merge CSV and JSON sources and dedupe addresses in any casing", function () {
+        const csv = writeFile("og.csv", `address,allowance,price\n${addr1.address},5,0.03\n`);
+        const json = writeFile("wl.json", JSON.stringify([
+            addr1.address.toLowerCase(),
+            { address: addr2.address, allowance: 2 },
+            { address: addr2.address.toUpperCase().replace("0X", "0x"), allowance: 2 }
+        ]));
+
+        const { entries, duplicates } = mergeAllowlists([csv, json], DEFAULTS);
+        expect(entries.map((entry) => [entry.address, entry.allowance])).to.deep.equal([
+            [addr1.address, 5], [addr2.address, 2]
+        ]);
+        expect(duplicates).to.deep.equal([
+            { location: "wl.json[0]", address: addr1.address, firstLocation: "og.csv:2", conflict: true },
+            { location: "wl.json[2]", address: addr2.address, firstLocation: "wl.json[1]", conflict: false }
+        ]);
+    });
+
+    it("Should write the roots and a proof for every address", function () {
+        const csv = writeFile("allowlist.csv", `address,allowance,price\n${addr1.address},5,0.03\n${addr2.address},2,0.05\n`);
+        const proofsOut = path.join(workDir, "out/proofs.json");
+
+        const { root, proofs } = generateMerkleRoot({ inputs: [csv], proofsOut, log: () => {} });
+
+        const written = JSON.parse(fs.readFileSync(proofsOut, "utf8"));
+        expect(written.root).to.equal(root);
+        expect(Object.keys(written.proofs)).to.deep.equal([addr1.address.toLowerCase(), addr2.address.toLowerCase()]);
+        expect(written.proofs).to.deep.equal(proofs);
+    });
+
+    it("Should push the root and verify every proof with isAllowlisted", async function () {
+        const csv = writeFile("allowlist.csv", [
+            "address,allowance,price",
+            ...[addr1, addr2, addr3].map((signer, i) => `${signer.address},${i + 1},0.0${i + 1}`)
+        ].join("\n"));
+        const { root, proofs } = generateMerkleRoot({
+            inputs: [csv], proofsOut: path.join(workDir, "proofs.json"), log: () => {}
+        });
+
+        expect(await pushMerkleRoot(nftContract, root, () => {})).to.equal(true);
+        expect(await nftContract.merkleRoot()).to.equal(root);
+        expect(await pushMerkleRoot(nftContract, root, () => {})).to.equal(false);
+
+        expect(await verifyProofs(nftContract, proofs, 2)).to.deep.equal([]);
+
+        const tampered = { ...proofs };
+        const key = addr2.address.toLowerCase();
+        tampered[key] = { ...tampered[key], allowance: 10 };
+        expect(await verifyProofs(nftContract, tampered)).to.deep.equal([addr2.address]);
+    });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const crypto = require("crypto");
+const path = require("path");
+const {
+    loadLayers,
+    createRandom,
+    generateUniqueSelection,
+    generateSVG,
+    buildAttributes,
+    buildOnChainData,
+} = require("../scripts/generateMetadata");
+const { planTraitChunks, validateOnChainData, uploadOnChain } = require("../scripts/uploadOnChain");
+const { verifyOnChain } = require("../scripts/provenance");
+
+describe("On-chain metadata", function () {
+    const COUNT = 6;
+    const PRICE = ethers.parseEther("0.1");
+    let collection, selections, dnas, data, renderer, nftContract, owner, addr1;
+
+    const decodeDataURI = (uri, prefix) => {
+        expect(uri.startsWith(prefix)).to.be.true;
+        return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+    };
+
+    before(function () {
+        collection = loadLayers(path.join(__dirname, "../layers/config.json"));
+        const random = createRandom("onchain");
+        const usedDNA = new Set();
+        selections = [];
+        dnas = [];
+        for (let i = 0; i < COUNT; i++) {
+            const { selection, dna } = generateUniqueSelection(collection.layers, usedDNA, random);
+            selections.push(selection);
+            dnas.push(dna);
+        }
+        data = buildOnChainData(collection, selections, { name: "Test NFT", description: "On-chain test" });
+    });
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        const OnChainRenderer = await ethers.getContractFactory("OnChainRenderer");
+        renderer = await OnChainRenderer.deploy(data.name, data.description, data.width, data.height);
+        await renderer.waitForDeployment();
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", COUNT, PRICE, PRICE, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+    });
+
+    // Commit the next block for the starting index and finalize it once that block is mined
+    const drawStartingIndex = async () => {
+        await nftContract.commitStartingIndex();
+        await mine();
+        await nftContract.finalizeStartingIndex();
+    };
+
+    it("Should encode one trait byte per layer and token", function () {
+        expect(ethers.getBytes(data.tokenTraits)).to.have.length(COUNT * collection.layers.length);
+        expect(data.layers[0].traits[0].svg).to.match(/^ {2}<g id="background">/);
+    });
+
+    it("Should reject strings that would break the JSON", function () {
+        expect(() =>
+            buildOnChainData(collection, selections, { name: 'The "Best"', description: "" })
+        ).to.throw("contains quotes");
+    });
+
+    it("Should reject trait indices outside a layer", function () {
+        const bad = { ...data, tokenTraits: "0x" + "ff".repeat(collection.layers.length) };
+        expect(() => validateOnChainData(bad)).to.throw("does not exist");
+    });
+
+    it("Should split traits into chunks by size", function () {
+        const traits = [{ name: "a", svg: "x".repeat(9) }, { name: "b", svg: "x".repeat(9) }, { name: "c", svg: "" }];
+        expect(planTraitChunks(traits, 15).map((chunk) => chunk.length)).to.deep.equal([1, 2]);
+    });
+
+    it("Should render the generated SVG and metadata", async function () {
+        await uploadOnChain({ renderer, data, chunkSize: 2000, log: () => {} });
+        expect(await renderer.tokenCount()).to.equal(COUNT);
+
+        for (let id = 1; id <= COUNT; id++) {
+            const metadata = JSON.parse(
+                decodeDataURI(await renderer.tokenURI(id), "data:application/json;base64,")
+            );
+            const svg = decodeDataURI(metadata.image, "data:image/svg+xml;base64,");
+
+            expect(metadata.name).to.equal(`Test NFT #${id}`);
+            expect(svg).to.equal(generateSVG(collection, selections[id - 1]));
+            expect(metadata.dna).to.equal(dnas[id - 1]);
+            expect(metadata.attributes).to.deep.equal(buildAttributes(collection.layers, selections[id - 1]));
+        }
+
+        await expect(renderer.tokenURI(COUNT + 1)).to.be.revertedWithCustomError(renderer, "UnknownToken");
+    });
+
+    it("Should resume an interrupted upload", async function () {
+        const partial = { ...data, tokenTraits: ethers.dataSlice(data.tokenTraits, 0, 2 * collection.layers.length) };
+        await uploadOnChain({ renderer, data: partial, log: () => {} });
+        expect(await renderer.tokenCount()).to.equal(2);
+
+        await uploadOnChain({ renderer, data, log: () => {} });
+        expect(await renderer.layerCount()).to.equal(collection.layers.length);
+        expect(await renderer.traitCount(0)).to.equal(collection.layers[0].traits.length);
+        expect(await renderer.tokenCount()).to.equal(COUNT);
+    });
+
+    it("Should freeze the art once locked", async function () {
+        await uploadOnChain({ renderer, data, log: () => {} });
+        await expect(renderer.lock()).to.emit(renderer, "Locked");
+
+        await expect(renderer.addLayer("Extra")).to.be.revertedWithCustomError(renderer, "RendererLocked");
+        await expect(renderer.appendTokenTraits("0x")).to.be.revertedWithCustomError(renderer, "RendererLocked");
+    });
+
+    it("Should not add layers once token traits are stored", async function () {
+        await uploadOnChain({ renderer, data, log: () => {} });
+        const svg = await renderer.tokenSVG(1);
+
+        // Another layer would shift the trait bytes of every token
+        await expect(renderer.addLayer("Extra")).to.be.revertedWithCustomError(renderer, "InvalidLayer");
+        expect(await renderer.tokenSVG(1)).to.equal(svg);
+    });
+
+    it("Should reject stored trait indices outside a layer", async function () {
+        await uploadOnChain({ renderer, data, log: () => {} });
+        const layerCount = collection.layers.length;
+        const lastTraitCount = collection.layers[layerCount - 1].traits.length;
+
+        // One byte past the traits of the last layer
+        const token = new Uint8Array(layerCount);
+        token[layerCount - 1] = lastTraitCount;
+        await expect(renderer.appendTokenTraits(token)).to.be.revertedWithCustomError(renderer, "InvalidTraits");
+        await expect(renderer.appendTokenTraits(token.slice(1))).to.be.revertedWithCustomError(renderer, "InvalidTraits");
+
+        token[layerCount - 1] = lastTraitCount - 1;
+        await expect(renderer.appendTokenTraits(token)).to.emit(renderer, "TokenTraitsAppended").withArgs(COUNT + 1);
+    });
+
+    it("Should only freeze the launchpad metadata on a locked renderer", async function () {
+        await uploadOnChain({ renderer, data, log: () => {} });
+        await nftContract.setRenderer(renderer.target);
+
+        await expect(nftContract.freezeMetadata()).to.be.revertedWithCustomError(nftContract, "RendererNotLocked");
+
+        await renderer.lock();
+        await expect(nftContract.freezeMetadata()).to.emit(nftContract, "MetadataFrozen");
+    });
+
+    it("Should only allow owner to upload", async function () {
+        await expect(
+            renderer.connect(addr1).addLayer("Background")
+        ).to.be.revertedWithCustomError(renderer, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should serve revealed tokens from the renderer", async function () {
+        await uploadOnChain({ renderer, data, log: () => {} });
+        await expect(nftContract.setRenderer(renderer.target))
+            .to.emit(nftContract, "RendererUpdated")
+            .withArgs(renderer.target);
+
+        await nftContract.setPhase(2);
+        await nftContract.connect(addr1).publicMint(2, { value: PRICE * 2n });
+        expect(await nftContract.tokenURI(1)).to.equal("ipfs://unrevealed/");
+
+        await drawStartingIndex();
+        await nftContract.revealCollection();
+        const metadataId = await nftContract.metadataId(2);
+        expect(await nftContract.tokenURI(2)).to.equal(await renderer.tokenURI(metadataId));
+    });
+
+    it("Should verify on-chain art against the provenance record", async function () {
+        const tokens = selections.map((selection) => ({
+            sha256: crypto.createHash("sha256").update(generateSVG(collection, selection)).digest("hex")
+        }));
+        const provenanceHash = `0x${crypto.createHash("sha256").update(tokens.map((t) => t.sha256).join("")).digest("hex")}`;
+
+        await uploadOnChain({ renderer, data, log: () => {} });
+        await nftContract.setRenderer(renderer.target);
+        await nftContract.setProvenanceHash(provenanceHash);
+        await nftContract.setPhase(2);
+        await nftContract.connect(addr1).publicMint(3, { value: PRICE * 3n });
+        await drawStartingIndex();
+        await nftContract.revealCollection();
+
+        expect(await verifyOnChain(nftContract, { provenanceHash, tokens }, () => {})).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMockPinningServer } = require("../scripts/mockPinningServer");
+const { uploadCollection } = require("../scripts/uploadIPFS");
+const { precomputeCollection } = require("../scripts/precomputeCIDs");
+const { buildFileDAG, writeCar, verifyCID } = require("../scripts/utils/unixfs");
+
+describe("precomputeCIDs", function () {
+    // CIDv1, raw leaves: the fixture's folders as IPFS addresses them. Fixed values, so the
+    // check does not depend on utils/unixfs.js, which the mock pinning server also uses.
+    const ASSETS_CID = "bafybeihp5c5sbb24ewyeu3gpacvimz2pgiil6eejwzo6zzfepijj6seo5e";
+    const METADATA_CID = "bafybeigefm7d6lvh3kkcqjzhfl7z3zbvyghkgb3whrlqjjzdfbcgkseb6m";
+
+    let mock, config, workDir, assetsDir, metadataDir;
+
+    before(async function () {
+        mock = await startMockPinningServer(0);
+        config = { apiUrl: mock.url, apiKey: "key", secretApiKey: "secret" };
+    });
+
+    after(function () {
+        mock.server.close();
+    });
+
+    beforeEach(function () {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-car-"));
+        assetsDir = path.join(workDir, "assets");
+        metadataDir = path.join(workDir, "metadata");
+        fs.mkdirSync(assetsDir);
+        fs.mkdirSync(metadataDir);
+
+        for (let i = 1; i <= 3; i++) {
+            fs.writeFileSync(path.join(assetsDir, `${i}.svg`), `<svg>${i}</svg>`);
+            fs.writeFileSync(
+                path.join(metadataDir, `${i}.json`),
+                JSON.stringify({ name: `NFT #${i}`, image: `ipfs://REPLACE_WITH_IMAGE_CID/${i}.svg` }, null, 2)
+            );
+        }
+    });
+
+    afterEach(function () {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should hash a small file as a single raw block", async function () {
+        const { CID } = await import("multiformats/cid");
+        const raw = await import("multiformats/codecs/raw");
+        const { sha256 } = await import("multiformats/hashes/sha2");
+
+        const content = Buffer.from("hello launchpad\n");
+        const { cid } = await buildFileDAG(content);
+
+        expect(cid.toString()).to.equal(CID.create(1, raw.code, await sha256.digest(content)).toString());
+    });
+
+    it("Should compute the CIDs IPFS assigns to the collection", async function () {
+        const { assets, metadata } = await precomputeCollection(assetsDir, metadataDir);
+
+        expect(assets.cid.toString()).to.equal(ASSETS_CID);
+        // The metadata CID covers the image URIs rewritten to the assets CID
+        expect(metadata.cid.toString()).to.equal(METADATA_CID);
+    });
+
+    it("Should predict the CIDs returned by the pinning provider", async function () {
+        const result = await uploadCollection({ assetsDir, metadataDir, config, verify: true, log: () => {} });
+
+        expect(result.imageCID).to.equal(ASSETS_CID);
+        expect(result.metadataCID).to.equal(METADATA_CID);
+    });
+
+    it("Should not modify metadata on disk", async function () {
+        const before = fs.readFileSync(path.join(metadataDir, "1.json"), "utf8");
+        await precomputeCollection(assetsDir, metadataDir);
+
+        expect(fs.readFileSync(path.join(metadataDir, "1.json"), "utf8")).to.equal(before);
+    });
+
+    it("Should write a CAR file rooted at the directory CID", async function () {
+        const { CarReader } = await import("@ipld/car");
+        const { assets } = await precomputeCollection(assetsDir, metadataDir);
+        const carPath = path.join(workDir, "assets.car");
+
+        await writeCar(assets.cid, assets.blocks, carPath);
+
+        const reader = await CarReader.fromBytes(fs.readFileSync(carPath));
+        const roots = await reader.getRoots();
+        expect(roots.map((root) => root.toString())).to.deep.equal([assets.cid.toString()]);
+        expect(await reader.has(assets.cid)).to.be.true;
+
+        let blockCount = 0;
+        for await (const block of reader.blocks()) blockCount += block ? 1 : 0;
+        expect(blockCount).to.equal(assets.blocks.length);
+    });
+
+    it("Should report a CID mismatch", function () {
+        expect(() => verifyCID("assets", "bafyexpected", "bafyactual")).to.throw("assets CID mismatch");
+    });
+});
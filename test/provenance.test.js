@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { computeProvenance, verifyOnChain } = require("../scripts/provenance");
+
+describe("provenance", function () {
+    const SUPPLY = 5;
+    const PRICE = ethers.parseEther("0.1");
+    let nftContract, owner, addr1, assetsDir, provenance;
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        assetsDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-provenance-"));
+        for (let i = 1; i <= SUPPLY; i++) {
+            fs.writeFileSync(path.join(assetsDir, `${i}.svg`), `<svg>${i}</svg>`);
+        }
+        provenance = computeProvenance(assetsDir);
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", SUPPLY, PRICE, PRICE, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+        await nftContract.setProvenanceHash(provenance.provenanceHash);
+        await nftContract.setBaseURI("ipfs://revealed");
+    });
+
+    // Commit the next block for the starting index and finalize it once that block is mined
+    const drawStartingIndex = async () => {
+        await nftContract.commitStartingIndex();
+        await mine();
+        await nftContract.finalizeStartingIndex();
+    };
+
+    afterEach(function () {
+        fs.rmSync(assetsDir, { recursive: true, force: true });
+    });
+
+    it("Should hash images in metadata order", function () {
+        const shuffled = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-provenance-"));
+        for (let i = 1; i <= SUPPLY; i++) {
+            fs.writeFileSync(path.join(shuffled, `${i}.svg`), `<svg>${SUPPLY + 1 - i}</svg>`);
+        }
+
+        expect(computeProvenance(shuffled).provenanceHash).to.not.equal(provenance.provenanceHash);
+        fs.rmSync(shuffled, { recursive: true, force: true });
+    });
+
+    it("Should reject gaps in the image sequence", function () {
+        fs.unlinkSync(path.join(assetsDir, "2.svg"));
+
+        expect(() => computeProvenance(assetsDir)).to.throw("missing #2");
+    });
+
+    it("Should verify provenance and the revealed mapping", async function () {
+        await nftContract.setPhase(2);
+        await nftContract.connect(addr1).publicMint(3, { value: PRICE * 3n });
+        await drawStartingIndex();
+        await nftContract.revealCollection();
+
+        expect(await verifyOnChain(nftContract, provenance, () => {})).to.deep.equal([]);
+    });
+
+    it("Should verify only the revealed tokens of a staged reveal", async function () {
+        await nftContract.setPhase(2);
+        await nftContract.connect(addr1).publicMint(3, { value: PRICE * 3n });
+        await drawStartingIndex();
+        await nftContract.revealThrough(2);
+
+        const logs = [];
+        expect(await verifyOnChain(nftContract, provenance, (line) => logs.push(line))).to.deep.equal([]);
+        expect(logs).to.include("Checked metadata mapping of 2 revealed tokens");
+    });
+
+    it("Should verify every minted token when some were burned", async function () {
+        await nftContract.setPhase(2);
+        await nftContract.connect(addr1).publicMint(3, { value: PRICE * 3n });
+        await drawStartingIndex();
+        await nftContract.revealCollection();
+        await nftContract.cancelSale(3600);
+        await nftContract.connect(addr1).claimRefund([1]);
+
+        const logs = [];
+        expect(await verifyOnChain(nftContract, provenance, (line) => logs.push(line))).to.deep.equal([]);
+        expect(logs).to.include("Checked metadata mapping of 2 revealed tokens");
+    });
+
+    it("Should report tampered artwork", async function () {
+        fs.writeFileSync(path.join(assetsDir, "3.svg"), "<svg>swapped</svg>");
+
+        const problems = await verifyOnChain(nftContract, computeProvenance(assetsDir), () => {});
+        expect(problems).to.have.length(1);
+        expect(problems[0]).to.contain("Provenance mismatch");
+    });
+});
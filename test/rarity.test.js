@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadMetadata, computeRarity, reportToCSV, injectRanks } = require("../scripts/rarity");
+const { parseCSV } = require("../scripts/utils/csv");
+
+describe("rarity", function () {
+    let workDir;
+
+    // Six tokens: Blue, the missing hat and the Green/Beanie pair are the rare traits
+    const FIXTURE = [
+        ["Red", "Cap"],
+        ["Red", "Cap"],
+        ["Blue", "Cap"],
+        ["Red", null],
+        ["Green", "Beanie"],
+        ["Green", "Beanie"],
+    ];
+
+    const writeMetadata = () => {
+        FIXTURE.forEach(([color, hat], i) => {
+            const attributes = [{ trait_type: "Color", value: color }];
+            if (hat) attributes.push({ trait_type: "Hat", value: hat });
+            // Numeric stats and an earlier rank do not count as traits
+            attributes.push({ display_type: "number", trait_type: "Level", value: i });
+            if (i === 0) attributes.push({ display_type: "number", trait_type: "rarity_rank", value: 99 });
+
+            const metadata = { name: `Token, "${i + 1}"`, attributes };
+            fs.writeFileSync(path.join(workDir, `${i + 1}.json`), JSON.stringify(metadata, null, 2));
+        });
+        fs.writeFileSync(path.join(workDir, "collection.json"), JSON.stringify({ name: "Collection" }));
+    };
+
+    beforeEach(function () {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-rarity-"));
+        writeMetadata();
+    });
+
+    afterEach(function () {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should load numbered metadata files in token order", function () {
+        fs.writeFileSync(path.join(workDir, "10.json"), JSON.stringify({ name: "Token 10", attributes: [] }));
+
+        expect(loadMetadata(workDir).map(({ tokenId }) => tokenId)).to.deep.equal([1, 2, 3, 4, 5, 6, 10]);
+        expect(() => loadMetadata(path.join(workDir, "missing"))).to.throw("Metadata directory not found");
+    });
+
+    it("Should count trait frequencies, including missing traits", function () {
+        const report = computeRarity(loadMetadata(workDir));
+
+        expect(report.collectionSize).to.equal(6);
+        expect(report.traitTypes).to.deep.equal(["Color", "Hat"]);
+        expect(report.traits.Color).to.deep.equal({
+            Blue: { count: 1, frequency: 0.166667 },
+            Green: { count: 2, frequency: 0.333333 },
+            Red: { count: 3, frequency: 0.5 },
+        });
+        expect(report.traits.Hat).to.deep.equal({
+            None: { count: 1, frequency: 0.166667 },
+            Beanie: { count: 2, frequency: 0.333333 },
+            Cap: { count: 3, frequency: 0.5 },
+        });
+        expect(report.tokens[3].traits).to.deep.equal({ Color: "Red", Hat: "None" });
+    });
+
+    it("Should score and rank tokens with both methods", function () {
+        const { tokens } = computeRarity(loadMetadata(workDir));
+
+        // Trait rarity: sum of 1 / frequency
+        expect(tokens.map((token) => token.traitRarityScore)).to.deep.equal([4, 4, 8, 8, 6, 6]);
+        // Statistical rarity: product of the frequencies
+        expect(tokens[0].statisticalRarity).to.equal(0.25);
+        expect(tokens[2].statisticalRarity).to.be.closeTo(1 / 12, 1e-12);
+        expect(tokens[4].statisticalRarity).to.be.closeTo(1 / 9, 1e-12);
+    });
+
+    it("Should give tied tokens the same rank and skip the ranks they share", function () {
+        const { tokens } = computeRarity(loadMetadata(workDir));
+
+        expect(tokens.map((token) => token.traitRarityRank)).to.deep.equal([5, 5, 1, 1, 3, 3]);
+        expect(tokens.map((token) => token.statisticalRank)).to.deep.equal([5, 5, 1, 1, 3, 3]);
+    });
+
+    it("Should reject an empty collection", function () {
+        expect(() => computeRarity([])).to.throw("No metadata files found");
+    });
+
+    it("Should write one CSV row per token with quoted names", function () {
+        const report = computeRarity(loadMetadata(workDir));
+        const csv = reportToCSV(report);
+
+        expect(csv.split("\n")[0]).to.equal(
+            "token_id,name,Color,Hat,trait_rarity_score,trait_rarity_rank,statistical_rarity,statistical_rank"
+        );
+        expect(csv.split("\n")[1]).to.equal('1,"Token, ""1""",Red,Cap,4,5,0.25,5');
+
+        const rows = parseCSV(csv);
+        expect(rows).to.have.length(6);
+        expect(rows[3]).to.deep.include({ token_id: "4", name: 'Token, "4"', hat: "None", trait_rarity_rank: "1" });
+    });
+
+    it("Should inject the rank into every metadata file and replace an earlier one", function () {
+        const report = computeRarity(loadMetadata(workDir));
+        injectRanks(loadMetadata(workDir), report, "trait");
+
+        const injected = loadMetadata(workDir);
+        for (const { tokenId, metadata } of injected) {
+            const ranks = metadata.attributes.filter((attr) => attr.trait_type === "rarity_rank");
+            expect(ranks).to.deep.equal([
+                { display_type: "number", trait_type: "rarity_rank", value: report.tokens[tokenId - 1].traitRarityRank },
+            ]);
+            expect(metadata.name).to.equal(`Token, "${tokenId}"`);
+        }
+        expect(injected[3].metadata.attributes.map((attr) => attr.trait_type)).to.deep.equal(["Color", "Level", "rarity_rank"]);
+
+        // The injected rank does not change the scores of a second run
+        expect(computeRarity(injected).tokens).to.deep.equal(report.tokens);
+    });
+
+    it("Should inject the statistical rank when asked", function () {
+        const tokens = loadMetadata(workDir);
+        const report = computeRarity(tokens);
+        report.tokens[0].statisticalRank = 42;
+
+        injectRanks(tokens, report, "statistical");
+
+        const [first] = loadMetadata(workDir);
+        expect(first.metadata.attributes.find((attr) => attr.trait_type === "rarity_rank").value).to.equal(42);
+    });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMockPinningServer } = require("../scripts/mockPinningServer");
+const { uploadCollection, rewriteImageURIs } = require("../scripts/uploadIPFS");
+
+describe("uploadIPFS", function () {
+    let mock, config, workDir, assetsDir, metadataDir;
+
+    const writeCollection = (count) => {
+        for (let i = 1; i <= count; i++) {
+            fs.writeFileSync(path.join(assetsDir, `${i}.svg`), `<svg>${i}</svg>`);
+            fs.writeFileSync(
+                path.join(metadataDir, `${i}.json`),
+                JSON.stringify({ name: `NFT #${i}`, image: `ipfs://REPLACE_WITH_IMAGE_CID/${i}.svg` }, null, 2)
+            );
+        }
+    };
+
+    const readMetadata = (id) => JSON.parse(fs.readFileSync(path.join(metadataDir, `${id}.json`), "utf8"));
+
+    before(async function () {
+        mock = await startMockPinningServer(0);
+        config = { apiUrl: mock.url, apiKey: "key", secretApiKey: "secret" };
+    });
+
+    after(function () {
+        mock.server.close();
+    });
+
+    beforeEach(function () {
+        mock.pins.length = 0;
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "launchpad-upload-"));
+        assetsDir = path.join(workDir, "assets");
+        metadataDir = path.join(workDir, "metadata");
+        fs.mkdirSync(assetsDir);
+        fs.mkdirSync(metadataDir);
+        writeCollection(3);
+    });
+
+    afterEach(function () {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("Should upload both directories in one request each", async function () {
+        const result = await uploadCollection({ assetsDir, metadataDir, config, log: () => {} });
+
+        expect(mock.pins).to.have.length(2);
+        expect(mock.pins[0].files.map((f) => f.path)).to.deep.equal(["assets/1.svg", "assets/2.svg", "assets/3.svg"]);
+        expect(mock.pins[1].files.map((f) => f.path)).to.deep.equal(["metadata/1.json", "metadata/2.json", "metadata/3.json"]);
+        expect(result.imageCID).to.equal(mock.pins[0].cid);
+        expect(result.metadataCID).to.equal(mock.pins[1].cid);
+        expect(result.baseURI).to.equal(`ipfs://${mock.pins[1].cid}`);
+    });
+
+    it("Should rewrite image URIs before uploading metadata", async function () {
+        const { imageCID } = await uploadCollection({ assetsDir, metadataDir, config, log: () => {} });
+
+        expect(readMetadata(2).image).to.equal(`ipfs://${imageCID}/2.svg`);
+
+        const uploaded = JSON.parse(mock.pins[1].files[1].content.toString());
+        expect(uploaded.image).to.equal(`ipfs://${imageCID}/2.svg`);
+    });
+
+    it("Should replace a CID from a previous upload", function () {
+        rewriteImageURIs(metadataDir, "bafyold");
+        rewriteImageURIs(metadataDir, "bafynew");
+
+        expect(readMetadata(1).image).to.equal("ipfs://bafynew/1.svg");
+    });
+
+    it("Should reject metadata without an ipfs image URI", function () {
+        fs.writeFileSync(path.join(metadataDir, "1.json"), JSON.stringify({ image: "https://example.com/1.svg" }));
+
+        expect(() => rewriteImageURIs(metadataDir, "bafy")).to.throw("no ipfs:// image URI");
+    });
+
+    it("Should fail when the pinning API rejects credentials", async function () {
+        const badConfig = { apiUrl: mock.url };
+
+        try {
+            await uploadCollection({ assetsDir, metadataDir, config: badConfig, log: () => {} });
+            expect.fail("upload should have failed");
+        } catch (error) {
+            expect(error.response.status).to.equal(401);
+        }
+    });
+});
@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { voucherDomain, signVoucher, startVoucherService } = require("../scripts/voucherService");
+
+describe("VoucherMinter", function () {
+    const PRICE = ethers.parseEther("0.05");
+    let nftContract, minter, domain, owner, signer, addr1, addr2;
+
+    const issue = async (overrides = {}, key = signer) => {
+        const voucher = {
+            minter: addr1.address,
+            quantity: 3,
+            price: PRICE,
+            expiry: (await time.latest()) + 3600,
+            nonce: 0,
+            ...overrides
+        };
+        return { voucher, signature: await signVoucher(key, domain, voucher) };
+    };
+
+    beforeEach(async function () {
+        [owner, signer, addr1, addr2] = await ethers.getSigners();
+
+        const NFTLaunchpad = await ethers.getContractFactory("NFTLaunchpad");
+        nftContract = await NFTLaunchpad.deploy(
+            "Test NFT", "TNFT", 100, PRICE, PRICE, "ipfs://unrevealed/", owner.address, 500
+        );
+        await nftContract.waitForDeployment();
+
+        const VoucherMinter = await ethers.getContractFactory("VoucherMinter");
+        minter = await VoucherMinter.deploy(nftContract.target, signer.address);
+        await minter.waitForDeployment();
+        await nftContract.grantRole(await nftContract.MINTER_ROLE(), minter.target);
+        await nftContract.setPhase(1);
+
+        domain = voucherDomain((await ethers.provider.getNetwork()).chainId, minter.target);
+    });
+
+    it("Should mint with a voucher and record the price", async function () {
+        const { voucher, signature } = await issue();
+
+        await expect(minter.connect(addr1).redeem(voucher, signature, 2, { value: PRICE * 2n }))
+            .to.emit(minter, "VoucherRedeemed")
+            .withArgs(addr1.address, 0, 1, 2);
+
+        expect(await nftContract.balanceOf(addr1.address)).to.equal(2);
+        expect(await nftContract.mintPrice(2)).to.equal(PRICE);
+        expect(await ethers.provider.getBalance(nftContract.target)).to.equal(PRICE * 2n);
+    });
+
+    it("Should only redeem during the allowlist phase", async function () {
+        const { voucher, signature } = await issue();
+
+        for (const phase of [0, 2]) { // CLOSED, PUBLIC
+            await nftContract.setPhase(phase);
+            await expect(
+                minter.connect(addr1).redeem(voucher, signature, 1, { value: PRICE })
+            ).to.be.revertedWithCustomError(minter, "InvalidPhase");
+        }
+        expect(await minter.voucherMinted(addr1.address, 0)).to.equal(0);
+    });
+
+    it("Should let a voucher be redeemed in parts up to its quantity", async function () {
+        const { voucher, signature } = await issue();
+        await minter.connect(addr1).redeem(voucher, signature, 2, { value: PRICE * 2n });
+
+        await expect(
+            minter.connect(addr1).redeem(voucher, signature, 2, { value: PRICE * 2n })
+        ).to.be.revertedWithCustomError(minter, "ExceedsVoucherQuantity");
+
+        await minter.connect(addr1).redeem(voucher, signature, 1, { value: PRICE });
+        expect(await minter.voucherMinted(addr1.address, 0)).to.equal(3);
+    });
+
+    it("Should not raise the allowance when a voucher is re-issued with the same nonce", async function () {
+        const first = await issue();
+        await minter.connect(addr1).redeem(first.voucher, first.signature, 3, { value: PRICE * 3n });
+
+        const reissued = await issue({ expiry: (await time.latest()) + 7200 });
+        await expect(
+            minter.connect(addr1).redeem(reissued.voucher, reissued.signature, 1, { value: PRICE })
+        ).to.be.revertedWithCustomError(minter, "ExceedsVoucherQuantity");
+    });
+
+    it("Should cap a redemption at the launchpad's mints per transaction", async function () {
+        await nftContract.setMaxMintsPerTransaction(2);
+        const { voucher, signature } = await issue({ quantity: 5 });
+
+        await expect(
+            minter.connect(addr1).redeem(voucher, signature, 3, { value: PRICE * 3n })
+        ).to.be.revertedWithCustomError(nftContract, "ExceedsMaxMintsPerTx");
+
+        await minter.connect(addr1).redeem(voucher, signature, 2, { value: PRICE * 2n });
+        expect(await minter.voucherMinted(addr1.address, 0)).to.equal(2);
+    });
+
+    it("Should reject expired vouchers", async function () {
+        const { voucher, signature } = await issue();
+        await time.increaseTo(voucher.expiry + 1);
+
+        await expect(
+            minter.connect(addr1).redeem(voucher, signature, 1, { value: PRICE })
+        ).to.be.revertedWithCustomError(minter, "VoucherExpired");
+    });
+
+    it("Should reject vouchers used by another wallet", async function () {
+        const { voucher, signature } = await issue();
+
+        await expect(
+            minter.connect(addr2).redeem(voucher, signature, 1, { value: PRICE })
+        ).to.be.revertedWithCustomError(minter, "NotVoucherMinter");
+    });
+
+    it("Should reject tampered vouchers and other signers", async function () {
+        const { voucher, signature } = await issue();
+        await expect(
+            minter.connect(addr1).redeem({ ...voucher, price: 0 }, signature, 1)
+        ).to.be.revertedWithCustomError(minter, "InvalidSignature");
+
+        const forged = await issue({}, addr1);
+        await expect(
+            minter.connect(addr1).redeem(forged.voucher, forged.signature, 1, { value: PRICE })
+        ).to.be.revertedWithCustomError(minter, "InvalidSignature");
+    });
+
+    it("Should reject underpayment and refund overpayment", async function () {
+        const { voucher, signature } = await issue();
+
+        await expect(
+            minter.connect(addr1).redeem(voucher, signature, 2, { value: PRICE })
+        ).to.be.revertedWithCustomError(minter, "InsufficientPayment");
+        await expect(
+            minter.connect(addr1).redeem(voucher, signature, 1, { value: PRICE * 2n })
+        ).to.changeEtherBalance(addr1, -PRICE);
+    });
+
+    it("Should stop minting while the launchpad is paused", async function () {
+        const { voucher, signature } = await issue();
+        await nftContract.setPaused(true);
+
+        await expect(
+            minter.connect(addr1).redeem(voucher, signature, 1, { value: PRICE })
+        ).to.be.revertedWithCustomError(nftContract, "EnforcedPause");
+    });
+
+    it("Should invalidate old vouchers when the signer is rotated", async function () {
+        const old = await issue();
+        await expect(minter.setSigner(addr2.address))
+            .to.emit(minter, "SignerUpdated")
+            .withArgs(signer.address, addr2.address);
+
+        await expect(
+            minter.connect(addr1).redeem(old.voucher, old.signature, 1, { value: PRICE })
+        ).to.be.revertedWithCustomError(minter, "InvalidSignature");
+
+        const rotated = await issue({}, addr2);
+        await minter.connect(addr1).redeem(rotated.voucher, rotated.signature, 1, { value: PRICE });
+        expect(await nftContract.balanceOf(addr1.address)).to.equal(1);
+    });
+
+    it("Should only allow owner to rotate the signer", async function () {
+        await expect(
+            minter.connect(addr1).setSigner(addr1.address)
+        ).to.be.revertedWithCustomError(minter, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should hand over signer rotation in two steps", async function () {
+        await minter.transferOwnership(addr2.address);
+        expect(await minter.owner()).to.equal(owner.address);
+        expect(await minter.pendingOwner()).to.equal(addr2.address);
+
+        await expect(minter.connect(addr1).acceptOwnership())
+            .to.be.revertedWithCustomError(minter, "OwnableUnauthorizedAccount");
+        await minter.connect(addr2).acceptOwnership();
+        expect(await minter.owner()).to.equal(addr2.address);
+
+        await expect(minter.setSigner(addr1.address))
+            .to.be.revertedWithCustomError(minter, "OwnableUnauthorizedAccount");
+        await expect(minter.connect(addr2).setSigner(addr1.address))
+            .to.emit(minter, "SignerUpdated")
+            .withArgs(signer.address, addr1.address);
+    });
+
+    it("Should only mint through accounts with the minter role", async function () {
+        await expect(
+            nftContract.connect(addr1).minterMint(addr1.address, 1, PRICE, { value: PRICE })
+        ).to.be.revertedWithCustomError(nftContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should record the price passed by the minter and take exactly that payment", async function () {
+        await nftContract.grantRole(await nftContract.MINTER_ROLE(), owner.address);
+
+        await nftContract.minterMint(addr1.address, 3, 7, { value: 21 });
+        expect(await nftContract.mintPrice(3)).to.equal(7);
+        expect(await nftContract.mintRevenue()).to.equal(21);
+
+        // 20 wei for 3 tokens cannot be recorded as a whole price per token
+        await expect(
+            nftContract.minterMint(addr1.address, 3, 6, { value: 20 })
+        ).to.be.revertedWithCustomError(nftContract, "IncorrectPayment");
+        await expect(
+            nftContract.minterMint(addr1.address, 3, 7, { value: 20 })
+        ).to.be.revertedWithCustomError(nftContract, "IncorrectPayment");
+    });
+
+    describe("voucher service", function () {
+        let service;
+
+        beforeEach(async function () {
+            service = await startVoucherService({
+                signer,
+                domain,
+                entries: [{ address: addr1.address, allowance: 2, price: PRICE.toString() }],
+                nonce: 4,
+                clock: () => time.latest()
+            }, 0);
+        });
+
+        afterEach(function () {
+            service.server.close();
+        });
+
+        it("Should issue vouchers that can be redeemed", async function () {
+            const response = await fetch(`${service.url}/voucher/${addr1.address.toLowerCase()}`);
+            expect(response.status).to.equal(200);
+            const { voucher, signature } = await response.json();
+            expect(voucher).to.include({ minter: addr1.address, quantity: "2", price: PRICE.toString(), nonce: "4" });
+
+            await minter.connect(addr1).redeem(voucher, signature, 2, { value: PRICE * 2n });
+            expect(await nftContract.balanceOf(addr1.address)).to.equal(2);
+        });
+
+        it("Should refuse addresses that are not on the allowlist", async function () {
+            const response = await fetch(`${service.url}/voucher/${addr2.address}`);
+            expect(response.status).to.equal(404);
+            expect((await response.json()).error).to.equal("Address is not on the allowlist");
+
+            expect((await fetch(`${service.url}/voucher/not-an-address`)).status).to.equal(400);
+        });
+    });
+});